@@ -0,0 +1,62 @@
+-- Add Accounts
+-- Migration for passwordless (magic link) accounts that own favorites
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_login_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS login_tokens (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  session_id VARCHAR(255),
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_tokens_email ON login_tokens(email, created_at DESC);
+
+ALTER TABLE bill_favorites ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'bill_favorites_user_id_bill_id_key') THEN
+    ALTER TABLE bill_favorites ADD CONSTRAINT bill_favorites_user_id_bill_id_key UNIQUE (user_id, bill_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_favorites_user ON bill_favorites(user_id) WHERE user_id IS NOT NULL;
+
+-- Same columns as before with the owning account appended
+CREATE OR REPLACE VIEW favorite_bills_view AS
+SELECT 
+  bf.id as favorite_id,
+  bf.session_id,
+  bf.email,
+  bf.notes,
+  bf.notification_enabled,
+  bf.created_at as favorited_at,
+  b.id as bill_id,
+  b.identifier,
+  b.title,
+  b.stage,
+  b.current_status,
+  b.latest_action_date,
+  b.latest_action_description,
+  (SELECT COUNT(*) FROM bill_history WHERE bill_id = b.id) as status_changes,
+  (SELECT name FROM sponsorships WHERE bill_id = b.id AND primary_sponsor = TRUE LIMIT 1) as primary_sponsor,
+  bf.user_id
+FROM bill_favorites bf
+JOIN bills b ON bf.bill_id = b.id
+ORDER BY bf.created_at DESC;
+
+COMMENT ON TABLE users IS 'Accounts; sign-in is by emailed magic link, there are no passwords';
+COMMENT ON TABLE login_tokens IS 'One-time magic link tokens (SHA-256 hashes only)';
+COMMENT ON COLUMN login_tokens.session_id IS 'Anonymous browser session whose favorites move into the account on sign-in';
+COMMENT ON COLUMN bill_favorites.user_id IS 'Owning account; NULL for anonymous session favorites';
+COMMENT ON COLUMN bill_favorites.email IS 'Legacy: favorites keyed by a bare address, claimed by the matching account on sign-in';
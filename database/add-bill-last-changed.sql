@@ -0,0 +1,18 @@
+-- Add Bill Change Times
+-- Migration for telling real bill changes apart from re-writes of the row
+
+-- updated_at moves on every sync, reclassify and full resync; last_changed_at
+-- only when the sync sees a new action, title or stage, or a bill dies at a
+-- deadline. Search alerts match on it.
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS last_changed_at TIMESTAMP;
+
+-- Existing bills last changed on their latest action (or when first stored)
+UPDATE bills
+SET last_changed_at = GREATEST(created_at, latest_action_date::timestamp)
+WHERE last_changed_at IS NULL;
+
+ALTER TABLE bills ALTER COLUMN last_changed_at SET DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_bills_last_changed ON bills(last_changed_at DESC);
+
+COMMENT ON COLUMN bills.last_changed_at IS 'When the sync last saw a new action, title or stage (not every write of the row)';
@@ -0,0 +1,81 @@
+-- Add Bill Types
+-- Migration for storing each bill's measure type, chamber of filing and number,
+-- parsed from its identifier by services/bill-identifier.js
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS bill_type VARCHAR(30);
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS chamber VARCHAR(20);
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS bill_number INTEGER;
+
+-- Backfill existing bills with the same prefix table (HB, SJR, HCR, SR...);
+-- the sync keeps both columns up to date from then on
+WITH parsed AS (
+  SELECT id, upper(regexp_replace(substring(identifier from '^[^0-9]*'), '[^A-Za-z]', '', 'g')) as prefix
+  FROM bills
+)
+UPDATE bills b
+SET
+  chamber = CASE left(p.prefix, 1) WHEN 'H' THEN 'lower' WHEN 'S' THEN 'upper' END,
+  bill_type = CASE
+    WHEN left(p.prefix, 1) IN ('H', 'S') THEN
+      CASE substr(p.prefix, 2)
+        WHEN 'B' THEN 'bill'
+        WHEN 'JR' THEN 'joint_resolution'
+        WHEN 'CR' THEN 'concurrent_resolution'
+        WHEN 'R' THEN 'resolution'
+      END
+  END
+FROM parsed p
+WHERE p.id = b.id AND b.chamber IS NULL AND b.bill_type IS NULL;
+
+-- The number without its prefix or leading zeros ("HB 0012" -> 12)
+UPDATE bills
+SET bill_number = substring(identifier from '[0-9]+')::int
+WHERE bill_number IS NULL AND identifier ~ '[0-9]';
+
+CREATE INDEX IF NOT EXISTS idx_bills_type ON bills(chamber, bill_type);
+
+-- Imports look bills up by number, then narrow to the typed prefix
+CREATE INDEX IF NOT EXISTS idx_bills_number ON bills(bill_number, chamber, bill_type);
+
+-- Lookups match identifiers without spacing or punctuation ("hb1234")
+CREATE INDEX IF NOT EXISTS idx_bills_identifier_key ON bills(upper(regexp_replace(identifier, '[^A-Za-z0-9]', '', 'g')));
+
+-- Favorites carry the bill's type and chamber for exports
+CREATE OR REPLACE VIEW favorite_bills_view AS
+SELECT 
+  bf.id as favorite_id,
+  bf.session_id,
+  bf.email,
+  bf.notes,
+  bf.notification_enabled,
+  bf.created_at as favorited_at,
+  b.id as bill_id,
+  b.identifier,
+  b.title,
+  b.stage,
+  b.current_status,
+  b.latest_action_date,
+  b.latest_action_description,
+  (SELECT COUNT(*) FROM bill_history WHERE bill_id = b.id) as status_changes,
+  (SELECT name FROM sponsorships WHERE bill_id = b.id AND primary_sponsor = TRUE LIMIT 1) as primary_sponsor,
+  bf.user_id,
+  bf.watchlist_id,
+  bf.added_by,
+  (SELECT email FROM users WHERE id = bf.added_by) as added_by_email,
+  bf.position,
+  bf.priority,
+  bf.tags,
+  (SELECT COUNT(*) FROM favorite_notes WHERE favorite_id = bf.id)::int as note_count,
+  (SELECT body FROM favorite_notes WHERE favorite_id = bf.id ORDER BY created_at DESC, id DESC LIMIT 1) as latest_note,
+  (SELECT MAX(created_at) FROM favorite_notes WHERE favorite_id = bf.id) as latest_note_at,
+  b.session_id as bill_session,
+  b.openstates_url,
+  b.chamber,
+  b.bill_type
+FROM bill_favorites bf
+JOIN bills b ON bf.bill_id = b.id
+ORDER BY bf.created_at DESC;
+
+COMMENT ON COLUMN bills.bill_type IS 'bill, joint_resolution, concurrent_resolution or resolution (from the identifier prefix)';
+COMMENT ON COLUMN bills.chamber IS 'Chamber the identifier was filed in (lower = House, upper = Senate)';
+COMMENT ON COLUMN bills.bill_number IS 'Number from the identifier without prefix or leading zeros (HB 1234 -> 1234)';
@@ -0,0 +1,23 @@
+-- Add Bill Versions
+-- Migration for bill text versions and version-to-version diffs
+
+CREATE TABLE IF NOT EXISTS bill_versions (
+  id SERIAL PRIMARY KEY,
+  bill_id INTEGER REFERENCES bills(id) ON DELETE CASCADE,
+  note VARCHAR(255),
+  date DATE,
+  classification VARCHAR(100),
+  url TEXT NOT NULL,
+  media_type VARCHAR(100),
+  links JSONB,
+  text TEXT,
+  text_status VARCHAR(20),
+  text_error TEXT,
+  text_extracted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bill_versions_bill_url ON bill_versions(bill_id, url);
+
+COMMENT ON TABLE bill_versions IS 'Every published text version of a bill with extracted plain text where available';
+COMMENT ON COLUMN bill_versions.text_status IS 'extracted, unsupported (e.g. PDF only) or error (retried on next sync)';
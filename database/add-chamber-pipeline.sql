@@ -0,0 +1,18 @@
+-- Add Two-Chamber Pipeline
+-- Migration for tracking where a bill is on its path through both chambers
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS origin_chamber VARCHAR(20);
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS phase VARCHAR(30);
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS phase_stage VARCHAR(50);
+
+-- current_chamber used to hold the chamber of origin; the reclassify job
+-- (POST /api/admin/jobs/reclassify/run) fills in phase, phase_stage and the
+-- real current chamber
+UPDATE bills SET origin_chamber = current_chamber WHERE origin_chamber IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bills_phase ON bills(phase, current_chamber, phase_stage);
+
+COMMENT ON COLUMN bills.origin_chamber IS 'Chamber the bill was filed in (lower = House, upper = Senate)';
+COMMENT ON COLUMN bills.current_chamber IS 'Chamber the bill is in now, or executive once it has left the Legislature';
+COMMENT ON COLUMN bills.phase IS 'origin_chamber, second_chamber, conference, governor or final';
+COMMENT ON COLUMN bills.phase_stage IS 'Stage within the current chamber, or the final outcome';
@@ -0,0 +1,36 @@
+-- Add Committees
+-- Migration for committee entities, membership and committee referral tracking
+
+CREATE TABLE IF NOT EXISTS committees (
+  id SERIAL PRIMARY KEY,
+  openstates_id VARCHAR(255) UNIQUE NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  chamber VARCHAR(20),
+  classification VARCHAR(50),
+  parent_id INTEGER REFERENCES committees(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Committee membership
+CREATE TABLE IF NOT EXISTS committee_memberships (
+  id SERIAL PRIMARY KEY,
+  committee_id INTEGER REFERENCES committees(id) ON DELETE CASCADE,
+  legislator_id INTEGER REFERENCES legislators(id) ON DELETE SET NULL,
+  person_name VARCHAR(255) NOT NULL,
+  role VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE bill_actions ADD COLUMN IF NOT EXISTS committee_id INTEGER REFERENCES committees(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_bill_actions_committee ON bill_actions(committee_id) WHERE committee_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_committees_chamber ON committees(chamber);
+CREATE INDEX IF NOT EXISTS idx_committee_memberships_committee ON committee_memberships(committee_id);
+CREATE INDEX IF NOT EXISTS idx_committee_memberships_legislator ON committee_memberships(legislator_id);
+
+INSERT INTO sync_metadata (sync_type, status) VALUES ('committees', 'pending')
+ON CONFLICT (sync_type) DO NOTHING;
+
+COMMENT ON TABLE committees IS 'Oklahoma House and Senate committees synced from Open States organizations';
+COMMENT ON COLUMN bill_actions.committee_id IS 'Committee named by the action (referrals, committee reports)';
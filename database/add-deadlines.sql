@@ -0,0 +1,31 @@
+-- Add Legislative Deadlines
+-- Migration for the per-session deadline calendar and dead bill tracking
+
+CREATE TABLE IF NOT EXISTS session_deadlines (
+  id SERIAL PRIMARY KEY,
+  session_id VARCHAR(100) NOT NULL,
+  deadline_type VARCHAR(50) NOT NULL,
+  deadline_date DATE NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(session_id, deadline_type)
+);
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS dead_at DATE;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS dead_reason VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_session_deadlines_date ON session_deadlines(deadline_date);
+
+-- Example calendar (set the real dates with PUT /api/admin/sessions/:session/deadlines):
+-- INSERT INTO session_deadlines (session_id, deadline_type, deadline_date) VALUES
+--   ('2024', 'committee_origin', '2024-02-29'),
+--   ('2024', 'floor_origin', '2024-03-14'),
+--   ('2024', 'committee_second', '2024-04-04'),
+--   ('2024', 'floor_second', '2024-04-25'),
+--   ('2024', 'sine_die', '2024-05-31');
+
+COMMENT ON TABLE session_deadlines IS 'Per-session legislative deadline calendar; bills that miss a deadline are marked dead';
+COMMENT ON COLUMN session_deadlines.deadline_type IS 'committee_origin, floor_origin, committee_second, floor_second or sine_die';
+COMMENT ON COLUMN bills.dead_at IS 'Date of the deadline the bill missed (stage dead) until it moves again';
+COMMENT ON COLUMN bills.dead_reason IS 'deadline_type of the missed deadline';
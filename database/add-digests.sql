@@ -0,0 +1,6 @@
+-- Add Digest Emails
+-- Migration for daily/weekly digest delivery
+
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS last_digest_at TIMESTAMP;
+
+COMMENT ON COLUMN user_preferences.notification_frequency IS 'immediate, daily or weekly (digest) email delivery';
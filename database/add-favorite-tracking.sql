@@ -0,0 +1,70 @@
+-- Add Favorite Tracking
+-- Migration for positions, priorities, tags and threaded notes on followed
+-- bills. Run after add-organizations.sql.
+
+ALTER TABLE bill_favorites ADD COLUMN IF NOT EXISTS position VARCHAR(20)
+  CHECK (position IN ('support', 'oppose', 'monitor', 'amend'));
+ALTER TABLE bill_favorites ADD COLUMN IF NOT EXISTS priority VARCHAR(10)
+  CHECK (priority IN ('high', 'medium', 'low'));
+ALTER TABLE bill_favorites ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS favorite_notes (
+  id SERIAL PRIMARY KEY,
+  favorite_id INTEGER REFERENCES bill_favorites(id) ON DELETE CASCADE,
+  parent_id INTEGER REFERENCES favorite_notes(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_favorite_notes_favorite ON favorite_notes(favorite_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_favorites_tags ON bill_favorites USING GIN(tags);
+
+-- The old single notes field becomes the first note of each thread
+INSERT INTO favorite_notes (favorite_id, user_id, body, created_at)
+SELECT id, COALESCE(added_by, user_id), notes, created_at
+FROM bill_favorites
+WHERE notes IS NOT NULL AND notes <> '';
+
+UPDATE bill_favorites SET notes = NULL WHERE notes IS NOT NULL;
+
+-- Same columns as before with the tracking fields and latest note appended
+CREATE OR REPLACE VIEW favorite_bills_view AS
+SELECT 
+  bf.id as favorite_id,
+  bf.session_id,
+  bf.email,
+  bf.notes,
+  bf.notification_enabled,
+  bf.created_at as favorited_at,
+  b.id as bill_id,
+  b.identifier,
+  b.title,
+  b.stage,
+  b.current_status,
+  b.latest_action_date,
+  b.latest_action_description,
+  (SELECT COUNT(*) FROM bill_history WHERE bill_id = b.id) as status_changes,
+  (SELECT name FROM sponsorships WHERE bill_id = b.id AND primary_sponsor = TRUE LIMIT 1) as primary_sponsor,
+  bf.user_id,
+  bf.watchlist_id,
+  bf.added_by,
+  (SELECT email FROM users WHERE id = bf.added_by) as added_by_email,
+  bf.position,
+  bf.priority,
+  bf.tags,
+  (SELECT COUNT(*) FROM favorite_notes WHERE favorite_id = bf.id)::int as note_count,
+  (SELECT body FROM favorite_notes WHERE favorite_id = bf.id ORDER BY created_at DESC, id DESC LIMIT 1) as latest_note,
+  (SELECT MAX(created_at) FROM favorite_notes WHERE favorite_id = bf.id) as latest_note_at,
+  b.session_id as bill_session,
+  b.openstates_url
+FROM bill_favorites bf
+JOIN bills b ON bf.bill_id = b.id
+ORDER BY bf.created_at DESC;
+
+COMMENT ON COLUMN bill_favorites.position IS 'Stance on the bill: support, oppose, monitor or amend';
+COMMENT ON COLUMN bill_favorites.priority IS 'high, medium or low';
+COMMENT ON COLUMN bill_favorites.tags IS 'Free-form lowercase tags';
+COMMENT ON COLUMN bill_favorites.notes IS 'Legacy single note; notes are now kept in favorite_notes';
+COMMENT ON TABLE favorite_notes IS 'Timestamped notes history on a followed bill; parent_id threads replies';
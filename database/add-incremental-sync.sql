@@ -0,0 +1,25 @@
+-- Add Incremental Sync
+-- Migration for resumable, updated_since-based bill syncs
+
+ALTER TABLE sync_metadata ADD COLUMN IF NOT EXISTS cursor JSONB;
+
+-- Earlier syncs inserted duplicate actions and sponsorships on every run;
+-- keep the oldest copy so the unique indexes below can be built
+DELETE FROM bill_actions a
+USING bill_actions b
+WHERE a.bill_id = b.bill_id
+  AND a.order_index = b.order_index
+  AND a.id > b.id;
+
+DELETE FROM sponsorships a
+USING sponsorships b
+WHERE a.bill_id = b.bill_id
+  AND a.name = b.name
+  AND a.classification IS NOT DISTINCT FROM b.classification
+  AND a.id > b.id;
+
+-- Re-synced bills upsert against these instead of piling up duplicates
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bill_actions_bill_order ON bill_actions(bill_id, order_index);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sponsorships_bill_sponsor ON sponsorships(bill_id, name, classification);
+
+COMMENT ON COLUMN sync_metadata.cursor IS 'Resume point of an unfinished sync run (started_at, updated_since, page)';
@@ -0,0 +1,18 @@
+-- Add Job Run History
+-- Migration for the in-process job scheduler
+
+CREATE TABLE IF NOT EXISTS job_runs (
+  id SERIAL PRIMARY KEY,
+  job_name VARCHAR(100) NOT NULL,
+  trigger VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  started_at TIMESTAMP DEFAULT NOW(),
+  finished_at TIMESTAMP,
+  duration_ms INTEGER,
+  result JSONB,
+  error_message TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job_name, started_at DESC);
+
+COMMENT ON TABLE job_runs IS 'History of scheduled and manual background job runs';
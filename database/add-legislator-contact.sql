@@ -0,0 +1,7 @@
+-- Add Legislator Contact Details
+-- Migration for the DB-backed legislator profile API
+
+ALTER TABLE legislators ADD COLUMN IF NOT EXISTS capitol_address TEXT;
+ALTER TABLE legislators ADD COLUMN IF NOT EXISTS website TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_legislators_chamber_district ON legislators(chamber, district);
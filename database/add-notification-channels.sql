@@ -0,0 +1,25 @@
+-- Add Notification Channels
+-- Migration for webhook / Slack delivery and per-attempt delivery records
+
+ALTER TABLE email_subscriptions ADD COLUMN IF NOT EXISTS channel VARCHAR(20) DEFAULT 'email';
+ALTER TABLE email_subscriptions ADD COLUMN IF NOT EXISTS target_url TEXT;
+ALTER TABLE email_subscriptions ADD COLUMN IF NOT EXISTS webhook_secret VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+  id SERIAL PRIMARY KEY,
+  subscription_id INTEGER REFERENCES email_subscriptions(id) ON DELETE CASCADE,
+  channel VARCHAR(20) NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  target TEXT,
+  attempt INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  response_status INTEGER,
+  error_message TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_sub ON notification_deliveries(subscription_id, created_at DESC);
+
+COMMENT ON COLUMN email_subscriptions.channel IS 'Delivery channel: email, webhook (signed JSON POST) or slack (incoming webhook)';
+COMMENT ON COLUMN email_subscriptions.webhook_secret IS 'HMAC-SHA256 key for the X-BillTracker-Signature header on webhook deliveries';
+COMMENT ON TABLE notification_deliveries IS 'Every notification delivery attempt with its outcome';
@@ -0,0 +1,90 @@
+-- Add Organizations
+-- Migration for organizations with member roles, shared watchlists and an
+-- activity log. Run after add-accounts.sql.
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'editor', 'viewer')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(organization_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS watchlists (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS watchlist_activity (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+  watchlist_id INTEGER REFERENCES watchlists(id) ON DELETE SET NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(50) NOT NULL,
+  bill_id INTEGER REFERENCES bills(id) ON DELETE SET NULL,
+  details JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE bill_favorites ADD COLUMN IF NOT EXISTS watchlist_id INTEGER REFERENCES watchlists(id) ON DELETE CASCADE;
+ALTER TABLE bill_favorites ADD COLUMN IF NOT EXISTS added_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'bill_favorites_watchlist_id_bill_id_key') THEN
+    ALTER TABLE bill_favorites ADD CONSTRAINT bill_favorites_watchlist_id_bill_id_key UNIQUE (watchlist_id, bill_id);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user ON organization_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_watchlists_organization ON watchlists(organization_id);
+CREATE INDEX IF NOT EXISTS idx_watchlist_activity_org ON watchlist_activity(organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_watchlist_activity_watchlist ON watchlist_activity(watchlist_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_favorites_watchlist ON bill_favorites(watchlist_id) WHERE watchlist_id IS NOT NULL;
+
+-- Same columns as before with the watchlist and who added the bill appended
+CREATE OR REPLACE VIEW favorite_bills_view AS
+SELECT 
+  bf.id as favorite_id,
+  bf.session_id,
+  bf.email,
+  bf.notes,
+  bf.notification_enabled,
+  bf.created_at as favorited_at,
+  b.id as bill_id,
+  b.identifier,
+  b.title,
+  b.stage,
+  b.current_status,
+  b.latest_action_date,
+  b.latest_action_description,
+  (SELECT COUNT(*) FROM bill_history WHERE bill_id = b.id) as status_changes,
+  (SELECT name FROM sponsorships WHERE bill_id = b.id AND primary_sponsor = TRUE LIMIT 1) as primary_sponsor,
+  bf.user_id,
+  bf.watchlist_id,
+  bf.added_by,
+  (SELECT email FROM users WHERE id = bf.added_by) as added_by_email
+FROM bill_favorites bf
+JOIN bills b ON bf.bill_id = b.id
+ORDER BY bf.created_at DESC;
+
+COMMENT ON TABLE organizations IS 'Teams that share watchlists';
+COMMENT ON COLUMN organization_members.role IS 'owner (members, deleting watchlists), editor (watchlists and their bills) or viewer (read only)';
+COMMENT ON TABLE watchlists IS 'Named lists of followed bills; organization_id NULL for a personal list of created_by';
+COMMENT ON TABLE watchlist_activity IS 'Who added or removed bills, edited notes, or changed watchlists and members';
+COMMENT ON COLUMN bill_favorites.watchlist_id IS 'Watchlist the bill is on; NULL for a personal or session favorite';
+COMMENT ON COLUMN bill_favorites.added_by IS 'Account that added the bill';
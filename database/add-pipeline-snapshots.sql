@@ -0,0 +1,16 @@
+-- Add Pipeline Snapshots
+-- Migration for daily bill counts per stage (trend charts)
+
+CREATE TABLE IF NOT EXISTS pipeline_snapshots (
+  id SERIAL PRIMARY KEY,
+  snapshot_date DATE NOT NULL,
+  session_id VARCHAR(100) NOT NULL,
+  stage VARCHAR(50) NOT NULL,
+  bill_count INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(snapshot_date, session_id, stage)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_snapshots_session ON pipeline_snapshots(session_id, snapshot_date);
+
+COMMENT ON TABLE pipeline_snapshots IS 'Bill counts per session and stage, recorded after each sync (last sync of the day wins)';
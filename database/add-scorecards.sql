@@ -0,0 +1,26 @@
+-- Add Scorecards
+-- Migration for legislator scorecards on a chosen set of bills
+
+CREATE TABLE IF NOT EXISTS scorecards (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  session_id VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS scorecard_bills (
+  id SERIAL PRIMARY KEY,
+  scorecard_id INTEGER REFERENCES scorecards(id) ON DELETE CASCADE,
+  bill_id INTEGER REFERENCES bills(id) ON DELETE CASCADE,
+  preferred_position VARCHAR(10) NOT NULL CHECK (preferred_position IN ('yes', 'no')),
+  vote_id INTEGER REFERENCES votes(id) ON DELETE SET NULL,
+  notes TEXT,
+  UNIQUE(scorecard_id, bill_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scorecard_bills_bill ON scorecard_bills(bill_id);
+
+COMMENT ON TABLE scorecards IS 'Legislator scorecards graded on a hand-picked set of bills';
+COMMENT ON COLUMN scorecard_bills.vote_id IS 'Roll call to score; NULL uses each legislator''s latest floor passage vote';
@@ -0,0 +1,12 @@
+-- Add Saved Search Alerts
+-- Migration for keyword and subject alert subscriptions
+
+ALTER TABLE email_subscriptions ADD COLUMN IF NOT EXISTS subscription_type VARCHAR(20) DEFAULT 'bill';
+ALTER TABLE email_subscriptions ADD COLUMN IF NOT EXISTS search_criteria JSONB;
+ALTER TABLE email_subscriptions ADD COLUMN IF NOT EXISTS label VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_email_subs_type ON email_subscriptions(subscription_type) WHERE is_active = TRUE;
+CREATE INDEX IF NOT EXISTS idx_bills_updated ON bills(updated_at DESC);
+
+COMMENT ON COLUMN email_subscriptions.subscription_type IS 'bill (single bill_id) or search (saved search_criteria)';
+COMMENT ON COLUMN email_subscriptions.search_criteria IS 'Saved /api/search/advanced criteria for search alerts';
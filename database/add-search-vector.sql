@@ -0,0 +1,40 @@
+-- Add Weighted Full-Text Search
+-- Migration for ranked search over identifier, title, description, subjects and bill text
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+-- Rebuild a bill's weighted search vector: identifier and title (A),
+-- description and subjects (B), text of the latest extracted version (D)
+CREATE OR REPLACE FUNCTION refresh_bill_search_vector(p_bill_id INTEGER)
+RETURNS VOID AS $$
+  UPDATE bills b
+  SET search_vector =
+    setweight(to_tsvector('simple', b.identifier || ' ' || replace(b.identifier, ' ', '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(b.title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(b.description, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE((
+      SELECT string_agg(subject, ' ')
+      FROM jsonb_array_elements_text(
+        CASE WHEN jsonb_typeof(b.subject) = 'array' THEN b.subject ELSE '[]'::jsonb END
+      ) subject
+    ), '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE((
+      SELECT left(v.text, 500000)
+      FROM bill_versions v
+      WHERE v.bill_id = b.id AND v.text IS NOT NULL
+      ORDER BY v.date DESC NULLS LAST, v.id DESC
+      LIMIT 1
+    ), '')), 'D')
+  WHERE b.id = p_bill_id;
+$$ LANGUAGE sql;
+
+-- Backfill existing bills
+SELECT refresh_bill_search_vector(id) FROM bills;
+
+CREATE INDEX IF NOT EXISTS idx_bills_search_vector ON bills USING gin(search_vector);
+
+-- Replaced by idx_bills_search_vector
+DROP INDEX IF EXISTS idx_bills_title_search;
+DROP INDEX IF EXISTS idx_bills_description_search;
+
+COMMENT ON COLUMN bills.search_vector IS 'Weighted full-text vector maintained by refresh_bill_search_vector()';
@@ -0,0 +1,10 @@
+-- Add Session Versions
+-- Migration for server-side sign-out: session cookies carry the account's
+-- session_version, and signing out bumps it so every earlier cookie stops working
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS session_version INTEGER NOT NULL DEFAULT 1;
+
+-- Favorites now move with the session of the browser that redeems the link
+ALTER TABLE login_tokens DROP COLUMN IF EXISTS session_id;
+
+COMMENT ON COLUMN users.session_version IS 'Must match the version in a session cookie; bumped on sign-out to revoke every session';
@@ -0,0 +1,19 @@
+-- Add Legislative Sessions
+-- Migration for multi-session support
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id SERIAL PRIMARY KEY,
+  identifier VARCHAR(100) UNIQUE NOT NULL,
+  name VARCHAR(255),
+  classification VARCHAR(50),
+  start_date DATE,
+  end_date DATE,
+  is_current BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+INSERT INTO sync_metadata (sync_type, status) VALUES ('sessions', 'pending')
+ON CONFLICT (sync_type) DO NOTHING;
+
+COMMENT ON TABLE sessions IS 'Oklahoma legislative sessions synced from the Open States jurisdiction';
@@ -0,0 +1,9 @@
+-- Add Sponsor Alerts
+-- Migration for following a legislator's sponsored bills
+
+ALTER TABLE email_subscriptions ADD COLUMN IF NOT EXISTS legislator_id INTEGER REFERENCES legislators(id) ON DELETE CASCADE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_subs_legislator ON email_subscriptions(email, legislator_id) WHERE subscription_type = 'legislator';
+
+COMMENT ON COLUMN email_subscriptions.subscription_type IS 'bill (single bill_id), search (saved search_criteria) or legislator (sponsor alerts for legislator_id)';
+COMMENT ON COLUMN email_subscriptions.legislator_id IS 'Followed legislator for sponsor alerts';
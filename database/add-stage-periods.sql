@@ -0,0 +1,25 @@
+-- Add Stage Periods
+-- Migration for time-in-stage and stage flow statistics
+
+CREATE TABLE IF NOT EXISTS bill_stage_periods (
+  id SERIAL PRIMARY KEY,
+  bill_id INTEGER REFERENCES bills(id) ON DELETE CASCADE,
+  seq INTEGER NOT NULL,
+  stage VARCHAR(50) NOT NULL,
+  phase VARCHAR(30),
+  chamber VARCHAR(20),
+  phase_stage VARCHAR(50),
+  committee_id INTEGER REFERENCES committees(id) ON DELETE SET NULL,
+  entered_on DATE,
+  left_on DATE,
+  UNIQUE(bill_id, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bill_stage_periods_stage ON bill_stage_periods(phase_stage, chamber);
+CREATE INDEX IF NOT EXISTS idx_bill_stage_periods_committee ON bill_stage_periods(committee_id) WHERE committee_id IS NOT NULL;
+
+-- Filled by the sync as bills change; run the reclassify job
+-- (POST /api/admin/jobs/reclassify/run) to build periods for stored bills
+
+COMMENT ON TABLE bill_stage_periods IS 'Pipeline positions each bill passed through, replayed from its actions (velocity and flow statistics)';
+COMMENT ON COLUMN bill_stage_periods.left_on IS 'Date the bill moved on; NULL while it is still there';
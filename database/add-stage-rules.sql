@@ -0,0 +1,13 @@
+-- Add Stage Rules
+-- Migration for storing every Open States classification of an action so the
+-- stage rules (services/stage-classifier.js) can be re-run from the database
+
+ALTER TABLE bill_actions ADD COLUMN IF NOT EXISTS classifications JSONB;
+
+-- Backfill from the single stored classification; the next full sync
+-- replaces these with the complete list
+UPDATE bill_actions
+SET classifications = jsonb_build_array(classification)
+WHERE classifications IS NULL AND classification IS NOT NULL;
+
+COMMENT ON COLUMN bill_actions.classifications IS 'Every Open States classification of the action (classification holds the first)';
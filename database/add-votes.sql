@@ -0,0 +1,10 @@
+-- Add Roll-Call Votes
+-- Migration for databases created before votes were synced
+
+-- Keep the voter's name so unresolved legislators still show in the breakdown
+ALTER TABLE legislator_votes ADD COLUMN IF NOT EXISTS voter_name VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_legislator_votes_vote ON legislator_votes(vote_id);
+CREATE INDEX IF NOT EXISTS idx_legislator_votes_legislator ON legislator_votes(legislator_id);
+
+COMMENT ON COLUMN legislator_votes.voter_name IS 'Voter name as reported by Open States';
@@ -2,17 +2,60 @@
 -- PostgreSQL Database Setup
 
 -- Drop existing tables if they exist (for clean install)
+DROP TABLE IF EXISTS scorecard_bills CASCADE;
+DROP TABLE IF EXISTS scorecards CASCADE;
 DROP TABLE IF EXISTS legislator_votes CASCADE;
 DROP TABLE IF EXISTS votes CASCADE;
 DROP TABLE IF EXISTS sponsorships CASCADE;
+DROP TABLE IF EXISTS bill_versions CASCADE;
 DROP TABLE IF EXISTS bill_actions CASCADE;
 DROP TABLE IF EXISTS bill_history CASCADE;
+DROP TABLE IF EXISTS bill_stage_periods CASCADE;
 DROP TABLE IF EXISTS bills CASCADE;
+DROP TABLE IF EXISTS committee_memberships CASCADE;
+DROP TABLE IF EXISTS committees CASCADE;
 DROP TABLE IF EXISTS legislators CASCADE;
+DROP TABLE IF EXISTS session_deadlines CASCADE;
+DROP TABLE IF EXISTS sessions CASCADE;
+DROP TABLE IF EXISTS notification_deliveries CASCADE;
 DROP TABLE IF EXISTS email_subscriptions CASCADE;
 DROP TABLE IF EXISTS user_preferences CASCADE;
 DROP TABLE IF EXISTS sync_metadata CASCADE;
+DROP TABLE IF EXISTS pipeline_snapshots CASCADE;
+DROP TABLE IF EXISTS job_runs CASCADE;
+DROP TABLE IF EXISTS favorite_notes CASCADE;
 DROP TABLE IF EXISTS bill_favorites CASCADE;
+DROP TABLE IF EXISTS watchlist_activity CASCADE;
+DROP TABLE IF EXISTS watchlists CASCADE;
+DROP TABLE IF EXISTS organization_members CASCADE;
+DROP TABLE IF EXISTS organizations CASCADE;
+DROP TABLE IF EXISTS login_tokens CASCADE;
+DROP TABLE IF EXISTS users CASCADE;
+
+-- Legislative sessions
+CREATE TABLE sessions (
+  id SERIAL PRIMARY KEY,
+  identifier VARCHAR(100) UNIQUE NOT NULL,
+  name VARCHAR(255),
+  classification VARCHAR(50),
+  start_date DATE,
+  end_date DATE,
+  is_current BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Legislative deadline calendar (one date per deadline type per session)
+CREATE TABLE session_deadlines (
+  id SERIAL PRIMARY KEY,
+  session_id VARCHAR(100) NOT NULL,
+  deadline_type VARCHAR(50) NOT NULL,
+  deadline_date DATE NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(session_id, deadline_type)
+);
 
 -- Legislators table
 CREATE TABLE legislators (
@@ -25,30 +68,64 @@ CREATE TABLE legislators (
   image_url TEXT,
   email VARCHAR(255),
   phone VARCHAR(50),
+  capitol_address TEXT,
+  website TEXT,
   created_at TIMESTAMP DEFAULT NOW(),
   updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Committees (and subcommittees)
+CREATE TABLE committees (
+  id SERIAL PRIMARY KEY,
+  openstates_id VARCHAR(255) UNIQUE NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  chamber VARCHAR(20),
+  classification VARCHAR(50),
+  parent_id INTEGER REFERENCES committees(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Committee membership
+CREATE TABLE committee_memberships (
+  id SERIAL PRIMARY KEY,
+  committee_id INTEGER REFERENCES committees(id) ON DELETE CASCADE,
+  legislator_id INTEGER REFERENCES legislators(id) ON DELETE SET NULL,
+  person_name VARCHAR(255) NOT NULL,
+  role VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
 -- Bills table
 CREATE TABLE bills (
   id SERIAL PRIMARY KEY,
   openstates_id VARCHAR(255) UNIQUE NOT NULL,
   session_id VARCHAR(100) NOT NULL,
   identifier VARCHAR(50) NOT NULL,
+  bill_type VARCHAR(30),
+  chamber VARCHAR(20),
+  bill_number INTEGER,
   title TEXT NOT NULL,
   description TEXT,
   classification VARCHAR(50),
   subject JSONB,
   current_status VARCHAR(100),
+  origin_chamber VARCHAR(20),
   current_chamber VARCHAR(20),
   stage VARCHAR(50),
+  phase VARCHAR(30),
+  phase_stage VARCHAR(50),
+  dead_at DATE,
+  dead_reason VARCHAR(50),
   created_at TIMESTAMP DEFAULT NOW(),
   updated_at TIMESTAMP DEFAULT NOW(),
+  last_changed_at TIMESTAMP DEFAULT NOW(),
   first_action_date DATE,
   latest_action_date DATE,
   latest_action_description TEXT,
   full_text_url TEXT,
-  openstates_url TEXT
+  openstates_url TEXT,
+  search_vector TSVECTOR
 );
 
 -- Bill actions (status changes)
@@ -58,8 +135,27 @@ CREATE TABLE bill_actions (
   date DATE NOT NULL,
   description TEXT NOT NULL,
   classification VARCHAR(100),
+  classifications JSONB,
   chamber VARCHAR(20),
   order_index INTEGER,
+  committee_id INTEGER REFERENCES committees(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Bill text versions (introduced, committee substitutes, engrossed, enrolled...)
+CREATE TABLE bill_versions (
+  id SERIAL PRIMARY KEY,
+  bill_id INTEGER REFERENCES bills(id) ON DELETE CASCADE,
+  note VARCHAR(255),
+  date DATE,
+  classification VARCHAR(100),
+  url TEXT NOT NULL,
+  media_type VARCHAR(100),
+  links JSONB,
+  text TEXT,
+  text_status VARCHAR(20),
+  text_error TEXT,
+  text_extracted_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT NOW()
 );
 
@@ -74,6 +170,21 @@ CREATE TABLE bill_history (
   notes TEXT
 );
 
+-- Stage periods (each pipeline position a bill passed through, with dates)
+CREATE TABLE bill_stage_periods (
+  id SERIAL PRIMARY KEY,
+  bill_id INTEGER REFERENCES bills(id) ON DELETE CASCADE,
+  seq INTEGER NOT NULL,
+  stage VARCHAR(50) NOT NULL,
+  phase VARCHAR(30),
+  chamber VARCHAR(20),
+  phase_stage VARCHAR(50),
+  committee_id INTEGER REFERENCES committees(id) ON DELETE SET NULL,
+  entered_on DATE,
+  left_on DATE,
+  UNIQUE(bill_id, seq)
+);
+
 -- Bill sponsorships
 CREATE TABLE sponsorships (
   id SERIAL PRIMARY KEY,
@@ -107,16 +218,44 @@ CREATE TABLE legislator_votes (
   id SERIAL PRIMARY KEY,
   vote_id INTEGER REFERENCES votes(id) ON DELETE CASCADE,
   legislator_id INTEGER REFERENCES legislators(id),
+  voter_name VARCHAR(255),
   option VARCHAR(20),
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Legislator scorecards (a named set of bills with preferred vote positions)
+CREATE TABLE scorecards (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  session_id VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE scorecard_bills (
+  id SERIAL PRIMARY KEY,
+  scorecard_id INTEGER REFERENCES scorecards(id) ON DELETE CASCADE,
+  bill_id INTEGER REFERENCES bills(id) ON DELETE CASCADE,
+  preferred_position VARCHAR(10) NOT NULL CHECK (preferred_position IN ('yes', 'no')),
+  vote_id INTEGER REFERENCES votes(id) ON DELETE SET NULL,
+  notes TEXT,
+  UNIQUE(scorecard_id, bill_id)
+);
+
 -- Email subscriptions
 CREATE TABLE email_subscriptions (
   id SERIAL PRIMARY KEY,
   email VARCHAR(255) NOT NULL,
   name VARCHAR(255),
   bill_id INTEGER REFERENCES bills(id) ON DELETE CASCADE,
+  legislator_id INTEGER REFERENCES legislators(id) ON DELETE CASCADE,
+  subscription_type VARCHAR(20) DEFAULT 'bill',
+  search_criteria JSONB,
+  label VARCHAR(255),
+  channel VARCHAR(20) DEFAULT 'email',
+  target_url TEXT,
+  webhook_secret VARCHAR(255),
   notification_type VARCHAR(50) NOT NULL,
   is_active BOOLEAN DEFAULT TRUE,
   verification_token VARCHAR(255),
@@ -127,11 +266,26 @@ CREATE TABLE email_subscriptions (
   UNIQUE(email, bill_id, notification_type)
 );
 
+-- Delivery attempts per notification (one row per try, retries included)
+CREATE TABLE notification_deliveries (
+  id SERIAL PRIMARY KEY,
+  subscription_id INTEGER REFERENCES email_subscriptions(id) ON DELETE CASCADE,
+  channel VARCHAR(20) NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  target TEXT,
+  attempt INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  response_status INTEGER,
+  error_message TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
 -- User preferences (for future user accounts)
 CREATE TABLE user_preferences (
   id SERIAL PRIMARY KEY,
   email VARCHAR(255) UNIQUE NOT NULL,
   notification_frequency VARCHAR(50) DEFAULT 'immediate',
+  last_digest_at TIMESTAMP,
   filter_chamber VARCHAR(20),
   filter_subjects JSONB,
   created_at TIMESTAMP DEFAULT NOW(),
@@ -139,14 +293,95 @@ CREATE TABLE user_preferences (
 );
 
 -- Bill favorites table (allows anonymous favorites with browser storage)
+-- Accounts (passwordless: sign-in is by emailed magic link)
+CREATE TABLE users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_login_at TIMESTAMP,
+  session_version INTEGER NOT NULL DEFAULT 1
+);
+
+-- One-time magic link tokens
+CREATE TABLE login_tokens (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL,
+  token_hash VARCHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Organizations share watchlists between their members
+CREATE TABLE organizations (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE organization_members (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'editor', 'viewer')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(organization_id, user_id)
+);
+
+-- Named watchlists (shared with an organization, or personal)
+CREATE TABLE watchlists (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE watchlist_activity (
+  id SERIAL PRIMARY KEY,
+  organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+  watchlist_id INTEGER REFERENCES watchlists(id) ON DELETE SET NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(50) NOT NULL,
+  bill_id INTEGER REFERENCES bills(id) ON DELETE SET NULL,
+  details JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
 CREATE TABLE bill_favorites (
   id SERIAL PRIMARY KEY,
   session_id VARCHAR(255),
   email VARCHAR(255),
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  watchlist_id INTEGER REFERENCES watchlists(id) ON DELETE CASCADE,
   bill_id INTEGER REFERENCES bills(id) ON DELETE CASCADE,
+  added_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
   created_at TIMESTAMP DEFAULT NOW(),
   notes TEXT,
-  notification_enabled BOOLEAN DEFAULT TRUE
+  notification_enabled BOOLEAN DEFAULT TRUE,
+  position VARCHAR(20) CHECK (position IN ('support', 'oppose', 'monitor', 'amend')),
+  priority VARCHAR(10) CHECK (priority IN ('high', 'medium', 'low')),
+  tags TEXT[] DEFAULT '{}',
+  UNIQUE(session_id, bill_id),
+  UNIQUE(email, bill_id),
+  UNIQUE(user_id, bill_id),
+  UNIQUE(watchlist_id, bill_id)
+);
+
+-- Notes history on a followed bill (replies thread through parent_id)
+CREATE TABLE favorite_notes (
+  id SERIAL PRIMARY KEY,
+  favorite_id INTEGER REFERENCES bill_favorites(id) ON DELETE CASCADE,
+  parent_id INTEGER REFERENCES favorite_notes(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP
 );
 
 -- Sync metadata (track last sync times)
@@ -158,44 +393,176 @@ CREATE TABLE sync_metadata (
   status VARCHAR(50),
   records_synced INTEGER,
   error_message TEXT,
+  cursor JSONB,
   created_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Daily bill counts per session and stage (trend charts)
+CREATE TABLE pipeline_snapshots (
+  id SERIAL PRIMARY KEY,
+  snapshot_date DATE NOT NULL,
+  session_id VARCHAR(100) NOT NULL,
+  stage VARCHAR(50) NOT NULL,
+  bill_count INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(snapshot_date, session_id, stage)
+);
+
+-- Background job run history
+CREATE TABLE job_runs (
+  id SERIAL PRIMARY KEY,
+  job_name VARCHAR(100) NOT NULL,
+  trigger VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  started_at TIMESTAMP DEFAULT NOW(),
+  finished_at TIMESTAMP,
+  duration_ms INTEGER,
+  result JSONB,
+  error_message TEXT
+);
+
 -- Indexes for performance
 CREATE INDEX idx_bills_identifier ON bills(identifier);
+CREATE INDEX idx_bills_identifier_key ON bills(upper(regexp_replace(identifier, '[^A-Za-z0-9]', '', 'g')));
+CREATE INDEX idx_bills_type ON bills(chamber, bill_type);
+CREATE INDEX idx_bills_number ON bills(bill_number, chamber, bill_type);
 CREATE INDEX idx_bills_session ON bills(session_id);
 CREATE INDEX idx_bills_status ON bills(current_status);
 CREATE INDEX idx_bills_stage ON bills(stage);
+CREATE INDEX idx_bills_phase ON bills(phase, current_chamber, phase_stage);
 CREATE INDEX idx_bills_latest_action ON bills(latest_action_date DESC);
+CREATE INDEX idx_session_deadlines_date ON session_deadlines(deadline_date);
 CREATE INDEX idx_bill_actions_bill_date ON bill_actions(bill_id, date);
+CREATE UNIQUE INDEX idx_bill_actions_bill_order ON bill_actions(bill_id, order_index);
+CREATE INDEX idx_bill_actions_committee ON bill_actions(committee_id) WHERE committee_id IS NOT NULL;
+CREATE INDEX idx_committees_chamber ON committees(chamber);
+CREATE INDEX idx_committee_memberships_committee ON committee_memberships(committee_id);
+CREATE INDEX idx_committee_memberships_legislator ON committee_memberships(legislator_id);
+CREATE UNIQUE INDEX idx_bill_versions_bill_url ON bill_versions(bill_id, url);
 CREATE INDEX idx_bill_history_bill ON bill_history(bill_id, changed_at DESC);
+CREATE INDEX idx_bill_stage_periods_stage ON bill_stage_periods(phase_stage, chamber);
+CREATE INDEX idx_bill_stage_periods_committee ON bill_stage_periods(committee_id) WHERE committee_id IS NOT NULL;
+CREATE INDEX idx_legislators_chamber_district ON legislators(chamber, district);
 CREATE INDEX idx_sponsorships_bill ON sponsorships(bill_id);
+CREATE UNIQUE INDEX idx_sponsorships_bill_sponsor ON sponsorships(bill_id, name, classification);
 CREATE INDEX idx_sponsorships_legislator ON sponsorships(legislator_id);
 CREATE INDEX idx_votes_bill ON votes(bill_id);
+CREATE INDEX idx_legislator_votes_vote ON legislator_votes(vote_id);
+CREATE INDEX idx_legislator_votes_legislator ON legislator_votes(legislator_id);
+CREATE INDEX idx_scorecard_bills_bill ON scorecard_bills(bill_id);
 CREATE INDEX idx_email_subs_active ON email_subscriptions(email, is_active) WHERE is_active = TRUE;
 CREATE INDEX idx_email_subs_bill ON email_subscriptions(bill_id) WHERE is_active = TRUE;
+CREATE INDEX idx_email_subs_type ON email_subscriptions(subscription_type) WHERE is_active = TRUE;
+CREATE UNIQUE INDEX idx_email_subs_legislator ON email_subscriptions(email, legislator_id) WHERE subscription_type = 'legislator';
+CREATE INDEX idx_bills_updated ON bills(updated_at DESC);
+CREATE INDEX idx_bills_last_changed ON bills(last_changed_at DESC);
 CREATE INDEX idx_favorites_session ON bill_favorites(session_id) WHERE session_id IS NOT NULL;
 CREATE INDEX idx_favorites_email ON bill_favorites(email) WHERE email IS NOT NULL;
 CREATE INDEX idx_favorites_bill ON bill_favorites(bill_id);
+CREATE INDEX idx_favorites_user ON bill_favorites(user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX idx_login_tokens_email ON login_tokens(email, created_at DESC);
+CREATE INDEX idx_organization_members_user ON organization_members(user_id);
+CREATE INDEX idx_watchlists_organization ON watchlists(organization_id);
+CREATE INDEX idx_watchlist_activity_org ON watchlist_activity(organization_id, created_at DESC);
+CREATE INDEX idx_watchlist_activity_watchlist ON watchlist_activity(watchlist_id, created_at DESC);
+CREATE INDEX idx_favorites_watchlist ON bill_favorites(watchlist_id) WHERE watchlist_id IS NOT NULL;
+CREATE INDEX idx_favorites_tags ON bill_favorites USING GIN(tags);
+CREATE INDEX idx_favorite_notes_favorite ON favorite_notes(favorite_id, created_at);
+CREATE INDEX idx_job_runs_job ON job_runs(job_name, started_at DESC);
+CREATE INDEX idx_pipeline_snapshots_session ON pipeline_snapshots(session_id, snapshot_date);
+CREATE INDEX idx_notification_deliveries_sub ON notification_deliveries(subscription_id, created_at DESC);
+
+-- Full text search index
+CREATE INDEX idx_bills_search_vector ON bills USING gin(search_vector);
 
--- Full text search indexes
-CREATE INDEX idx_bills_title_search ON bills USING gin(to_tsvector('english', title));
-CREATE INDEX idx_bills_description_search ON bills USING gin(to_tsvector('english', description));
+-- Rebuild a bill's weighted search vector: identifier and title (A),
+-- description and subjects (B), text of the latest extracted version (D)
+CREATE OR REPLACE FUNCTION refresh_bill_search_vector(p_bill_id INTEGER)
+RETURNS VOID AS $$
+  UPDATE bills b
+  SET search_vector =
+    setweight(to_tsvector('simple', b.identifier || ' ' || replace(b.identifier, ' ', '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(b.title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(b.description, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE((
+      SELECT string_agg(subject, ' ')
+      FROM jsonb_array_elements_text(
+        CASE WHEN jsonb_typeof(b.subject) = 'array' THEN b.subject ELSE '[]'::jsonb END
+      ) subject
+    ), '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE((
+      SELECT left(v.text, 500000)
+      FROM bill_versions v
+      WHERE v.bill_id = b.id AND v.text IS NOT NULL
+      ORDER BY v.date DESC NULLS LAST, v.id DESC
+      LIMIT 1
+    ), '')), 'D')
+  WHERE b.id = p_bill_id;
+$$ LANGUAGE sql;
 
 -- Insert initial sync metadata
 INSERT INTO sync_metadata (sync_type, status) VALUES
   ('bills', 'pending'),
   ('legislators', 'pending'),
   ('actions', 'pending'),
-  ('votes', 'pending');
+  ('votes', 'pending'),
+  ('sessions', 'pending'),
+  ('committees', 'pending');
 
 -- Table comments
+COMMENT ON TABLE sessions IS 'Oklahoma legislative sessions synced from the Open States jurisdiction';
+COMMENT ON TABLE session_deadlines IS 'Per-session legislative deadline calendar; bills that miss a deadline are marked dead';
+COMMENT ON COLUMN session_deadlines.deadline_type IS 'committee_origin, floor_origin, committee_second, floor_second or sine_die';
+COMMENT ON TABLE committees IS 'Oklahoma House and Senate committees synced from Open States organizations';
+COMMENT ON COLUMN bill_actions.classifications IS 'Every Open States classification of the action (classification holds the first)';
+COMMENT ON COLUMN bill_actions.committee_id IS 'Committee named by the action (referrals, committee reports)';
 COMMENT ON TABLE bills IS 'Main table storing Oklahoma legislative bills';
+COMMENT ON COLUMN bills.bill_type IS 'bill, joint_resolution, concurrent_resolution or resolution (from the identifier prefix)';
+COMMENT ON COLUMN bills.chamber IS 'Chamber the identifier was filed in (lower = House, upper = Senate)';
+COMMENT ON COLUMN bills.bill_number IS 'Number from the identifier without prefix or leading zeros (HB 1234 -> 1234)';
+COMMENT ON COLUMN bills.origin_chamber IS 'Chamber the bill was filed in (lower = House, upper = Senate)';
+COMMENT ON COLUMN bills.current_chamber IS 'Chamber the bill is in now, or executive once it has left the Legislature';
+COMMENT ON COLUMN bills.phase IS 'origin_chamber, second_chamber, conference, governor or final';
+COMMENT ON COLUMN bills.phase_stage IS 'Stage within the current chamber, or the final outcome';
+COMMENT ON COLUMN bills.dead_at IS 'Date of the deadline the bill missed (stage dead) until it moves again';
+COMMENT ON COLUMN bills.dead_reason IS 'deadline_type of the missed deadline';
+COMMENT ON COLUMN bills.last_changed_at IS 'When the sync last saw a new action, title or stage (not every write of the row)';
+COMMENT ON COLUMN bills.search_vector IS 'Weighted full-text vector maintained by refresh_bill_search_vector()';
+COMMENT ON TABLE bill_versions IS 'Every published text version of a bill with extracted plain text where available';
+COMMENT ON COLUMN bill_versions.text_status IS 'extracted, unsupported (e.g. PDF only) or error (retried on next sync)';
 COMMENT ON TABLE bill_history IS 'Tracks historical changes to bill status and stage';
+COMMENT ON TABLE bill_stage_periods IS 'Pipeline positions each bill passed through, replayed from its actions (velocity and flow statistics)';
+COMMENT ON COLUMN bill_stage_periods.left_on IS 'Date the bill moved on; NULL while it is still there';
+COMMENT ON TABLE scorecards IS 'Legislator scorecards graded on a hand-picked set of bills';
+COMMENT ON COLUMN scorecard_bills.vote_id IS 'Roll call to score; NULL uses each legislator''s latest floor passage vote';
 COMMENT ON TABLE email_subscriptions IS 'User email subscriptions for bill notifications';
+COMMENT ON COLUMN email_subscriptions.subscription_type IS 'bill (single bill_id), search (saved search_criteria) or legislator (sponsor alerts for legislator_id)';
+COMMENT ON COLUMN email_subscriptions.search_criteria IS 'Saved /api/search/advanced criteria for search alerts';
+COMMENT ON COLUMN email_subscriptions.legislator_id IS 'Followed legislator for sponsor alerts';
+COMMENT ON COLUMN email_subscriptions.channel IS 'Delivery channel: email, webhook (signed JSON POST) or slack (incoming webhook)';
+COMMENT ON COLUMN email_subscriptions.webhook_secret IS 'HMAC-SHA256 key for the X-BillTracker-Signature header on webhook deliveries';
+COMMENT ON TABLE notification_deliveries IS 'Every notification delivery attempt with its outcome';
 COMMENT ON TABLE sync_metadata IS 'Tracks data synchronization from Open States API';
+COMMENT ON TABLE pipeline_snapshots IS 'Bill counts per session and stage, recorded after each sync (last sync of the day wins)';
+COMMENT ON COLUMN user_preferences.notification_frequency IS 'immediate, daily or weekly (digest) email delivery';
+COMMENT ON TABLE job_runs IS 'History of scheduled and manual background job runs';
+COMMENT ON COLUMN sync_metadata.cursor IS 'Resume point of an unfinished sync run (started_at, updated_since of the last bill written, seen_ids at that time)';
 COMMENT ON TABLE bill_favorites IS 'Stores user favorite/followed bills with optional email notifications';
 COMMENT ON COLUMN bill_favorites.session_id IS 'Browser session ID for anonymous users';
-COMMENT ON COLUMN bill_favorites.email IS 'Email for registered users (future feature)';
-COMMENT ON COLUMN bill_favorites.notes IS 'User personal notes about why they are following this bill';
+COMMENT ON COLUMN bill_favorites.email IS 'Legacy: favorites keyed by a bare address, claimed by the matching account on sign-in';
+COMMENT ON COLUMN bill_favorites.user_id IS 'Owning account; NULL for anonymous session favorites';
+COMMENT ON TABLE users IS 'Accounts; sign-in is by emailed magic link, there are no passwords';
+COMMENT ON TABLE login_tokens IS 'One-time magic link tokens (SHA-256 hashes only)';
+COMMENT ON COLUMN users.session_version IS 'Must match the version in a session cookie; bumped on sign-out to revoke every session';
+COMMENT ON TABLE organizations IS 'Teams that share watchlists';
+COMMENT ON COLUMN organization_members.role IS 'owner (members, deleting watchlists), editor (watchlists and their bills) or viewer (read only)';
+COMMENT ON TABLE watchlists IS 'Named lists of followed bills; organization_id NULL for a personal list of created_by';
+COMMENT ON TABLE watchlist_activity IS 'Who added or removed bills, edited notes, or changed watchlists and members';
+COMMENT ON COLUMN bill_favorites.watchlist_id IS 'Watchlist the bill is on; NULL for a personal or session favorite';
+COMMENT ON COLUMN bill_favorites.added_by IS 'Account that added the bill';
+COMMENT ON COLUMN bill_favorites.notes IS 'Legacy single note; notes are now kept in favorite_notes';
+COMMENT ON COLUMN bill_favorites.position IS 'Stance on the bill: support, oppose, monitor or amend';
+COMMENT ON COLUMN bill_favorites.priority IS 'high, medium or low';
+COMMENT ON COLUMN bill_favorites.tags IS 'Free-form lowercase tags';
+COMMENT ON TABLE favorite_notes IS 'Timestamped notes history on a followed bill; parent_id threads replies';
 COMMENT ON COLUMN bill_favorites.notification_enabled IS 'Whether to send email notifications for this favorite';
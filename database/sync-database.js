@@ -1,6 +1,12 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
 import pg from 'pg';
+import { fileURLToPath } from 'url';
+import { pickVersionLink, extractVersionText } from '../services/bill-text.js';
+import { explainPipeline } from '../services/stage-classifier.js';
+import { keepDeadStatus } from '../services/deadline-checker.js';
+import { refreshStageTimeline } from '../services/bill-timeline.js';
+import { parseIdentifier } from '../services/bill-identifier.js';
 
 dotenv.config();
 
@@ -10,35 +16,81 @@ const openStatesAPI = axios.create({
   baseURL: 'https://v3.openstates.org',
   headers: {
     'X-API-KEY': process.env.OPEN_STATES_API_KEY
-  }
+  },
+  // Open States expects repeated keys (include=a&include=b), not include[]=a
+  paramsSerializer: { indexes: null }
 });
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL
 });
 
-// Helper function to determine bill stage
-function determineBillStage(bill) {
-  if (!bill.actions || bill.actions.length === 0) {
-    return 'introduced';
-  }
-
-  const actionTypes = bill.actions.map(a => a.classification?.[0]).filter(Boolean);
+// Sync legislative sessions from the Open States jurisdiction
+async function syncSessions() {
+  console.log('📥 Syncing sessions...');
   
-  if (actionTypes.includes('executive-signature')) return 'signed';
-  if (actionTypes.includes('executive-veto')) return 'vetoed';
-  if (actionTypes.includes('became-law')) return 'became_law';
-  if (actionTypes.includes('passage')) {
-    const passageActions = bill.actions.filter(a => a.classification?.includes('passage'));
-    if (passageActions.length >= 2) return 'enrolled';
-    return 'passed_chamber';
+  try {
+    const response = await openStatesAPI.get('/jurisdictions/ocd-jurisdiction/country:us/state:ok/government', {
+      params: {
+        include: ['legislative_sessions']
+      }
+    });
+    
+    const sessions = response.data.legislative_sessions || [];
+    const today = new Date().toISOString().slice(0, 10);
+    
+    // The current session is the latest one that has started, falling back to
+    // the latest one listed when start dates are missing
+    const started = sessions
+      .filter(s => s.start_date && s.start_date.slice(0, 10) <= today)
+      .sort((a, b) => b.start_date.localeCompare(a.start_date));
+    const current = started[0] || sessions[sessions.length - 1];
+    
+    for (const session of sessions) {
+      await pool.query(`
+        INSERT INTO sessions (
+          identifier, name, classification, start_date, end_date, is_current
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (identifier) 
+        DO UPDATE SET
+          name = EXCLUDED.name,
+          classification = EXCLUDED.classification,
+          start_date = EXCLUDED.start_date,
+          end_date = EXCLUDED.end_date,
+          is_current = EXCLUDED.is_current,
+          updated_at = NOW()
+      `, [
+        session.identifier,
+        session.name,
+        session.classification,
+        session.start_date ? session.start_date.slice(0, 10) : null,
+        session.end_date ? session.end_date.slice(0, 10) : null,
+        session.identifier === current?.identifier
+      ]);
+    }
+    
+    await pool.query(`
+      UPDATE sync_metadata 
+      SET last_sync_at = NOW(), 
+          last_success_at = NOW(),
+          status = 'success',
+          records_synced = $1
+      WHERE sync_type = 'sessions'
+    `, [sessions.length]);
+    
+    console.log(`✅ Synced ${sessions.length} sessions (current: ${current?.identifier || 'unknown'})`);
+    return current?.identifier || null;
+  } catch (error) {
+    console.error('❌ Error syncing sessions:', error.message);
+    await pool.query(`
+      UPDATE sync_metadata 
+      SET last_sync_at = NOW(), 
+          status = 'error',
+          error_message = $1
+      WHERE sync_type = 'sessions'
+    `, [error.message]);
+    throw error;
   }
-  if (actionTypes.includes('committee-passage')) return 'committee_approved';
-  if (actionTypes.includes('referral-committee')) return 'committee';
-  if (actionTypes.includes('reading-3')) return 'floor_calendar';
-  if (actionTypes.includes('introduction')) return 'introduced';
-  
-  return 'introduced';
 }
 
 // Sync legislators
@@ -53,6 +105,7 @@ async function syncLegislators() {
       const response = await openStatesAPI.get('/people', {
         params: {
           jurisdiction: 'ok',
+          include: ['offices', 'links'],
           page: page,
           per_page: 20
         }
@@ -62,27 +115,36 @@ async function syncLegislators() {
       if (legislators.length === 0) break;
       
       for (const legislator of legislators) {
+        const capitolOffice = legislator.offices?.find(o => o.classification === 'capitol') || legislator.offices?.[0];
+        
         await pool.query(`
           INSERT INTO legislators (
             openstates_id, name, party, chamber, district, 
-            image_url, email, phone
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            image_url, email, phone, capitol_address, website
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
           ON CONFLICT (openstates_id) 
           DO UPDATE SET
             name = EXCLUDED.name,
             party = EXCLUDED.party,
             chamber = EXCLUDED.chamber,
             district = EXCLUDED.district,
+            image_url = EXCLUDED.image_url,
+            email = EXCLUDED.email,
+            phone = EXCLUDED.phone,
+            capitol_address = EXCLUDED.capitol_address,
+            website = EXCLUDED.website,
             updated_at = NOW()
         `, [
           legislator.id,
           legislator.name,
           legislator.party?.[0]?.name || legislator.current_party,
-          legislator.current_role?.chamber,
+          legislator.current_role?.org_classification || legislator.current_role?.chamber,
           legislator.current_role?.district,
           legislator.image,
           legislator.email || null,
-          legislator.phone || null
+          capitolOffice?.voice || legislator.phone || null,
+          capitolOffice?.address || null,
+          legislator.links?.[0]?.url || null
         ]);
       }
       
@@ -119,29 +181,364 @@ async function syncLegislators() {
   }
 }
 
-// Sync bills
-async function syncBills() {
+// Sync House and Senate committees with their members
+async function syncCommittees() {
+  console.log('📥 Syncing committees...');
+  
+  try {
+    let totalSynced = 0;
+    const parents = [];
+    
+    for (const chamber of ['upper', 'lower']) {
+      let page = 1;
+      
+      while (true) {
+        const response = await openStatesAPI.get('/committees', {
+          params: {
+            jurisdiction: 'ok',
+            chamber,
+            include: ['memberships'],
+            page: page,
+            per_page: 20
+          }
+        });
+        
+        const committees = response.data.results;
+        if (committees.length === 0) break;
+        
+        for (const committee of committees) {
+          const committeeResult = await pool.query(`
+            INSERT INTO committees (openstates_id, name, chamber, classification)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (openstates_id)
+            DO UPDATE SET
+              name = EXCLUDED.name,
+              chamber = EXCLUDED.chamber,
+              classification = EXCLUDED.classification,
+              updated_at = NOW()
+            RETURNING id
+          `, [committee.id, committee.name, chamber, committee.classification]);
+          
+          const committeeId = committeeResult.rows[0].id;
+          if (committee.classification === 'subcommittee' && committee.parent_id) {
+            parents.push([committeeId, committee.parent_id]);
+          }
+          
+          // Membership changes through the session, so replace it wholesale
+          await pool.query('DELETE FROM committee_memberships WHERE committee_id = $1', [committeeId]);
+          for (const membership of committee.memberships || []) {
+            const legislatorId = await findLegislatorId(membership.person, membership.person_name);
+            await pool.query(`
+              INSERT INTO committee_memberships (committee_id, legislator_id, person_name, role)
+              VALUES ($1, $2, $3, $4)
+            `, [committeeId, legislatorId, membership.person?.name || membership.person_name, membership.role || 'member']);
+          }
+        }
+        
+        totalSynced += committees.length;
+        console.log(`  Synced ${totalSynced} committees...`);
+        
+        if (!response.data.pagination || page >= response.data.pagination.max_page) break;
+        page++;
+        
+        await new Promise(resolve => setTimeout(resolve, 200));
+      }
+    }
+    
+    // Link subcommittees once every parent exists
+    for (const [committeeId, parentOpenstatesId] of parents) {
+      await pool.query(`
+        UPDATE committees
+        SET parent_id = (SELECT id FROM committees WHERE openstates_id = $2)
+        WHERE id = $1
+      `, [committeeId, parentOpenstatesId]);
+    }
+    
+    await pool.query(`
+      UPDATE sync_metadata 
+      SET last_sync_at = NOW(), 
+          last_success_at = NOW(),
+          status = 'success',
+          records_synced = $1,
+          error_message = NULL
+      WHERE sync_type = 'committees'
+    `, [totalSynced]);
+    
+    console.log(`✅ Synced ${totalSynced} committees`);
+    return totalSynced;
+  } catch (error) {
+    console.error('❌ Error syncing committees:', error.message);
+    await pool.query(`
+      UPDATE sync_metadata 
+      SET last_sync_at = NOW(), 
+          status = 'error',
+          error_message = $1
+      WHERE sync_type = 'committees'
+    `, [error.message]);
+    throw error;
+  }
+}
+
+// Resolve the committee an action names (referrals, committee reports) by
+// Open States organization ID first and name second, preferring the action's chamber
+async function findCommitteeId(action) {
+  for (const entity of action.related_entities || []) {
+    if (entity.entity_type !== 'organization') continue;
+    
+    if (entity.organization?.id) {
+      const byId = await pool.query(
+        'SELECT id FROM committees WHERE openstates_id = $1',
+        [entity.organization.id]
+      );
+      if (byId.rows.length > 0) return byId.rows[0].id;
+    }
+    
+    const byName = await pool.query(`
+      SELECT id FROM committees
+      WHERE lower(name) = lower($1)
+        OR lower(name) = lower(regexp_replace($1, '\\s+Committee$', '', 'i'))
+      ORDER BY (chamber = $2) DESC NULLS LAST
+      LIMIT 1
+    `, [entity.name, action.organization?.classification || null]);
+    if (byName.rows.length > 0) return byName.rows[0].id;
+  }
+  
+  return null;
+}
+
+// Resolve an Open States person (voter or sponsor) to a legislators row, by person ID first and name second
+async function findLegislatorId(voter, voterName) {
+  if (voter?.id) {
+    const byId = await pool.query(
+      'SELECT id FROM legislators WHERE openstates_id = $1',
+      [voter.id]
+    );
+    if (byId.rows.length > 0) return byId.rows[0].id;
+  }
+  
+  const name = voter?.name || voterName;
+  if (!name) return null;
+  
+  const byName = await pool.query(
+    'SELECT id FROM legislators WHERE name = $1 LIMIT 1',
+    [name]
+  );
+  return byName.rows[0]?.id || null;
+}
+
+// Link to the most recent version's text
+function latestVersionUrl(bill) {
+  const versions = [...(bill.versions || [])]
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  return pickVersionLink(versions[versions.length - 1] || {})?.url || null;
+}
+
+// Sync every text version of a single bill (introduced, committee substitutes,
+// engrossed, enrolled...). Text is extracted once per version where the
+// format allows it; failed downloads are retried on the next sync.
+async function syncBillVersions(billId, bill) {
+  let versionsSynced = 0;
+  
+  for (const version of bill.versions || []) {
+    const link = pickVersionLink(version);
+    if (!link?.url) continue;
+    
+    const versionResult = await pool.query(`
+      INSERT INTO bill_versions (bill_id, note, date, classification, url, media_type, links)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (bill_id, url)
+      DO UPDATE SET
+        note = EXCLUDED.note,
+        date = EXCLUDED.date,
+        classification = EXCLUDED.classification,
+        media_type = EXCLUDED.media_type,
+        links = EXCLUDED.links
+      RETURNING id, text_status
+    `, [
+      billId,
+      version.note,
+      version.date || null,
+      version.classification || null,
+      link.url,
+      link.media_type || null,
+      JSON.stringify(version.links || [])
+    ]);
+    
+    const { id, text_status } = versionResult.rows[0];
+    
+    if (text_status === null || text_status === 'error') {
+      const extracted = await extractVersionText(link);
+      await pool.query(`
+        UPDATE bill_versions
+        SET text = $2,
+            text_status = $3,
+            text_error = $4,
+            text_extracted_at = NOW()
+        WHERE id = $1
+      `, [id, extracted.text, extracted.status, extracted.error]);
+    }
+    
+    versionsSynced++;
+  }
+  
+  return versionsSynced;
+}
+
+// Sync roll-call votes for a single bill
+async function syncVotes(billId, bill) {
+  let votesSynced = 0;
+  
+  for (const vote of bill.votes || []) {
+    const counts = {};
+    (vote.counts || []).forEach(c => {
+      counts[c.option] = (counts[c.option] || 0) + c.value;
+    });
+    const otherCount = Object.entries(counts)
+      .filter(([option]) => option !== 'yes' && option !== 'no')
+      .reduce((sum, [, value]) => sum + value, 0);
+    
+    const voteResult = await pool.query(`
+      INSERT INTO votes (
+        bill_id, openstates_id, date, motion_text, motion_classification,
+        result, chamber, yes_count, no_count, other_count
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (openstates_id) 
+      DO UPDATE SET
+        date = EXCLUDED.date,
+        motion_text = EXCLUDED.motion_text,
+        motion_classification = EXCLUDED.motion_classification,
+        result = EXCLUDED.result,
+        chamber = EXCLUDED.chamber,
+        yes_count = EXCLUDED.yes_count,
+        no_count = EXCLUDED.no_count,
+        other_count = EXCLUDED.other_count
+      RETURNING id
+    `, [
+      billId,
+      vote.id,
+      vote.start_date ? vote.start_date.slice(0, 10) : null,
+      vote.motion_text,
+      vote.motion_classification?.[0] || null,
+      vote.result,
+      vote.organization?.classification,
+      counts.yes || 0,
+      counts.no || 0,
+      otherCount
+    ]);
+    
+    const voteId = voteResult.rows[0].id;
+    
+    // Replace the member breakdown so corrected roll calls don't leave stale rows
+    await pool.query('DELETE FROM legislator_votes WHERE vote_id = $1', [voteId]);
+    
+    for (const memberVote of vote.votes || []) {
+      const legislatorId = await findLegislatorId(memberVote.voter, memberVote.voter_name);
+      
+      await pool.query(`
+        INSERT INTO legislator_votes (vote_id, legislator_id, voter_name, option)
+        VALUES ($1, $2, $3, $4)
+      `, [
+        voteId,
+        legislatorId,
+        memberVote.voter_name || memberVote.voter?.name,
+        memberVote.option
+      ]);
+    }
+    
+    votesSynced++;
+  }
+  
+  return votesSynced;
+}
+
+// Read the checkpoint row for a sync type
+async function getSyncCheckpoint(syncType) {
+  const result = await pool.query(
+    'SELECT last_success_at, status, cursor FROM sync_metadata WHERE sync_type = $1',
+    [syncType]
+  );
+  return result.rows[0] || {};
+}
+
+// Sync bills (only those updated since the last successful run, unless full)
+async function syncBills({ full = false } = {}) {
   console.log('📥 Syncing bills...');
   
   try {
+    const checkpoint = await getSyncCheckpoint('bills');
+    const currentSession = await pool.query(
+      'SELECT identifier FROM sessions WHERE is_current = TRUE LIMIT 1'
+    );
+    const fallbackSession = currentSession.rows[0]?.identifier;
+    
+    // The cursor is the updated_at of the last bill written (plus the ids
+    // already written at exactly that time). Every request asks for bills
+    // updated since it, so a bill that changes mid-run moves behind the cursor
+    // instead of shifting a page boundary past an unsynced bill. An
+    // interrupted run resumes from its cursor; a new run starts from the last
+    // successful sync.
+    let cursor;
+    if (!full && checkpoint.cursor?.updated_since) {
+      cursor = { seen_ids: [], ...checkpoint.cursor };
+      console.log(`  Resuming interrupted sync from bills updated at ${cursor.updated_since}`);
+    } else {
+      cursor = {
+        started_at: new Date().toISOString(),
+        updated_since: full ? null : checkpoint.last_success_at?.toISOString() || null,
+        seen_ids: []
+      };
+    }
+    
+    if (cursor.updated_since) {
+      console.log(`  Fetching bills updated since ${cursor.updated_since}`);
+    }
+    
+    await pool.query(`
+      UPDATE sync_metadata 
+      SET last_sync_at = NOW(), 
+          status = 'running',
+          cursor = $1
+      WHERE sync_type = 'bills'
+    `, [cursor]);
+    
+    // Only advances past page 1 while a whole page shares the cursor's time
     let page = 1;
     let totalSynced = 0;
-    const maxPages = 20; // Fetch up to 400 bills
+    let votesSynced = 0;
     
-    while (page <= maxPages) {
-      const response = await openStatesAPI.get('/bills', {
-        params: {
-          jurisdiction: 'ok',
-          page: page,
-          per_page: 20
-        }
-      });
+    while (true) {
+      const params = {
+        jurisdiction: 'ok',
+        include: ['sponsorships', 'actions', 'votes', 'versions'],
+        sort: 'updated_asc',
+        page: page,
+        per_page: 20
+      };
+      if (cursor.updated_since) params.updated_since = cursor.updated_since;
       
-      const bills = response.data.results;
-      if (bills.length === 0) break;
+      const response = await openStatesAPI.get('/bills', { params });
+      
+      const results = response.data.results;
+      if (results.length === 0) break;
+      
+      const bills = results.filter(bill =>
+        !(bill.updated_at === cursor.updated_since && cursor.seen_ids.includes(bill.id))
+      );
+      if (bills.length === 0) {
+        if (!response.data.pagination || page >= response.data.pagination.max_page) break;
+        page++;
+        continue;
+      }
       
       for (const bill of bills) {
-        const stage = determineBillStage(bill);
+        // Bills marked dead by the deadline job stay dead until they move
+        const stored = await pool.query(
+          'SELECT dead_at, dead_reason FROM bills WHERE openstates_id = $1',
+          [bill.id]
+        );
+        const pipeline = keepDeadStatus(stored.rows[0], explainPipeline(bill), bill.latest_action_date);
+        const stage = pipeline.stage;
+        const parsedIdentifier = parseIdentifier(bill.identifier);
         
         // Insert/update bill
         const billResult = await pool.query(`
@@ -149,34 +546,62 @@ async function syncBills() {
             openstates_id, session_id, identifier, title, description,
             classification, subject, current_status, current_chamber, stage,
             first_action_date, latest_action_date, latest_action_description,
-            full_text_url, openstates_url
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+            full_text_url, openstates_url, origin_chamber, phase, phase_stage,
+            dead_at, dead_reason, bill_type, chamber, bill_number
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
           ON CONFLICT (openstates_id) 
           DO UPDATE SET
             title = EXCLUDED.title,
+            bill_type = EXCLUDED.bill_type,
+            chamber = EXCLUDED.chamber,
+            bill_number = EXCLUDED.bill_number,
             current_status = EXCLUDED.current_status,
+            current_chamber = EXCLUDED.current_chamber,
             stage = EXCLUDED.stage,
+            origin_chamber = EXCLUDED.origin_chamber,
+            phase = EXCLUDED.phase,
+            phase_stage = EXCLUDED.phase_stage,
+            dead_at = EXCLUDED.dead_at,
+            dead_reason = EXCLUDED.dead_reason,
             latest_action_date = EXCLUDED.latest_action_date,
             latest_action_description = EXCLUDED.latest_action_description,
+            full_text_url = EXCLUDED.full_text_url,
+            -- Re-writing an unchanged bill (e.g. a --full resync) is not a change
+            last_changed_at = CASE
+              WHEN bills.latest_action_date IS DISTINCT FROM EXCLUDED.latest_action_date
+                OR bills.latest_action_description IS DISTINCT FROM EXCLUDED.latest_action_description
+                OR bills.title IS DISTINCT FROM EXCLUDED.title
+                OR bills.stage IS DISTINCT FROM EXCLUDED.stage
+              THEN NOW()
+              ELSE bills.last_changed_at
+            END,
             updated_at = NOW()
           RETURNING id, stage, 
             (SELECT stage FROM bills WHERE openstates_id = $1) as old_stage
         `, [
           bill.id,
-          bill.session?.identifier || '2026',
+          bill.session?.identifier || bill.session || fallbackSession,
           bill.identifier,
           bill.title,
           bill.description || bill.title,
           bill.classification,
           JSON.stringify(bill.subject || []),
           bill.latest_action_description,
-          bill.from_organization?.classification,
+          pipeline.current_chamber,
           stage,
           bill.first_action_date,
           bill.latest_action_date,
           bill.latest_action_description,
-          bill.versions?.[0]?.url || null,
-          `https://openstates.org/ok/bills/${bill.session?.identifier}/${bill.identifier}`
+          latestVersionUrl(bill),
+          `https://openstates.org/ok/bills/${bill.session?.identifier || bill.session || fallbackSession}/${bill.identifier}`,
+          pipeline.origin_chamber,
+          pipeline.phase,
+          pipeline.phase_stage,
+          pipeline.dead_at,
+          pipeline.dead_reason,
+          parsedIdentifier?.bill_type || null,
+          parsedIdentifier?.chamber || null,
+          parsedIdentifier?.number ?? null
         ]);
         
         const billId = billResult.rows[0].id;
@@ -194,39 +619,53 @@ async function syncBills() {
         if (bill.actions && bill.actions.length > 0) {
           for (let i = 0; i < bill.actions.length; i++) {
             const action = bill.actions[i];
+            const committeeId = await findCommitteeId(action);
             await pool.query(`
               INSERT INTO bill_actions (
-                bill_id, date, description, classification, chamber, order_index
-              ) VALUES ($1, $2, $3, $4, $5, $6)
-              ON CONFLICT DO NOTHING
+                bill_id, date, description, classification, classifications, chamber, order_index, committee_id
+              ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+              ON CONFLICT (bill_id, order_index) 
+              DO UPDATE SET
+                date = EXCLUDED.date,
+                description = EXCLUDED.description,
+                classification = EXCLUDED.classification,
+                classifications = EXCLUDED.classifications,
+                chamber = EXCLUDED.chamber,
+                committee_id = EXCLUDED.committee_id
             `, [
               billId,
               action.date,
               action.description,
               action.classification?.[0] || null,
+              JSON.stringify(action.classification || []),
               action.organization?.classification,
-              i
+              i,
+              committeeId
             ]);
           }
         }
         
+        await refreshStageTimeline(billId);
+        
         // Sync sponsorships
         if (bill.sponsorships && bill.sponsorships.length > 0) {
           for (const sponsor of bill.sponsorships) {
-            // Try to find legislator
-            const legislatorResult = await pool.query(
-              'SELECT id FROM legislators WHERE name = $1 LIMIT 1',
-              [sponsor.name]
-            );
+            // Link to the legislator (sponsor alerts rely on this)
+            const legislatorId = sponsor.entity_type !== 'organization'
+              ? await findLegislatorId(sponsor.person, sponsor.name)
+              : null;
             
             await pool.query(`
               INSERT INTO sponsorships (
                 bill_id, legislator_id, name, classification, entity_type, primary_sponsor
               ) VALUES ($1, $2, $3, $4, $5, $6)
-              ON CONFLICT DO NOTHING
+              ON CONFLICT (bill_id, name, classification) 
+              DO UPDATE SET
+                legislator_id = EXCLUDED.legislator_id,
+                primary_sponsor = EXCLUDED.primary_sponsor
             `, [
               billId,
-              legislatorResult.rows[0]?.id || null,
+              legislatorId,
               sponsor.name,
               sponsor.classification,
               sponsor.entity_type,
@@ -234,27 +673,60 @@ async function syncBills() {
             ]);
           }
         }
+        
+        // Sync roll-call votes
+        votesSynced += await syncVotes(billId, bill);
+        
+        // Sync text versions
+        await syncBillVersions(billId, bill);
+        
+        // Re-index for search now that title and text are current
+        await pool.query('SELECT refresh_bill_search_vector($1)', [billId]);
+        
+        if (bill.updated_at && bill.updated_at !== cursor.updated_since) {
+          cursor = { ...cursor, updated_since: bill.updated_at, seen_ids: [bill.id] };
+        } else {
+          cursor = { ...cursor, seen_ids: [...cursor.seen_ids, bill.id] };
+        }
       }
       
       totalSynced += bills.length;
-      console.log(`  Synced ${totalSynced} bills...`);
+      console.log(`  Synced ${totalSynced} bills (through ${cursor.updated_since})...`);
       
-      if (!response.data.pagination || page >= response.data.pagination.max_page) break;
-      page++;
+      // Checkpoint after each page so an interrupted run can resume here
+      await pool.query(
+        "UPDATE sync_metadata SET cursor = $1 WHERE sync_type = 'bills'",
+        [cursor]
+      );
+      page = 1;
       
       await new Promise(resolve => setTimeout(resolve, 200));
     }
     
+    // The next run starts from the last bill's Open States updated_at rather
+    // than our own clock, so clock skew between us and Open States cannot
+    // drop a bill
+    await pool.query(`
+      UPDATE sync_metadata 
+      SET last_sync_at = NOW(), 
+          last_success_at = $2::timestamptz,
+          status = 'success',
+          records_synced = $1,
+          error_message = NULL,
+          cursor = NULL
+      WHERE sync_type = 'bills'
+    `, [totalSynced, cursor.updated_since || cursor.started_at]);
+    
     await pool.query(`
       UPDATE sync_metadata 
       SET last_sync_at = NOW(), 
           last_success_at = NOW(),
           status = 'success',
           records_synced = $1
-      WHERE sync_type = 'bills'
-    `, [totalSynced]);
+      WHERE sync_type = 'votes'
+    `, [votesSynced]);
     
-    console.log(`✅ Synced ${totalSynced} bills`);
+    console.log(`✅ Synced ${totalSynced} bills (${votesSynced} votes)`);
     return totalSynced;
   } catch (error) {
     console.error('❌ Error syncing bills:', error.message);
@@ -269,7 +741,60 @@ async function syncBills() {
   }
 }
 
-// Main sync function
+// Record today's bill counts per session and stage for the trend charts.
+// Later syncs the same day replace the day's snapshot in one transaction, so
+// the charts never see the day missing or half written.
+async function recordPipelineSnapshot() {
+  const client = await pool.connect();
+  let result;
+  
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM pipeline_snapshots WHERE snapshot_date = CURRENT_DATE');
+    
+    result = await client.query(`
+      INSERT INTO pipeline_snapshots (snapshot_date, session_id, stage, bill_count)
+      SELECT CURRENT_DATE, session_id, COALESCE(stage, 'introduced'), COUNT(*)
+      FROM bills
+      GROUP BY session_id, COALESCE(stage, 'introduced')
+    `);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  
+  console.log(`📸 Recorded pipeline snapshot (${result.rowCount} session/stage counts)`);
+  return result.rowCount;
+}
+
+// Sync everything in dependency order; shared by the CLI and the job scheduler
+export async function syncAll({ full = false } = {}) {
+  // Sync sessions first so bills can be tied to the current one
+  const currentSession = await syncSessions();
+  console.log('');
+  
+  // Sync legislators before bills so sponsors and voters resolve
+  const legislators = await syncLegislators();
+  console.log('');
+  
+  // Sync committees before bills so referral actions can be linked
+  const committees = await syncCommittees();
+  console.log('');
+  
+  // Sync bills and related data
+  const bills = await syncBills({ full });
+  console.log('');
+  
+  const snapshot = await recordPipelineSnapshot();
+  console.log('');
+  
+  return { current_session: currentSession, legislators, committees, bills, snapshot };
+}
+
+// Main sync function (CLI)
 async function runSync() {
   console.log('╔═══════════════════════════════════════════════════════════════╗');
   console.log('║                                                               ║');
@@ -285,13 +810,8 @@ async function runSync() {
     await pool.query('SELECT NOW()');
     console.log('✅ Database connection successful\n');
     
-    // Sync legislators first
-    await syncLegislators();
-    console.log('');
-    
-    // Sync bills and related data
-    await syncBills();
-    console.log('');
+    // --full ignores the incremental checkpoint
+    await syncAll({ full: process.argv.includes('--full') });
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     
@@ -305,11 +825,15 @@ async function runSync() {
     
   } catch (error) {
     console.error('\n❌ Sync failed:', error.message);
-    process.exit(1);
+    process.exitCode = 1;
   } finally {
     await pool.end();
   }
 }
 
-// Run the sync
-runSync();
+// Run the sync when executed directly (the server imports syncAll instead)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runSync();
+}
+
+export { syncSessions, syncLegislators, syncCommittees, syncBills, recordPipelineSnapshot };
@@ -217,6 +217,7 @@ echo "━━━━━━━━━━━━━━━━━━━━━━━━
 
 REQUIRED_FILES=(
     "server-complete.js"
+    "config/stage-rules.json"
     "database/schema.sql"
     "database/add-favorites.sql"
     "database/sync-database.js"
@@ -281,6 +282,10 @@ EMAIL_FROM=$EMAIL_FROM
 
 # Application
 APP_URL=https://nexuscore.vedemracing.com
+
+# Background jobs (minutes, 0 = manual only)
+SYNC_INTERVAL_MINUTES=240
+NOTIFICATION_INTERVAL_MINUTES=60
 EOF
 
 chmod 600 "$APP_DIR/.env"
@@ -390,15 +395,10 @@ sed -i '/sync-database.js/d' "$CRON_TEMP"
 sed -i '/notification-checker.js/d' "$CRON_TEMP"
 
 # Add new entries
+# (bill sync and notifications now run inside the server's job scheduler)
 cat >> "$CRON_TEMP" << EOF
 
 # Oklahoma Bill Tracker - Automated Tasks
-# Sync bills every 4 hours
-0 */4 * * * cd $APP_DIR && /usr/bin/node database/sync-database.js >> /var/log/bill-sync.log 2>&1
-
-# Check for notifications every hour
-0 * * * * cd $APP_DIR && /usr/bin/node services/notification-checker.js >> /var/log/notifications.log 2>&1
-
 # Backup database daily at 3am
 0 3 * * * pg_dump -U $DB_USER oklahoma_bills | gzip > /var/backups/oklahoma_bills_\$(date +\\%Y\\%m\\%d).sql.gz
 EOF
@@ -406,8 +406,8 @@ EOF
 crontab "$CRON_TEMP"
 rm "$CRON_TEMP"
 
-print_success "Bill sync: Every 4 hours"
-print_success "Notifications: Every hour"
+print_success "Bill sync: Every 4 hours (in-process scheduler)"
+print_success "Notifications: Every hour (in-process scheduler)"
 print_success "Backups: Daily at 3am"
 echo ""
 
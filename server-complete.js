@@ -8,6 +8,27 @@ import pg from 'pg';
 import crypto from 'crypto';
 import emailService from './services/email-service.js';
 import exportService from './services/export-service.js';
+import jobScheduler from './services/job-scheduler.js';
+import { requireAdmin } from './services/admin-auth.js';
+import { buildSearchFilters, normalizeCriteria, describeCriteria } from './services/bill-search.js';
+import { checkNotifications, checkSearchAlerts, checkSponsorAlerts, sendDigests } from './services/notification-checker.js';
+import { syncAll } from './database/sync-database.js';
+import { reclassifyBills } from './services/stage-reclassifier.js';
+import { PIPELINE_PHASES, CHAMBER_STAGES } from './services/stage-classifier.js';
+import { DEADLINE_TYPES, markDeadBills, findAtRiskBills } from './services/deadline-checker.js';
+import { POSITIONS, getScorecard } from './services/scorecard-service.js';
+import {
+  SESSION_COOKIE, LOGIN_TOKEN_MINUTES, normalizeEmail, createLoginToken, redeemLoginToken,
+  createSessionCookie, readSessionCookie, parseCookies, getUser, revokeSessions
+} from './services/auth-service.js';
+import { MAX_IMPORT_ROWS } from './services/import-parser.js';
+import { readRows, matchImportRows } from './services/favorites-import.js';
+import { TRACKING_POSITIONS, PRIORITIES, parseTracking, trackingFilters } from './services/tracking-fields.js';
+import { getNotes, getNoteThread } from './services/favorite-tracking.js';
+import { ROLES, ACTIVITY_ACTIONS, hasRole, getMemberRole, getWatchlistAccess, listWatchlists, logActivity, getActivity } from './services/workspace-service.js';
+import { CHANNEL_TYPES, checkTargetUrl, deliver } from './services/notification-channels.js';
+import { diffLines } from './services/bill-text.js';
+import { identifierKey, identifierKeySql } from './services/bill-identifier.js';
 
 dotenv.config();
 
@@ -31,6 +52,38 @@ pool.query('SELECT NOW()').then(() => {
   console.error('❌ Database connection error:', err);
 });
 
+// Background jobs (run in-process instead of from crontab)
+jobScheduler.registerJob('sync', async () => {
+  const result = await syncAll();
+  // Saved searches and followed legislators are matched against whatever the sync just added or changed
+  result.search_alerts = await checkSearchAlerts();
+  result.sponsor_alerts = await checkSponsorAlerts();
+  return result;
+}, {
+  intervalMinutes: parseInt(process.env.SYNC_INTERVAL_MINUTES || '240'),
+  description: 'Sync sessions, legislators and bills from Open States'
+});
+
+jobScheduler.registerJob('notifications', () => checkNotifications(), {
+  intervalMinutes: parseInt(process.env.NOTIFICATION_INTERVAL_MINUTES || '60'),
+  description: 'Email subscribers about bill status changes'
+});
+
+jobScheduler.registerJob('digests', () => sendDigests(), {
+  intervalMinutes: parseInt(process.env.DIGEST_INTERVAL_MINUTES || '60'),
+  description: 'Send daily and weekly digest emails that are due'
+});
+
+jobScheduler.registerJob('deadlines', () => markDeadBills(), {
+  intervalMinutes: parseInt(process.env.DEADLINE_INTERVAL_MINUTES || '1440'),
+  description: 'Mark bills dead once they miss a legislative deadline'
+});
+
+// Manual only: run after changing the stage rules
+jobScheduler.registerJob('reclassify', () => reclassifyBills(), {
+  description: 'Re-run stage classification rules over every stored bill'
+});
+
 // Open States API client
 const openStatesAPI = axios.create({
   baseURL: 'https://v3.openstates.org',
@@ -44,7 +97,7 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static(join(__dirname, 'public')));
 
-// Simple session management (for favorites without login)
+// Anonymous browser session (favorites before signing in)
 app.use((req, res, next) => {
   if (!req.headers['x-session-id']) {
     req.sessionId = crypto.randomUUID();
@@ -55,14 +108,247 @@ app.use((req, res, next) => {
   next();
 });
 
+// Signed-in account from the session cookie (req.user, null when signed out)
+app.use(async (req, res, next) => {
+  req.user = null;
+  const session = readSessionCookie(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  if (!session) return next();
+  
+  try {
+    req.user = await getUser(session.userId, session.version);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  next();
+}
+
+// Favorites belong to the account when signed in, otherwise to the browser
+// session. ?watchlist= (or watchlist in the body) targets a watchlist instead,
+// which needs a signed-in user with at least minimumRole on it.
+// Returns { status, error } when refused.
+async function favoriteOwner(req, minimumRole = 'viewer') {
+  const watchlistId = req.query.watchlist || req.body?.watchlist;
+  
+  if (!watchlistId) {
+    return req.user
+      ? { column: 'user_id', value: req.user.id }
+      : { column: 'session_id', value: req.sessionId };
+  }
+  
+  if (!req.user) {
+    return { status: 401, error: 'Sign in to use watchlists' };
+  }
+  
+  const access = /^\d+$/.test(String(watchlistId)) ? await getWatchlistAccess(watchlistId, req.user.id) : null;
+  if (!access) {
+    return { status: 404, error: 'Watchlist not found' };
+  }
+  if (!hasRole(access.role, minimumRole)) {
+    return { status: 403, error: `The ${minimumRole} role is required for this watchlist` };
+  }
+  
+  return { column: 'watchlist_id', value: access.watchlist.id, watchlist: access.watchlist, role: access.role };
+}
+
+// Run work(client) between BEGIN and COMMIT on one pooled client, rolling
+// back when it throws. Resolves what work returns.
+async function withTransaction(work) {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Resolve the ?session= filter: an explicit identifier, 'all' for every
+// session, or the current legislative session when omitted
+async function resolveSession(session) {
+  if (session === 'all') return null;
+  if (session) return session;
+  
+  const result = await pool.query(
+    'SELECT identifier FROM sessions WHERE is_current = TRUE ORDER BY start_date DESC LIMIT 1'
+  );
+  return result.rows[0]?.identifier || null;
+}
+
+// Find a bill by identifier in any format ("HB 1234", "hb1234", "H.B. 1234");
+// identifiers repeat every session, so prefer the requested session and
+// otherwise the most recently active bill
+async function findBillByIdentifier(identifier, session) {
+  const key = identifierKey(identifier);
+  if (!key) return null;
+  
+  const result = await pool.query(`
+    SELECT id, identifier, session_id FROM bills
+    WHERE ${identifierKeySql('identifier')} = $1 AND ($2::text IS NULL OR session_id = $2)
+    ORDER BY latest_action_date DESC NULLS LAST
+    LIMIT 1
+  `, [key, session && session !== 'all' ? session : null]);
+  return result.rows[0] || null;
+}
+
+// Drop the internal full-text vector from a bills row before returning it
+function withoutSearchVector({ search_vector, ...bill }) {
+  return bill;
+}
+
+// Read the delivery channel of a new subscription from the request body.
+// Webhook subscriptions get a fresh signing secret. Returns { error } when invalid
+// (webhook and Slack targets must be public https URLs).
+async function parseDeliveryChannel({ channel = 'email', targetUrl } = {}) {
+  if (!CHANNEL_TYPES.includes(channel)) {
+    return { error: `channel must be one of: ${CHANNEL_TYPES.join(', ')}` };
+  }
+  
+  if (channel === 'email') {
+    return { channel, targetUrl: null, webhookSecret: null };
+  }
+  
+  const target = await checkTargetUrl(targetUrl);
+  if (target.error) {
+    return { error: target.error };
+  }
+  
+  return {
+    channel,
+    targetUrl: target.url,
+    webhookSecret: channel === 'webhook' ? crypto.randomBytes(32).toString('hex') : null
+  };
+}
+
+// Order pipeline lanes ({ phase, chamber, stage }) along the path through the
+// Legislature: House before Senate within a phase, stages in chamber order
+const LANE_CHAMBERS = ['lower', 'upper', 'executive'];
+const LANE_STAGES = [...CHAMBER_STAGES, 'conference', 'enrolled', 'signed', 'became_law', 'vetoed', 'dead'];
+
+const rank = (list, value) => (list.includes(value) ? list.indexOf(value) : list.length);
+
+function compareLanes(a, b) {
+  return rank(PIPELINE_PHASES, a.phase) - rank(PIPELINE_PHASES, b.phase)
+    || rank(LANE_CHAMBERS, a.chamber) - rank(LANE_CHAMBERS, b.chamber)
+    || rank(LANE_STAGES, a.stage) - rank(LANE_STAGES, b.stage);
+}
+
+const FLOW_STAGES = ['introduced', 'committee', 'committee_approved', 'floor_calendar', 'passed_chamber', 'conference', 'enrolled', 'signed', 'became_law', 'vetoed', 'dead'];
+const STAGE_LABELS = {
+  introduced: 'Introduced',
+  committee: 'Committee',
+  committee_approved: 'Committee approved',
+  floor_calendar: 'Floor calendar',
+  passed_chamber: 'Passed chamber',
+  conference: 'Conference',
+  enrolled: 'Enrolled',
+  signed: 'Signed',
+  became_law: 'Became law',
+  vetoed: 'Vetoed',
+  dead: 'Dead'
+};
+const CHAMBER_LABELS = { lower: 'House', upper: 'Senate', executive: 'Governor' };
+
+function laneLabel({ phase, chamber, stage }) {
+  const stageLabel = STAGE_LABELS[stage] || stage;
+  if (phase === 'origin_chamber') return `${CHAMBER_LABELS[chamber] || ''} ${stageLabel.toLowerCase()}`.trim();
+  if (phase === 'second_chamber') return `${CHAMBER_LABELS[chamber] || ''} ${stageLabel.toLowerCase()} (second chamber)`.trim();
+  if (phase === 'governor') return chamber === 'executive' ? "Governor's desk" : 'Enrollment';
+  return stageLabel;
+}
+
+// Median and percentile days over finished periods (days), plus bills still there
+const DAY_STATS_SQL = `
+  COUNT(*) FILTER (WHERE days IS NOT NULL) as periods,
+  COUNT(*) FILTER (WHERE days IS NULL) as in_stage_now,
+  percentile_cont(0.5) WITHIN GROUP (ORDER BY days) as median_days,
+  percentile_cont(0.25) WITHIN GROUP (ORDER BY days) as p25_days,
+  percentile_cont(0.75) WITHIN GROUP (ORDER BY days) as p75_days,
+  percentile_cont(0.9) WITHIN GROUP (ORDER BY days) as p90_days,
+  AVG(days) as mean_days
+`;
+
+function formatDayStats(row) {
+  const round = value => (value === null ? null : Math.round(parseFloat(value) * 10) / 10);
+  return {
+    ...row,
+    periods: parseInt(row.periods),
+    in_stage_now: parseInt(row.in_stage_now),
+    median_days: round(row.median_days),
+    p25_days: round(row.p25_days),
+    p75_days: round(row.p75_days),
+    p90_days: round(row.p90_days),
+    mean_days: round(row.mean_days)
+  };
+}
+
 // ============================================================================
 // BILL ENDPOINTS
 // ============================================================================
 
+// WHERE conditions on bills b for the bill list filters (also used by the
+// exports): chamber and bill_type are the stored columns set by the sync
+function billListFilters({ chamber, bill_type, stage, search, committee, phase, phase_stage, current_chamber } = {}, session) {
+  const conditions = [];
+  const params = [];
+  
+  // Column filters, in order: session, chamber filed in, type, stage, then
+  // the place in the two-chamber pipeline
+  const columns = [
+    ['b.session_id', session],
+    ['b.chamber', chamber],
+    ['b.bill_type', bill_type],
+    ['b.stage', stage],
+    ['b.phase', phase],
+    ['b.phase_stage', phase_stage],
+    ['b.current_chamber', current_chamber]
+  ];
+  
+  columns.forEach(([column, value]) => {
+    if (!value) return;
+    params.push(value);
+    conditions.push(`${column} = $${params.length}`);
+  });
+  
+  if (search) {
+    params.push(`%${search}%`, identifierKey(search));
+    conditions.push(`(
+      b.title ILIKE $${params.length - 1}
+      OR b.identifier ILIKE $${params.length - 1}
+      OR ${identifierKeySql('b.identifier')} = $${params.length}
+    )`);
+  }
+  
+  // Bills ever referred to the committee
+  if (committee) {
+    params.push(committee);
+    conditions.push(`EXISTS (
+      SELECT 1 FROM bill_actions ba
+      WHERE ba.bill_id = b.id AND ba.committee_id = $${params.length}
+    )`);
+  }
+  
+  return { conditions, params };
+}
+
 // Get all bills from database
 app.get('/api/bills', async (req, res) => {
   try {
-    const { page = 1, per_page = 10, chamber, stage, search } = req.query;
+    const { page = 1, per_page = 10 } = req.query;
+    const session = await resolveSession(req.query.session);
+    const filters = billListFilters(req.query, session);
     
     let query = `
       SELECT 
@@ -70,33 +356,14 @@ app.get('/api/bills', async (req, res) => {
         (SELECT name FROM sponsorships WHERE bill_id = b.id AND primary_sponsor = TRUE LIMIT 1) as primary_sponsor,
         (SELECT COUNT(*) FROM bill_actions WHERE bill_id = b.id) as action_count
       FROM bills b
-      WHERE 1=1
+      WHERE ${['1=1', ...filters.conditions].join(' AND ')}
     `;
     
-    const params = [];
-    let paramIndex = 1;
-    
-    if (chamber) {
-      const prefix = chamber === 'upper' ? 'SB' : 'HB';
-      query += ` AND b.identifier LIKE $${paramIndex}`;
-      params.push(`${prefix}%`);
-      paramIndex++;
-    }
-    
-    if (stage) {
-      query += ` AND b.stage = $${paramIndex}`;
-      params.push(stage);
-      paramIndex++;
-    }
-    
-    if (search) {
-      query += ` AND (b.title ILIKE $${paramIndex} OR b.identifier ILIKE $${paramIndex})`;
-      params.push(`%${search}%`);
-      paramIndex++;
-    }
+    const params = filters.params;
+    const paramIndex = params.length + 1;
     
     // Get total count
-    const countQuery = query.replace('SELECT b.*', 'SELECT COUNT(*)');
+    const countQuery = query.replace(/SELECT[\s\S]*?FROM bills b/, 'SELECT COUNT(*) FROM bills b');
     const countResult = await pool.query(countQuery, params);
     const totalItems = parseInt(countResult.rows[0].count);
     
@@ -108,7 +375,8 @@ app.get('/api/bills', async (req, res) => {
     const result = await pool.query(query, params);
     
     res.json({
-      results: result.rows,
+      results: result.rows.map(withoutSearchVector),
+      session,
       pagination: {
         page: parseInt(page),
         per_page: parseInt(per_page),
@@ -122,11 +390,115 @@ app.get('/api/bills', async (req, res) => {
   }
 });
 
+// Get bills grouped by stage, or with group_by=phase by pipeline lane
+// (phase, current chamber and stage within it)
+app.get('/api/bills/by-stage', async (req, res) => {
+  try {
+    const session = await resolveSession(req.query.session);
+    const byPhase = req.query.group_by === 'phase';
+    const groupColumns = byPhase ? 'b.phase, b.current_chamber, b.phase_stage' : 'b.stage';
+    
+    const query = `
+      SELECT 
+        ${groupColumns},
+        json_agg(
+          json_build_object(
+            'id', b.id,
+            'identifier', b.identifier,
+            'title', b.title,
+            'stage', b.stage,
+            'origin_chamber', b.origin_chamber,
+            'current_chamber', b.current_chamber,
+            'phase', b.phase,
+            'phase_stage', b.phase_stage,
+            'latest_action_date', b.latest_action_date,
+            'primary_sponsor', (
+              SELECT name FROM sponsorships WHERE bill_id = b.id AND primary_sponsor = TRUE LIMIT 1
+            )
+          ) ORDER BY b.latest_action_date DESC
+        ) as bills
+      FROM bills b
+      WHERE ($1::text IS NULL OR b.session_id = $1)
+        ${byPhase ? 'AND b.phase IS NOT NULL' : ''}
+      GROUP BY ${groupColumns}
+    `;
+    
+    const result = await pool.query(query, [session]);
+    
+    if (byPhase) {
+      const lanes = result.rows
+        .map(row => ({ phase: row.phase, chamber: row.current_chamber, stage: row.phase_stage, count: row.bills.length, bills: row.bills }))
+        .sort(compareLanes);
+      
+      return res.json({
+        lanes,
+        session,
+        last_updated: new Date().toISOString()
+      });
+    }
+    
+    const byStage = {};
+    result.rows.forEach(row => {
+      byStage[row.stage] = row.bills;
+    });
+    
+    res.json({
+      by_stage: byStage,
+      session,
+      last_updated: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching bills by stage:', error);
+    res.status(500).json({ error: 'Failed to fetch bills by stage', message: error.message });
+  }
+});
+
+// Bills that will miss the session's next deadline unless they move
+app.get('/api/bills/at-risk', async (req, res) => {
+  try {
+    const { deadline } = req.query;
+    const session = await resolveSession(req.query.session);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const perPage = Math.min(Math.max(parseInt(req.query.per_page) || 50, 1), 100);
+    
+    if (!session) {
+      return res.status(400).json({ error: 'No current session; pass ?session=' });
+    }
+    
+    if (deadline && !DEADLINE_TYPES[deadline]) {
+      return res.status(400).json({ error: `deadline must be one of: ${Object.keys(DEADLINE_TYPES).join(', ')}` });
+    }
+    
+    const atRisk = await findAtRiskBills({ session, deadlineType: deadline, page, perPage });
+    
+    res.json({
+      deadline: atRisk.deadline,
+      results: atRisk.bills,
+      session,
+      pagination: {
+        page,
+        per_page: perPage,
+        total_items: atRisk.total,
+        total_pages: Math.ceil(atRisk.total / perPage)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching at-risk bills:', error);
+    res.status(500).json({ error: 'Failed to fetch at-risk bills', message: error.message });
+  }
+});
+
 // Get single bill with full details
 app.get('/api/bills/:identifier', async (req, res) => {
   try {
     const { identifier } = req.params;
     
+    const bill = await findBillByIdentifier(identifier, req.query.session);
+    
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+    
     const billQuery = `
       SELECT 
         b.*,
@@ -165,346 +537,2224 @@ app.get('/api/bills/:identifier', async (req, res) => {
           WHERE bh.bill_id = b.id
         ) as history
       FROM bills b
-      WHERE b.identifier = $1
+      WHERE b.id = $1
     `;
     
-    const result = await pool.query(billQuery, [identifier]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Bill not found' });
-    }
+    const result = await pool.query(billQuery, [bill.id]);
     
-    res.json(result.rows[0]);
+    res.json(withoutSearchVector(result.rows[0]));
   } catch (error) {
     console.error('Error fetching bill details:', error);
     res.status(500).json({ error: 'Failed to fetch bill details', message: error.message });
   }
 });
 
-// Get bills grouped by stage
-app.get('/api/bills/by-stage', async (req, res) => {
+// Get roll-call votes for a bill with per-member breakdown
+app.get('/api/bills/:identifier/votes', async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        b.stage,
-        json_agg(
-          json_build_object(
-            'id', b.id,
-            'identifier', b.identifier,
-            'title', b.title,
-            'latest_action_date', b.latest_action_date,
-            'primary_sponsor', (
-              SELECT name FROM sponsorships WHERE bill_id = b.id AND primary_sponsor = TRUE LIMIT 1
-            )
-          ) ORDER BY b.latest_action_date DESC
-        ) as bills
-      FROM bills b
-      GROUP BY b.stage
+    const { identifier } = req.params;
+
+    const bill = await findBillByIdentifier(identifier, req.query.session);
+
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const votesQuery = `
+      SELECT
+        v.id,
+        v.date,
+        v.motion_text,
+        v.motion_classification,
+        v.result,
+        v.chamber,
+        v.yes_count,
+        v.no_count,
+        v.other_count,
+        (
+          SELECT json_agg(
+            json_build_object(
+              'legislator_id', lv.legislator_id,
+              'name', COALESCE(l.name, lv.voter_name),
+              'party', l.party,
+              'district', l.district,
+              'option', lv.option
+            ) ORDER BY COALESCE(l.name, lv.voter_name)
+          )
+          FROM legislator_votes lv
+          LEFT JOIN legislators l ON lv.legislator_id = l.id
+          WHERE lv.vote_id = v.id
+        ) as members
+      FROM votes v
+      WHERE v.bill_id = $1
+      ORDER BY v.date DESC, v.id DESC
     `;
-    
-    const result = await pool.query(query);
-    
-    const byStage = {};
-    result.rows.forEach(row => {
-      byStage[row.stage] = row.bills;
-    });
-    
+
+    const result = await pool.query(votesQuery, [bill.id]);
+
     res.json({
-      by_stage: byStage,
-      last_updated: new Date().toISOString()
+      identifier: bill.identifier,
+      session: bill.session_id,
+      votes: result.rows.map(vote => ({
+        ...vote,
+        members: vote.members || []
+      })),
+      count: result.rows.length
     });
   } catch (error) {
-    console.error('Error fetching bills by stage:', error);
-    res.status(500).json({ error: 'Failed to fetch bills by stage', message: error.message });
+    console.error('Error fetching bill votes:', error);
+    res.status(500).json({ error: 'Failed to fetch bill votes', message: error.message });
   }
 });
 
-// ============================================================================
-// STATISTICS ENDPOINTS
-// ============================================================================
-
-app.get('/api/stats/summary', async (req, res) => {
+// List every text version of a bill, oldest first
+app.get('/api/bills/:identifier/versions', async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        COUNT(*) as total_bills,
-        COUNT(*) FILTER (WHERE stage NOT IN ('signed', 'became_law', 'vetoed', 'dead')) as active_bills,
-        COUNT(*) FILTER (WHERE stage IN ('signed', 'became_law')) as passed_bills,
-        COUNT(*) FILTER (WHERE stage = 'vetoed') as vetoed_bills,
-        COUNT(*) FILTER (WHERE identifier LIKE 'HB%') as house_bills,
-        COUNT(*) FILTER (WHERE identifier LIKE 'SB%') as senate_bills
-      FROM bills
-    `;
-    
-    const result = await pool.query(query);
-    res.json(result.rows[0]);
+    const { identifier } = req.params;
+
+    const bill = await findBillByIdentifier(identifier, req.query.session);
+
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const result = await pool.query(`
+      SELECT
+        id,
+        note,
+        date,
+        classification,
+        url,
+        media_type,
+        links,
+        text_status,
+        text IS NOT NULL as has_text,
+        length(text) as text_length
+      FROM bill_versions
+      WHERE bill_id = $1
+      ORDER BY date ASC NULLS LAST, id ASC
+    `, [bill.id]);
+
+    res.json({
+      identifier: bill.identifier,
+      session: bill.session_id,
+      versions: result.rows,
+      count: result.rows.length
+    });
   } catch (error) {
-    console.error('Error fetching summary stats:', error);
-    res.status(500).json({ error: 'Failed to fetch summary statistics', message: error.message });
+    console.error('Error fetching bill versions:', error);
+    res.status(500).json({ error: 'Failed to fetch bill versions', message: error.message });
   }
 });
 
-app.get('/api/stats/pipeline', async (req, res) => {
+// Line-level diff between two versions (?from=&to= version IDs).
+// Defaults to the two most recent versions with extracted text.
+app.get('/api/bills/:identifier/diff', async (req, res) => {
   try {
-    const query = `
-      SELECT 
-        stage,
-        COUNT(*) as count
-      FROM bills
-      GROUP BY stage
-    `;
-    
-    const result = await pool.query(query);
-    
-    const byStage = {};
-    result.rows.forEach(row => {
-      byStage[row.stage] = parseInt(row.count);
-    });
-    
-    const totalQuery = await pool.query('SELECT COUNT(*) as total FROM bills');
-    
+    const { identifier } = req.params;
+    const { from, to } = req.query;
+
+    const bill = await findBillByIdentifier(identifier, req.query.session);
+
+    if (!bill) {
+      return res.status(404).json({ error: 'Bill not found' });
+    }
+
+    const versionsResult = await pool.query(`
+      SELECT id, note, date, url, text_status, text
+      FROM bill_versions
+      WHERE bill_id = $1
+      ORDER BY date ASC NULLS LAST, id ASC
+    `, [bill.id]);
+
+    const versions = versionsResult.rows;
+    const withText = versions.filter(version => version.text !== null);
+
+    const fromVersion = from
+      ? versions.find(version => String(version.id) === String(from))
+      : withText[withText.length - 2];
+    const toVersion = to
+      ? versions.find(version => String(version.id) === String(to))
+      : withText[withText.length - 1];
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        error: from || to ? 'Version not found for this bill' : 'Bill has fewer than two versions with text'
+      });
+    }
+
+    if (fromVersion.text === null || toVersion.text === null) {
+      return res.status(422).json({
+        error: 'Text is not available for the requested versions',
+        from_text_status: fromVersion.text_status,
+        to_text_status: toVersion.text_status
+      });
+    }
+
+    const { stats, lines } = diffLines(fromVersion.text, toVersion.text);
+    const describe = ({ text, text_status, ...version }) => version;
+
     res.json({
-      total_bills: parseInt(totalQuery.rows[0].total),
-      by_stage: byStage,
-      last_updated: new Date().toISOString()
+      identifier: bill.identifier,
+      session: bill.session_id,
+      from: describe(fromVersion),
+      to: describe(toVersion),
+      stats,
+      lines
     });
   } catch (error) {
-    console.error('Error fetching pipeline stats:', error);
-    res.status(500).json({ error: 'Failed to fetch pipeline statistics', message: error.message });
+    console.error('Error diffing bill versions:', error);
+    res.status(500).json({ error: 'Failed to diff bill versions', message: error.message });
   }
 });
 
 // ============================================================================
-// SEARCH ENDPOINTS
+// LEGISLATOR ENDPOINTS
 // ============================================================================
 
-app.post('/api/search/advanced', async (req, res) => {
+// Get legislators from database
+app.get('/api/legislators', async (req, res) => {
   try {
-    const { text, chamber, stage, sponsor, dateFrom, dateTo, subject } = req.body;
-    
-    let query = `
-      SELECT 
-        b.*,
-        (SELECT name FROM sponsorships WHERE bill_id = b.id AND primary_sponsor = TRUE LIMIT 1) as primary_sponsor
-      FROM bills b
-      WHERE 1=1
-    `;
-    
+    const { page = 1, per_page = 20, party, chamber, district } = req.query;
+
+    let whereClause = 'WHERE 1=1';
     const params = [];
     let paramIndex = 1;
-    
-    if (text) {
-      query += ` AND (
-        to_tsvector('english', b.title) @@ plainto_tsquery('english', $${paramIndex})
-        OR to_tsvector('english', b.description) @@ plainto_tsquery('english', $${paramIndex})
-        OR b.identifier ILIKE $${paramIndex + 1}
-      )`;
-      params.push(text, `%${text}%`);
-      paramIndex += 2;
-    }
-    
-    if (chamber) {
-      const prefix = chamber === 'upper' ? 'SB' : 'HB';
-      query += ` AND b.identifier LIKE $${paramIndex}`;
-      params.push(`${prefix}%`);
-      paramIndex++;
-    }
-    
-    if (stage) {
-      query += ` AND b.stage = $${paramIndex}`;
-      params.push(stage);
-      paramIndex++;
-    }
-    
-    if (sponsor) {
-      query += ` AND EXISTS (
-        SELECT 1 FROM sponsorships s 
-        WHERE s.bill_id = b.id AND s.name ILIKE $${paramIndex}
-      )`;
-      params.push(`%${sponsor}%`);
-      paramIndex++;
-    }
-    
-    if (dateFrom) {
-      query += ` AND b.latest_action_date >= $${paramIndex}`;
-      params.push(dateFrom);
+
+    if (party) {
+      whereClause += ` AND l.party ILIKE $${paramIndex}`;
+      params.push(party);
       paramIndex++;
     }
-    
-    if (dateTo) {
-      query += ` AND b.latest_action_date <= $${paramIndex}`;
-      params.push(dateTo);
+
+    if (chamber) {
+      whereClause += ` AND l.chamber = $${paramIndex}`;
+      params.push(chamber);
       paramIndex++;
     }
-    
-    if (subject) {
-      query += ` AND b.subject::text ILIKE $${paramIndex}`;
-      params.push(`%${subject}%`);
+
+    if (district) {
+      whereClause += ` AND l.district = $${paramIndex}`;
+      params.push(district);
       paramIndex++;
     }
-    
-    query += ' ORDER BY b.latest_action_date DESC LIMIT 100';
-    
-    const result = await pool.query(query, params);
-    
-    res.json({
-      results: result.rows,
-      count: result.rows.length
+
+    const countResult = await pool.query(`SELECT COUNT(*) FROM legislators l ${whereClause}`, params);
+    const totalItems = parseInt(countResult.rows[0].count);
+
+    const offset = (page - 1) * per_page;
+    const query = `
+      SELECT
+        l.id,
+        l.openstates_id,
+        l.name,
+        l.party,
+        l.chamber,
+        l.district,
+        l.image_url,
+        (SELECT COUNT(*) FROM sponsorships WHERE legislator_id = l.id AND primary_sponsor = TRUE) as sponsored_count,
+        (SELECT COUNT(*) FROM sponsorships WHERE legislator_id = l.id AND primary_sponsor = FALSE) as cosponsored_count
+      FROM legislators l
+      ${whereClause}
+      ORDER BY l.chamber, l.name
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `;
+    params.push(per_page, offset);
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      results: result.rows,
+      pagination: {
+        page: parseInt(page),
+        per_page: parseInt(per_page),
+        total_items: totalItems,
+        total_pages: Math.ceil(totalItems / per_page)
+      }
     });
   } catch (error) {
-    console.error('Error in advanced search:', error);
-    res.status(500).json({ error: 'Search failed', message: error.message });
+    console.error('Error fetching legislators:', error);
+    res.status(500).json({ error: 'Failed to fetch legislators', message: error.message });
+  }
+});
+
+// Get single legislator with contact info and sponsored bills
+app.get('/api/legislators/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Accept either our numeric ID or the Open States person ID
+    const legislatorResult = await pool.query(`
+      SELECT * FROM legislators
+      WHERE ${/^\d+$/.test(id) ? 'id = $1' : 'openstates_id = $1'}
+    `, [id]);
+
+    if (legislatorResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Legislator not found' });
+    }
+
+    const legislator = legislatorResult.rows[0];
+
+    const billsResult = await pool.query(`
+      SELECT
+        b.id,
+        b.identifier,
+        b.title,
+        b.stage,
+        b.latest_action_date,
+        b.latest_action_description,
+        s.primary_sponsor
+      FROM sponsorships s
+      JOIN bills b ON s.bill_id = b.id
+      WHERE s.legislator_id = $1
+      ORDER BY b.latest_action_date DESC
+    `, [legislator.id]);
+
+    // A bill has reached a stage if it is there now or bill_history shows it passed through
+    const stagesResult = await pool.query(`
+      SELECT
+        reached.stage,
+        COUNT(DISTINCT reached.bill_id) FILTER (WHERE s.primary_sponsor = TRUE) as sponsored,
+        COUNT(DISTINCT reached.bill_id) FILTER (WHERE s.primary_sponsor = FALSE) as cosponsored
+      FROM sponsorships s
+      JOIN (
+        SELECT id as bill_id, stage FROM bills
+        UNION
+        SELECT bill_id, stage FROM bill_history
+      ) reached ON reached.bill_id = s.bill_id
+      WHERE s.legislator_id = $1
+      GROUP BY reached.stage
+    `, [legislator.id]);
+
+    const stagesReached = { sponsored: {}, cosponsored: {} };
+    stagesResult.rows.forEach(row => {
+      stagesReached.sponsored[row.stage] = parseInt(row.sponsored);
+      stagesReached.cosponsored[row.stage] = parseInt(row.cosponsored);
+    });
+
+    res.json({
+      ...legislator,
+      contact: {
+        email: legislator.email,
+        phone: legislator.phone,
+        capitol_address: legislator.capitol_address,
+        website: legislator.website
+      },
+      sponsored_bills: billsResult.rows.filter(bill => bill.primary_sponsor),
+      cosponsored_bills: billsResult.rows.filter(bill => !bill.primary_sponsor),
+      stages_reached: stagesReached
+    });
+  } catch (error) {
+    console.error('Error fetching legislator details:', error);
+    res.status(500).json({ error: 'Failed to fetch legislator details', message: error.message });
   }
 });
 
 // ============================================================================
-// FAVORITES ENDPOINTS
+// COMMITTEE ENDPOINTS
 // ============================================================================
 
-// Get user's favorite bills
-app.get('/api/favorites', async (req, res) => {
+// Bills still in committee and the committee of their most recent referral
+const PENDING_REFERRALS_CTE = `
+  pending_referrals AS (
+    SELECT DISTINCT ON (ba.bill_id)
+      ba.bill_id,
+      ba.committee_id,
+      ba.date as referred_at
+    FROM bill_actions ba
+    JOIN bills b ON b.id = ba.bill_id
+    WHERE ba.classification = 'referral-committee'
+      AND b.stage = 'committee'
+      AND ($1::text IS NULL OR b.session_id = $1)
+    ORDER BY ba.bill_id, ba.date DESC, ba.order_index DESC
+  )
+`;
+
+// List committees with member and pending bill counts
+app.get('/api/committees', async (req, res) => {
+  try {
+    const { chamber } = req.query;
+    const session = await resolveSession(req.query.session);
+    
+    const result = await pool.query(`
+      WITH ${PENDING_REFERRALS_CTE}
+      SELECT
+        c.id,
+        c.openstates_id,
+        c.name,
+        c.chamber,
+        c.classification,
+        c.parent_id,
+        (SELECT COUNT(*) FROM committee_memberships WHERE committee_id = c.id) as member_count,
+        (SELECT COUNT(*) FROM pending_referrals WHERE committee_id = c.id) as pending_bills
+      FROM committees c
+      WHERE ($2::text IS NULL OR c.chamber = $2)
+      ORDER BY c.chamber, c.parent_id NULLS FIRST, c.name
+    `, [session, chamber || null]);
+    
+    res.json({
+      committees: result.rows.map(row => ({
+        ...row,
+        member_count: parseInt(row.member_count),
+        pending_bills: parseInt(row.pending_bills)
+      })),
+      count: result.rows.length,
+      session
+    });
+  } catch (error) {
+    console.error('Error fetching committees:', error);
+    res.status(500).json({ error: 'Failed to fetch committees', message: error.message });
+  }
+});
+
+// Get a committee with its members and the bills pending in it
+app.get('/api/committees/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const session = await resolveSession(req.query.session);
+    
+    // Accept either our numeric ID or the Open States organization ID
+    const committeeResult = await pool.query(`
+      SELECT * FROM committees
+      WHERE ${/^\d+$/.test(id) ? 'id = $1' : 'openstates_id = $1'}
+    `, [id]);
+    
+    if (committeeResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Committee not found' });
+    }
+    
+    const committee = committeeResult.rows[0];
+    
+    const [membersResult, pendingResult, subcommitteesResult] = await Promise.all([
+      pool.query(`
+        SELECT
+          cm.legislator_id,
+          COALESCE(l.name, cm.person_name) as name,
+          cm.role,
+          l.party,
+          l.district
+        FROM committee_memberships cm
+        LEFT JOIN legislators l ON cm.legislator_id = l.id
+        WHERE cm.committee_id = $1
+        ORDER BY cm.role <> 'member' DESC, COALESCE(l.name, cm.person_name)
+      `, [committee.id]),
+      pool.query(`
+        WITH ${PENDING_REFERRALS_CTE}
+        SELECT
+          b.id,
+          b.identifier,
+          b.title,
+          b.stage,
+          b.latest_action_date,
+          b.latest_action_description,
+          (SELECT name FROM sponsorships WHERE bill_id = b.id AND primary_sponsor = TRUE LIMIT 1) as primary_sponsor,
+          pr.referred_at,
+          CURRENT_DATE - pr.referred_at as days_in_committee
+        FROM pending_referrals pr
+        JOIN bills b ON b.id = pr.bill_id
+        WHERE pr.committee_id = $2
+        ORDER BY pr.referred_at ASC, b.identifier
+      `, [session, committee.id]),
+      pool.query(
+        'SELECT id, name FROM committees WHERE parent_id = $1 ORDER BY name',
+        [committee.id]
+      )
+    ]);
+    
+    res.json({
+      ...committee,
+      members: membersResult.rows,
+      subcommittees: subcommitteesResult.rows,
+      pending_bills: pendingResult.rows,
+      session
+    });
+  } catch (error) {
+    console.error('Error fetching committee details:', error);
+    res.status(500).json({ error: 'Failed to fetch committee details', message: error.message });
+  }
+});
+
+// ============================================================================
+// SESSION ENDPOINTS
+// ============================================================================
+
+// List legislative sessions with bill counts
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT 
+        s.identifier,
+        s.name,
+        s.classification,
+        s.start_date,
+        s.end_date,
+        s.is_current,
+        (SELECT COUNT(*) FROM bills WHERE session_id = s.identifier) as bill_count
+      FROM sessions s
+      ORDER BY s.start_date DESC NULLS LAST, s.identifier DESC
+    `);
+    
+    res.json({
+      sessions: result.rows.map(row => ({ ...row, bill_count: parseInt(row.bill_count) })),
+      current: result.rows.find(row => row.is_current)?.identifier || null
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions', message: error.message });
+  }
+});
+
+// Deadline calendar for a session ("current" for the current session)
+app.get('/api/sessions/:session/deadlines', async (req, res) => {
+  try {
+    const session = await resolveSession(req.params.session === 'current' ? undefined : req.params.session);
+    
+    const result = await pool.query(`
+      SELECT
+        deadline_type,
+        to_char(deadline_date, 'YYYY-MM-DD') as deadline_date,
+        description,
+        deadline_date - CURRENT_DATE as days_remaining
+      FROM session_deadlines
+      WHERE session_id = $1
+      ORDER BY deadline_date
+    `, [session]);
+    
+    res.json({
+      session,
+      deadlines: result.rows.map(row => ({
+        ...row,
+        label: DEADLINE_TYPES[row.deadline_type]?.label || row.deadline_type,
+        passed: row.days_remaining < 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching deadlines:', error);
+    res.status(500).json({ error: 'Failed to fetch deadlines', message: error.message });
+  }
+});
+
+// ============================================================================
+// STATISTICS ENDPOINTS
+// ============================================================================
+
+app.get('/api/stats/summary', async (req, res) => {
+  try {
+    const session = await resolveSession(req.query.session);
+    
+    const query = `
+      SELECT 
+        COUNT(*) as total_bills,
+        COUNT(*) FILTER (WHERE stage NOT IN ('signed', 'became_law', 'vetoed', 'dead')) as active_bills,
+        COUNT(*) FILTER (WHERE stage IN ('signed', 'became_law')) as passed_bills,
+        COUNT(*) FILTER (WHERE stage = 'vetoed') as vetoed_bills,
+        -- Measures of every type filed in each chamber
+        COUNT(*) FILTER (WHERE chamber = 'lower') as house_bills,
+        COUNT(*) FILTER (WHERE chamber = 'upper') as senate_bills,
+        COUNT(*) FILTER (WHERE bill_type = 'bill') as bills,
+        COUNT(*) FILTER (WHERE bill_type = 'joint_resolution') as joint_resolutions,
+        COUNT(*) FILTER (WHERE bill_type = 'concurrent_resolution') as concurrent_resolutions,
+        COUNT(*) FILTER (WHERE bill_type = 'resolution') as resolutions
+      FROM bills
+      WHERE ($1::text IS NULL OR session_id = $1)
+    `;
+    
+    const result = await pool.query(query, [session]);
+    res.json({ ...result.rows[0], session });
+  } catch (error) {
+    console.error('Error fetching summary stats:', error);
+    res.status(500).json({ error: 'Failed to fetch summary statistics', message: error.message });
+  }
+});
+
+app.get('/api/stats/pipeline', async (req, res) => {
   try {
-    const sessionId = req.sessionId;
-    const { email } = req.query;
+    const session = await resolveSession(req.query.session);
     
     const query = `
-      SELECT * FROM favorite_bills_view
-      WHERE ${email ? 'email = $1' : 'session_id = $1'}
-      ORDER BY favorited_at DESC
+      SELECT 
+        stage,
+        COUNT(*) as count
+      FROM bills
+      WHERE ($1::text IS NULL OR session_id = $1)
+      GROUP BY stage
     `;
     
-    const result = await pool.query(query, [email || sessionId]);
+    const result = await pool.query(query, [session]);
+    
+    const byStage = {};
+    result.rows.forEach(row => {
+      byStage[row.stage] = parseInt(row.count);
+    });
+    
+    const totalQuery = await pool.query(
+      'SELECT COUNT(*) as total FROM bills WHERE ($1::text IS NULL OR session_id = $1)',
+      [session]
+    );
+    
+    // Where bills are on the path through both chambers
+    const laneResult = await pool.query(`
+      SELECT phase, current_chamber, phase_stage, COUNT(*) as count
+      FROM bills
+      WHERE ($1::text IS NULL OR session_id = $1) AND phase IS NOT NULL
+      GROUP BY phase, current_chamber, phase_stage
+    `, [session]);
+    
+    const lanes = laneResult.rows
+      .map(row => ({ phase: row.phase, chamber: row.current_chamber, stage: row.phase_stage, count: parseInt(row.count) }))
+      .sort(compareLanes);
+    
+    const byPhase = Object.fromEntries(PIPELINE_PHASES.map(phase => [phase, 0]));
+    lanes.forEach(lane => {
+      byPhase[lane.phase] = (byPhase[lane.phase] || 0) + lane.count;
+    });
     
     res.json({
-      favorites: result.rows,
-      count: result.rows.length
+      total_bills: parseInt(totalQuery.rows[0].total),
+      by_stage: byStage,
+      by_phase: byPhase,
+      lanes,
+      session,
+      last_updated: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error fetching favorites:', error);
-    res.status(500).json({ error: 'Failed to fetch favorites', message: error.message });
+    console.error('Error fetching pipeline stats:', error);
+    res.status(500).json({ error: 'Failed to fetch pipeline statistics', message: error.message });
   }
 });
 
-// Add bill to favorites
-app.post('/api/favorites', async (req, res) => {
+// Daily (or weekly) bill counts per stage from the snapshots taken after each
+// sync. Weekly points use the last snapshot of each week.
+app.get('/api/stats/history', async (req, res) => {
   try {
-    const { billId, billIdentifier, notes, notificationEnabled, email } = req.body;
-    const sessionId = req.sessionId;
+    const session = await resolveSession(req.query.session);
+    const interval = req.query.interval || 'day';
+    const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value));
     
-    let actualBillId = billId;
+    if (!['day', 'week'].includes(interval)) {
+      return res.status(400).json({ error: 'interval must be day or week' });
+    }
     
-    // If billIdentifier provided instead of billId, look it up
-    if (!billId && billIdentifier) {
-      const billResult = await pool.query(
-        'SELECT id FROM bills WHERE identifier = $1',
-        [billIdentifier]
-      );
-      if (billResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Bill not found' });
-      }
-      actualBillId = billResult.rows[0].id;
+    const to = req.query.to || new Date().toISOString().slice(0, 10);
+    const from = req.query.from || new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    
+    if (!isDate(from) || !isDate(to)) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
     }
     
-    const query = `
-      INSERT INTO bill_favorites (session_id, email, bill_id, notes, notification_enabled)
-      VALUES ($1, $2, $3, $4, $5)
-      ON CONFLICT (${email ? 'email' : 'session_id'}, bill_id) 
-      DO UPDATE SET 
-        notes = EXCLUDED.notes,
-        notification_enabled = EXCLUDED.notification_enabled
-      RETURNING *
-    `;
+    const result = await pool.query(`
+      SELECT to_char(period, 'YYYY-MM-DD') as period, stage, SUM(bill_count) as count
+      FROM (
+        SELECT
+          ps.*,
+          date_trunc($4, ps.snapshot_date)::date as period,
+          MAX(ps.snapshot_date) OVER (PARTITION BY date_trunc($4, ps.snapshot_date)) as last_date
+        FROM pipeline_snapshots ps
+        WHERE ($1::text IS NULL OR ps.session_id = $1)
+          AND ps.snapshot_date BETWEEN $2 AND $3
+      ) snapshots
+      WHERE snapshot_date = last_date
+      GROUP BY period, stage
+      ORDER BY period
+    `, [session, from, to, interval]);
+    
+    // One series per stage, aligned to the list of dates
+    const dates = [...new Set(result.rows.map(row => row.period))];
+    const series = {};
+    result.rows.forEach(row => {
+      if (!series[row.stage]) series[row.stage] = dates.map(() => 0);
+      series[row.stage][dates.indexOf(row.period)] = parseInt(row.count);
+    });
     
-    const result = await pool.query(query, [
-      email ? null : sessionId,
-      email || null,
-      actualBillId,
-      notes || null,
-      notificationEnabled !== false
+    const sumStages = (stages, index) => Object.entries(series)
+      .filter(([stage]) => !stages || stages.includes(stage))
+      .reduce((sum, [, counts]) => sum + counts[index], 0);
+    
+    res.json({
+      interval,
+      from,
+      to,
+      dates,
+      by_stage: series,
+      totals: dates.map((date, index) => ({
+        date,
+        total_bills: sumStages(null, index),
+        passed_bills: sumStages(['signed', 'became_law'], index),
+        vetoed_bills: sumStages(['vetoed'], index),
+        dead_bills: sumStages(['dead'], index)
+      })),
+      session
+    });
+  } catch (error) {
+    console.error('Error fetching stats history:', error);
+    res.status(500).json({ error: 'Failed to fetch statistics history', message: error.message });
+  }
+});
+
+// Days bills spend in each stage, overall and split by chamber, committee
+// and primary sponsor. Committee and sponsor splits need min_bills periods.
+app.get('/api/stats/velocity', async (req, res) => {
+  try {
+    const session = await resolveSession(req.query.session);
+    const { chamber } = req.query;
+    const minBills = Math.max(parseInt(req.query.min_bills) || 5, 1);
+    
+    // Terminal stages are never left, so they have no duration
+    const periodsCte = `
+      WITH periods AS (
+        SELECT
+          p.*,
+          p.left_on - p.entered_on as days,
+          (SELECT name FROM sponsorships WHERE bill_id = p.bill_id AND primary_sponsor = TRUE LIMIT 1) as primary_sponsor
+        FROM bill_stage_periods p
+        JOIN bills b ON b.id = p.bill_id
+        WHERE ($1::text IS NULL OR b.session_id = $1)
+          AND ($2::text IS NULL OR p.chamber = $2)
+          AND p.entered_on IS NOT NULL
+          AND p.phase_stage NOT IN ('signed', 'became_law', 'vetoed', 'dead')
+      )
+    `;
+    const params = [session, chamber || null];
+    
+    const [byStage, byChamber, byCommittee, bySponsor] = await Promise.all([
+      pool.query(`
+        ${periodsCte}
+        SELECT phase_stage as stage, ${DAY_STATS_SQL}
+        FROM periods
+        GROUP BY phase_stage
+      `, params),
+      pool.query(`
+        ${periodsCte}
+        SELECT phase, chamber, phase_stage as stage, ${DAY_STATS_SQL}
+        FROM periods
+        WHERE phase IS NOT NULL
+        GROUP BY phase, chamber, phase_stage
+      `, params),
+      pool.query(`
+        ${periodsCte}
+        SELECT c.id as committee_id, c.name as committee, c.chamber, ${DAY_STATS_SQL}
+        FROM periods
+        JOIN committees c ON c.id = periods.committee_id
+        GROUP BY c.id, c.name, c.chamber
+        HAVING COUNT(*) >= $3
+        ORDER BY median_days DESC NULLS LAST
+      `, [...params, minBills]),
+      pool.query(`
+        ${periodsCte}
+        SELECT primary_sponsor as sponsor, phase_stage as stage, ${DAY_STATS_SQL}
+        FROM periods
+        WHERE primary_sponsor IS NOT NULL
+        GROUP BY primary_sponsor, phase_stage
+        HAVING COUNT(*) >= $3
+        ORDER BY primary_sponsor
+      `, [...params, minBills])
     ]);
     
-    // If email provided and notifications enabled, create email subscription
-    if (email && notificationEnabled !== false) {
-      const verificationToken = crypto.randomBytes(32).toString('hex');
-      
-      await pool.query(`
-        INSERT INTO email_subscriptions (email, bill_id, notification_type, verification_token, from_favorite)
-        VALUES ($1, $2, 'status_change', $3, TRUE)
-        ON CONFLICT (email, bill_id, notification_type) DO NOTHING
-      `, [email, actualBillId, verificationToken]);
-      
-      // Get bill details and send verification email
-      const billData = await pool.query(
-        'SELECT identifier, title FROM bills WHERE id = $1',
-        [actualBillId]
-      );
+    res.json({
+      by_stage: byStage.rows
+        .map(formatDayStats)
+        .sort((a, b) => rank(FLOW_STAGES, a.stage) - rank(FLOW_STAGES, b.stage)),
+      by_chamber: byChamber.rows
+        .map(row => ({ ...formatDayStats(row), label: laneLabel(row) }))
+        .sort(compareLanes),
+      by_committee: byCommittee.rows.map(formatDayStats),
+      by_sponsor: bySponsor.rows
+        .map(formatDayStats)
+        .sort((a, b) => a.sponsor.localeCompare(b.sponsor) || rank(FLOW_STAGES, a.stage) - rank(FLOW_STAGES, b.stage)),
+      session,
+      last_updated: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching velocity stats:', error);
+    res.status(500).json({ error: 'Failed to fetch velocity statistics', message: error.message });
+  }
+});
+
+// Stage-to-stage transition counts as Sankey nodes and links. level=stage
+// uses overall stages; level=chamber the phase, chamber and stage lanes.
+// Sankey charts need an acyclic graph, so moves backwards (re-referrals,
+// revived bills) are returned separately as back_links.
+app.get('/api/stats/flow', async (req, res) => {
+  try {
+    const session = await resolveSession(req.query.session);
+    const level = req.query.level === 'chamber' ? 'chamber' : 'stage';
+    
+    const nodeSql = level === 'chamber'
+      ? `concat_ws(':', p.phase, p.chamber, p.phase_stage)`
+      : 'p.stage';
+    
+    const result = await pool.query(`
+      SELECT source, target, COUNT(*) as value
+      FROM (
+        SELECT
+          ${nodeSql} as source,
+          LEAD(${nodeSql}) OVER (PARTITION BY p.bill_id ORDER BY p.seq) as target
+        FROM bill_stage_periods p
+        JOIN bills b ON b.id = p.bill_id
+        WHERE ($1::text IS NULL OR b.session_id = $1)
+          ${level === 'chamber' ? 'AND p.phase IS NOT NULL' : ''}
+      ) transitions
+      WHERE target IS NOT NULL AND target <> source
+      GROUP BY source, target
+      ORDER BY value DESC
+    `, [session]);
+    
+    const toNode = id => {
+      if (level === 'stage') return { id, stage: id, label: STAGE_LABELS[id] || id };
+      const [phase, chamber, stage] = id.split(':');
+      return { id, phase, chamber, stage, label: laneLabel({ phase, chamber, stage }) };
+    };
+    const isForward = (source, target) => (level === 'stage'
+      ? rank(FLOW_STAGES, target.stage) > rank(FLOW_STAGES, source.stage)
+      : compareLanes(target, source) > 0);
+    
+    const nodes = new Map();
+    const links = [];
+    const backLinks = [];
+    
+    result.rows.forEach(row => {
+      const source = toNode(row.source);
+      const target = toNode(row.target);
+      const link = { source: source.id, target: target.id, value: parseInt(row.value) };
       
-      if (billData.rows.length > 0) {
-        await emailService.sendVerificationEmail(email, verificationToken, billData.rows[0]);
+      if (isForward(source, target)) {
+        nodes.set(source.id, source);
+        nodes.set(target.id, target);
+        links.push(link);
+      } else {
+        backLinks.push(link);
       }
-    }
+    });
     
     res.json({
-      success: true,
-      favorite: result.rows[0],
-      message: email ? 'Added to favorites! Check your email to confirm notifications.' : 'Added to favorites!'
+      level,
+      nodes: [...nodes.values()].sort((a, b) => (level === 'stage'
+        ? rank(FLOW_STAGES, a.stage) - rank(FLOW_STAGES, b.stage)
+        : compareLanes(a, b))),
+      links,
+      back_links: backLinks,
+      session,
+      last_updated: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Error adding favorite:', error);
-    res.status(500).json({ error: 'Failed to add favorite', message: error.message });
+    console.error('Error fetching flow stats:', error);
+    res.status(500).json({ error: 'Failed to fetch flow statistics', message: error.message });
   }
 });
 
-// Remove bill from favorites
-app.delete('/api/favorites/:billId', async (req, res) => {
+// ============================================================================
+// SEARCH ENDPOINTS
+// ============================================================================
+
+app.post('/api/search/advanced', async (req, res) => {
   try {
-    const { billId } = req.params;
-    const sessionId = req.sessionId;
-    const { email } = req.query;
-    
+    const session = await resolveSession(req.body.session);
+    const filters = buildSearchFilters({ ...req.body, session });
+    const page = Math.max(parseInt(req.body.page) || 1, 1);
+    const perPage = Math.min(Math.max(parseInt(req.body.per_page) || 20, 1), 100);
+    const limitIndex = filters.nextIndex;
+    
+    // Rank by relevance when there is query text, unless date order is asked for
+    const tsQuery = filters.textParamIndex
+      ? `websearch_to_tsquery('english', $${filters.textParamIndex})`
+      : null;
+    const sort = req.body.sort === 'date' || !tsQuery ? 'date' : 'relevance';
+    const orderBy = sort === 'relevance'
+      ? 'rank DESC, latest_action_date DESC NULLS LAST'
+      : 'latest_action_date DESC NULLS LAST';
+    
+    // Snippets come from the latest version text when we have it, else the description
     const query = `
-      DELETE FROM bill_favorites
-      WHERE bill_id = $1 AND ${email ? 'email = $2' : 'session_id = $2'}
-      RETURNING *
+      SELECT 
+        ranked.*
+        ${tsQuery ? `,
+        ts_headline('english', ranked.title, ${tsQuery},
+          'HighlightAll=TRUE, StartSel=<mark>, StopSel=</mark>') as title_highlight,
+        ts_headline('english', COALESCE(latest_text.text, ranked.description, ''), ${tsQuery},
+          'MaxFragments=2, MinWords=8, MaxWords=25, FragmentDelimiter=" … ", StartSel=<mark>, StopSel=</mark>') as snippet` : ''}
+      FROM (
+        SELECT 
+          b.*,
+          (SELECT name FROM sponsorships WHERE bill_id = b.id AND primary_sponsor = TRUE LIMIT 1) as primary_sponsor,
+          ${tsQuery ? `ts_rank(b.search_vector, ${tsQuery}, 1)` : '0'} as rank
+        FROM bills b
+        WHERE 1=1 ${filters.sql}
+        ORDER BY ${orderBy}
+        LIMIT $${limitIndex} OFFSET $${limitIndex + 1}
+      ) ranked
+      ${tsQuery ? `LEFT JOIN LATERAL (
+        SELECT left(v.text, 100000) as text
+        FROM bill_versions v
+        WHERE v.bill_id = ranked.id AND v.text IS NOT NULL
+        ORDER BY v.date DESC NULLS LAST, v.id DESC
+        LIMIT 1
+      ) latest_text ON TRUE` : ''}
+      ORDER BY ${orderBy}
     `;
     
-    const result = await pool.query(query, [billId, email || sessionId]);
+    // Total and facet counts over the whole match set, not just this page
+    const facetQuery = `
+      WITH matched AS (
+        SELECT b.id, b.stage, b.chamber, b.bill_type, b.subject, b.session_id
+        FROM bills b
+        WHERE 1=1 ${filters.sql}
+      ),
+      primary_sponsors AS (
+        SELECT DISTINCT ON (s.bill_id) s.bill_id, s.name, l.party
+        FROM sponsorships s
+        JOIN matched m ON m.id = s.bill_id
+        LEFT JOIN legislators l ON s.legislator_id = l.id
+        WHERE s.primary_sponsor = TRUE
+        ORDER BY s.bill_id, s.id
+      )
+      SELECT
+        (SELECT COUNT(*) FROM matched) as total,
+        (
+          SELECT json_agg(f ORDER BY f.count DESC)
+          FROM (SELECT stage as value, COUNT(*) as count FROM matched GROUP BY stage) f
+        ) as stage,
+        (
+          SELECT json_agg(f ORDER BY f.count DESC)
+          FROM (
+            SELECT COALESCE(chamber, 'other') as value, COUNT(*) as count
+            FROM matched
+            GROUP BY 1
+          ) f
+        ) as chamber,
+        (
+          SELECT json_agg(f ORDER BY f.count DESC)
+          FROM (
+            SELECT COALESCE(bill_type, 'other') as value, COUNT(*) as count
+            FROM matched
+            GROUP BY 1
+          ) f
+        ) as bill_type,
+        (
+          SELECT json_agg(f ORDER BY f.count DESC)
+          FROM (
+            SELECT subject as value, COUNT(*) as count
+            FROM matched m,
+              jsonb_array_elements_text(
+                CASE WHEN jsonb_typeof(m.subject) = 'array' THEN m.subject ELSE '[]'::jsonb END
+              ) subject
+            GROUP BY subject
+            ORDER BY count DESC, subject
+            LIMIT 20
+          ) f
+        ) as subject,
+        (
+          SELECT json_agg(f ORDER BY f.count DESC)
+          FROM (
+            SELECT name as value, COUNT(*) as count
+            FROM primary_sponsors
+            GROUP BY name
+            ORDER BY count DESC, name
+            LIMIT 20
+          ) f
+        ) as primary_sponsor,
+        (
+          SELECT json_agg(f ORDER BY f.count DESC)
+          FROM (
+            SELECT party as value, COUNT(*) as count
+            FROM primary_sponsors
+            WHERE party IS NOT NULL
+            GROUP BY party
+          ) f
+        ) as sponsor_party,
+        (
+          SELECT json_agg(f ORDER BY f.value DESC)
+          FROM (SELECT session_id as value, COUNT(*) as count FROM matched GROUP BY session_id) f
+        ) as session
+    `;
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Favorite not found' });
+    const [result, facetResult] = await Promise.all([
+      pool.query(query, [...filters.params, perPage, (page - 1) * perPage]),
+      pool.query(facetQuery, filters.params)
+    ]);
+    
+    const { total, ...facets } = facetResult.rows[0];
+    const totalItems = parseInt(total);
+    Object.keys(facets).forEach(key => {
+      facets[key] = facets[key] || [];
+    });
+    
+    res.json({
+      results: result.rows.map(withoutSearchVector),
+      count: result.rows.length,
+      sort,
+      session,
+      facets,
+      pagination: {
+        page,
+        per_page: perPage,
+        total_items: totalItems,
+        total_pages: Math.ceil(totalItems / perPage)
+      }
+    });
+  } catch (error) {
+    console.error('Error in advanced search:', error);
+    res.status(500).json({ error: 'Search failed', message: error.message });
+  }
+});
+
+// ============================================================================
+// ACCOUNT ENDPOINTS
+// ============================================================================
+
+// Email a sign-in link. Always succeeds, so the response does not reveal
+// which addresses have accounts.
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body.email);
+    
+    if (!email) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    
+    const token = await createLoginToken(email);
+    if (token) {
+      await emailService.sendMagicLinkEmail(email, token, LOGIN_TOKEN_MINUTES);
     }
     
     res.json({
       success: true,
-      message: 'Removed from favorites'
+      message: 'Check your email for a sign-in link.'
     });
   } catch (error) {
-    console.error('Error removing favorite:', error);
-    res.status(500).json({ error: 'Failed to remove favorite', message: error.message });
+    console.error('Error sending sign-in link:', error);
+    res.status(500).json({ error: 'Failed to send sign-in link', message: error.message });
+  }
+});
+
+// The emailed link only shows a confirmation button; redeeming it takes a
+// POST so link scanners in mail clients cannot use up the token. The form
+// carries this browser's anonymous session, whose favorites move into the
+// account, so it can be opened on a different browser than the one that
+// asked for the link.
+app.get('/api/auth/verify', (req, res) => {
+  const token = String(req.query.token || '').replace(/[^a-f0-9]/gi, '');
+  
+  res.send(`
+    <html>
+      <head><title>Sign In</title></head>
+      <body style="font-family: Arial; padding: 40px; text-align: center;">
+        <h1>Sign in to Oklahoma Bill Tracker</h1>
+        <form method="POST" action="/api/auth/verify">
+          <input type="hidden" name="token" value="${token}">
+          <input type="hidden" name="session_id" id="sessionId">
+          <button type="submit" style="background: #3b82f6; color: white; padding: 14px 28px; border: none; border-radius: 6px; font-size: 16px; cursor: pointer;">
+            Sign In
+          </button>
+        </form>
+        <script>
+          document.getElementById('sessionId').value = localStorage.getItem('sessionId') || '';
+        </script>
+      </body>
+    </html>
+  `);
+});
+
+app.post('/api/auth/verify', express.urlencoded({ extended: false }), async (req, res) => {
+  try {
+    const user = await redeemLoginToken(req.body.token, req.body.session_id || null);
+    
+    if (!user) {
+      return res.status(400).send(`
+        <html>
+          <head><title>Sign In</title></head>
+          <body style="font-family: Arial; padding: 40px; text-align: center;">
+            <h1>Invalid or expired sign-in link</h1>
+            <a href="${process.env.APP_URL || '/'}" style="color: #3b82f6;">Return to Dashboard</a>
+          </body>
+        </html>
+      `);
+    }
+    
+    const cookie = createSessionCookie(user);
+    res.cookie(cookie.name, cookie.value, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: (process.env.APP_URL || '').startsWith('https:'),
+      maxAge: cookie.maxAge * 1000,
+      path: '/'
+    });
+    
+    res.redirect(303, process.env.APP_URL || '/');
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).send('<h1>Error signing in</h1>');
+  }
+});
+
+// Revokes the account's sessions on every device, not just this cookie
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    if (req.user) {
+      await revokeSessions(req.user.id);
+    }
+    
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: 'Failed to sign out', message: error.message });
+  }
+});
+
+// The signed-in account
+app.get('/api/me', async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Not signed in' });
+    }
+    
+    const favorites = await pool.query(
+      'SELECT COUNT(*) FROM bill_favorites WHERE user_id = $1',
+      [req.user.id]
+    );
+    
+    res.json({
+      user: req.user,
+      favorites_count: parseInt(favorites.rows[0].count)
+    });
+  } catch (error) {
+    console.error('Error fetching account:', error);
+    res.status(500).json({ error: 'Failed to fetch account', message: error.message });
+  }
+});
+
+// ============================================================================
+// FAVORITES ENDPOINTS
+// ============================================================================
+
+const FAVORITE_SORTS = {
+  favorited: 'favorited_at DESC',
+  priority: `array_position(ARRAY['high', 'medium', 'low']::text[], priority) NULLS LAST, favorited_at DESC`,
+  identifier: 'identifier',
+  latest_action: 'latest_action_date DESC NULLS LAST'
+};
+
+// The owner's favorites, narrowed by the ?position=, ?priority= and ?tag=
+// filters. Returns { error } for an invalid filter or sort.
+async function queryFavorites(owner, query) {
+  const sort = query.sort || 'favorited';
+  if (!FAVORITE_SORTS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(FAVORITE_SORTS).join(', ')}` };
+  }
+  
+  const filters = trackingFilters(query, 2);
+  if (filters.error) return filters;
+  
+  const result = await pool.query(`
+    SELECT * FROM favorite_bills_view
+    WHERE ${[`${owner.column} = $1`, ...filters.conditions].join(' AND ')}
+    ORDER BY ${FAVORITE_SORTS[sort]}
+  `, [owner.value, ...filters.params]);
+  
+  return { favorites: result.rows };
+}
+
+// Add a bill to the owner's list, or update it when already there. Tracking
+// fields left undefined keep their stored values; notes, when given, are
+// appended to the bill's notes thread. Changes to a watchlist are logged.
+// db is the pool or a transaction client.
+async function saveFavorite(owner, user, billId, { tracking = {}, notes, notificationEnabled } = {}, db = pool) {
+  const previous = await db.query(
+    `SELECT * FROM bill_favorites WHERE ${owner.column} = $1 AND bill_id = $2`,
+    [owner.value, billId]
+  );
+  const added = previous.rows.length === 0;
+  
+  // tracking keys come from parseTracking (position, priority, tags)
+  const updates = Object.keys(tracking).map(key => `${key} = EXCLUDED.${key}`);
+  if (notificationEnabled !== undefined) {
+    updates.push('notification_enabled = EXCLUDED.notification_enabled');
+  }
+  
+  const result = await db.query(`
+    INSERT INTO bill_favorites (${owner.column}, bill_id, position, priority, tags, notification_enabled, added_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (${owner.column}, bill_id)
+    DO UPDATE SET ${updates.length > 0 ? updates.join(', ') : 'bill_id = EXCLUDED.bill_id'}
+    RETURNING *
+  `, [
+    owner.value,
+    billId,
+    tracking.position ?? null,
+    tracking.priority ?? null,
+    tracking.tags ?? [],
+    notificationEnabled !== false,
+    user?.id || null
+  ]);
+  const favorite = result.rows[0];
+  
+  let note = null;
+  if (notes && String(notes).trim()) {
+    const noteResult = await db.query(`
+      INSERT INTO favorite_notes (favorite_id, user_id, body)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [favorite.id, user?.id || null, String(notes).trim()]);
+    note = noteResult.rows[0];
+  }
+  
+  if (owner.watchlist) {
+    const log = (action, details) => logActivity({
+      organizationId: owner.watchlist.organization_id,
+      watchlistId: owner.watchlist.id,
+      userId: user.id,
+      action,
+      billId,
+      details
+    }, db);
+    
+    if (added) {
+      await log('bill_added', { position: favorite.position, priority: favorite.priority, tags: favorite.tags });
+    } else {
+      const changed = Object.keys(tracking)
+        .filter(key => JSON.stringify(previous.rows[0][key]) !== JSON.stringify(favorite[key]));
+      if (changed.length > 0) {
+        await log('tracking_updated', Object.fromEntries(
+          changed.map(key => [key, { from: previous.rows[0][key], to: favorite[key] }])
+        ));
+      }
+    }
+    
+    if (note) {
+      await log('note_added', { note_id: note.id, body: note.body });
+    }
+  }
+  
+  return { favorite, added, note };
+}
+
+async function findFavorite(owner, billId, db = pool) {
+  if (!/^\d+$/.test(String(billId))) return null;
+  
+  const result = await db.query(
+    `SELECT * FROM bill_favorites WHERE ${owner.column} = $1 AND bill_id = $2`,
+    [owner.value, billId]
+  );
+  return result.rows[0] || null;
+}
+
+// Get user's favorite bills. Filters: ?position= and ?priority= (comma
+// lists, 'none' for unset), ?tag= (all listed tags); ?sort=
+app.get('/api/favorites', async (req, res) => {
+  try {
+    const owner = await favoriteOwner(req);
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error });
+    }
+    
+    const result = await queryFavorites(owner, req.query);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    res.json({
+      watchlist: owner.watchlist || null,
+      favorites: result.favorites,
+      count: result.favorites.length
+    });
+  } catch (error) {
+    console.error('Error fetching favorites:', error);
+    res.status(500).json({ error: 'Failed to fetch favorites', message: error.message });
+  }
+});
+
+// Export favorites (same filters) with their tracking and notes
+app.get('/api/favorites/export/:format', async (req, res) => {
+  try {
+    const { format } = req.params;
+    
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or xlsx' });
+    }
+    
+    const owner = await favoriteOwner(req);
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error });
+    }
+    
+    const result = await queryFavorites(owner, req.query);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    const notes = await getNotes(result.favorites.map(favorite => favorite.favorite_id));
+    const bills = result.favorites.map(favorite => ({
+      ...favorite,
+      note_history: notes.filter(note => note.favorite_id === favorite.favorite_id)
+    }));
+    
+    const filename = `${owner.watchlist ? `watchlist-${owner.watchlist.id}` : 'favorites'}-${new Date().toISOString().split('T')[0]}`;
+    
+    if (format === 'xlsx') {
+      const workbook = await exportService.generateExcel(bills);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      await workbook.xlsx.write(res);
+      res.end();
+    } else {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      res.send(exportService.generateCSV(bills));
+    }
+  } catch (error) {
+    console.error('Error exporting favorites:', error);
+    res.status(500).json({ error: 'Failed to export favorites', message: error.message });
+  }
+});
+
+// Add bill to favorites, or update its position, priority, tags and
+// notifications. notes adds a note to the bill's thread. Signed-in accounts
+// get notifications at their own address; anonymous visitors can name an
+// email, which must be confirmed.
+app.post('/api/favorites', async (req, res) => {
+  try {
+    const { billId, billIdentifier, notes, notificationEnabled } = req.body;
+    const owner = await favoriteOwner(req, 'editor');
+    const email = req.user ? req.user.email : normalizeEmail(req.body.email);
+    const { tracking, error } = parseTracking(req.body);
+    
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error });
+    }
+    if (!billId && !billIdentifier) {
+      return res.status(400).json({ error: 'billId or billIdentifier is required' });
+    }
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (req.body.email && !email) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    
+    let actualBillId = billId;
+    
+    // If billIdentifier provided instead of billId, look it up
+    if (!billId && billIdentifier) {
+      const bill = await findBillByIdentifier(billIdentifier, req.body.session);
+      if (!bill) {
+        return res.status(404).json({ error: 'Bill not found' });
+      }
+      actualBillId = bill.id;
+    }
+    
+    const { favorite, added } = await saveFavorite(owner, req.user, actualBillId, { tracking, notes, notificationEnabled });
+    
+    // If email provided and notifications enabled, create email subscription
+    let needsVerification = false;
+    if (email && favorite.notification_enabled && (added || notificationEnabled !== undefined)) {
+      const verificationToken = crypto.randomBytes(32).toString('hex');
+      
+      // Signing in already proved the account owns its address
+      const subscription = await pool.query(`
+        INSERT INTO email_subscriptions (email, bill_id, notification_type, verification_token, from_favorite, verified_at)
+        VALUES ($1, $2, 'status_change', $3, TRUE, $4)
+        ON CONFLICT (email, bill_id, notification_type) DO NOTHING
+        RETURNING id
+      `, [email, actualBillId, verificationToken, req.user ? new Date() : null]);
+      
+      needsVerification = !req.user && subscription.rows.length > 0;
+      
+      if (needsVerification) {
+        // Get bill details and send verification email
+        const billData = await pool.query(
+          'SELECT identifier, title FROM bills WHERE id = $1',
+          [actualBillId]
+        );
+        
+        if (billData.rows.length > 0) {
+          await emailService.sendVerificationEmail(email, verificationToken, billData.rows[0].identifier);
+        }
+      }
+    }
+    
+    res.json({
+      success: true,
+      favorite,
+      message: needsVerification
+        ? 'Added to favorites! Check your email to confirm notifications.'
+        : (added ? 'Added to favorites!' : 'Favorite updated')
+    });
+  } catch (error) {
+    console.error('Error adding favorite:', error);
+    res.status(500).json({ error: 'Failed to add favorite', message: error.message });
+  }
+});
+
+// Import a CSV or XLSX bill list (the file is the request body) into the
+// favorites or ?watchlist=. Rows match on bill number in any common format;
+// optional Position, Priority, Tags and Notes columns are applied, blank cells
+// leave a bill's stored values alone. ?dry_run=true reports without saving.
+app.post('/api/favorites/import', express.raw({ type: () => true, limit: '5mb' }), async (req, res) => {
+  try {
+    const owner = await favoriteOwner(req, 'editor');
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error });
+    }
+    
+    const dryRun = req.query.dry_run === 'true';
+    const format = req.query.format || (/spreadsheetml/.test(req.headers['content-type'] || '') ? 'xlsx' : undefined);
+    
+    if (format && !['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or xlsx' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Send the CSV or XLSX file as the request body' });
+    }
+    
+    let rows;
+    try {
+      rows = await readRows(req.body, format);
+    } catch (error) {
+      return res.status(400).json({ error: 'Could not read the file as CSV or XLSX', message: error.message });
+    }
+    
+    if (rows.length > MAX_IMPORT_ROWS + 1) {
+      return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows` });
+    }
+    
+    const session = await resolveSession(req.query.session);
+    const report = await matchImportRows(rows, { session });
+    const seen = new Set();
+    let added = 0;
+    let updated = 0;
+    
+    // All rows are saved or none are
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      for (const row of report) {
+        if (row.status !== 'matched') continue;
+        
+        if (seen.has(row.bill_id)) {
+          row.status = 'duplicate';
+          continue;
+        }
+        seen.add(row.bill_id);
+        
+        const { tracking, error } = parseTracking({
+          position: row.position ? row.position.toLowerCase() : undefined,
+          priority: row.priority ? row.priority.toLowerCase() : undefined,
+          tags: row.tags || undefined
+        });
+        if (error) {
+          row.status = 'invalid';
+          row.error = error;
+          continue;
+        }
+        
+        // Re-importing an export must not repeat notes the bill already has
+        let notes = row.notes || undefined;
+        const existing = await findFavorite(owner, row.bill_id, client);
+        if (existing && notes) {
+          const history = await getNotes([existing.id], client);
+          if (history.some(note => note.body === notes) || exportService.formatNoteHistory(history) === notes) {
+            notes = undefined;
+          }
+        }
+        
+        row.action = existing ? 'updated' : 'added';
+        if (existing) updated++; else added++;
+        
+        if (!dryRun) {
+          await saveFavorite(owner, req.user, row.bill_id, { tracking, notes }, client);
+        }
+      }
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    const count = status => report.filter(row => row.status === status).length;
+    
+    res.json({
+      success: true,
+      dry_run: dryRun,
+      session,
+      summary: {
+        rows: report.length,
+        matched: count('matched'),
+        added,
+        updated,
+        unmatched: count('unmatched'),
+        ambiguous: count('ambiguous'),
+        invalid: count('invalid'),
+        duplicate: count('duplicate')
+      },
+      rows: report
+    });
+  } catch (error) {
+    console.error('Error importing favorites:', error);
+    res.status(500).json({ error: 'Failed to import favorites', message: error.message });
+  }
+});
+
+// A favorite's notes as a thread (replies nested under their note)
+app.get('/api/favorites/:billId/notes', async (req, res) => {
+  try {
+    const owner = await favoriteOwner(req);
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error });
+    }
+    
+    const favorite = await findFavorite(owner, req.params.billId);
+    if (!favorite) {
+      return res.status(404).json({ error: 'Favorite not found' });
+    }
+    
+    res.json({ notes: await getNoteThread(favorite.id) });
+  } catch (error) {
+    console.error('Error fetching notes:', error);
+    res.status(500).json({ error: 'Failed to fetch notes', message: error.message });
+  }
+});
+
+// Add a note, or a reply with parentId
+app.post('/api/favorites/:billId/notes', async (req, res) => {
+  try {
+    const owner = await favoriteOwner(req, 'editor');
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error });
+    }
+    
+    const body = String(req.body.body || '').trim();
+    const parentId = req.body.parentId || null;
+    
+    if (!body) {
+      return res.status(400).json({ error: 'body is required' });
+    }
+    
+    const favorite = await findFavorite(owner, req.params.billId);
+    if (!favorite) {
+      return res.status(404).json({ error: 'Favorite not found' });
+    }
+    
+    if (parentId) {
+      if (!/^\d+$/.test(String(parentId))) {
+        return res.status(400).json({ error: 'parentId must be a note on this bill' });
+      }
+      const parent = await pool.query(
+        'SELECT id FROM favorite_notes WHERE id = $1 AND favorite_id = $2',
+        [parentId, favorite.id]
+      );
+      if (parent.rows.length === 0) {
+        return res.status(400).json({ error: 'parentId must be a note on this bill' });
+      }
+    }
+    
+    const result = await pool.query(`
+      INSERT INTO favorite_notes (favorite_id, parent_id, user_id, body)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [favorite.id, parentId, req.user?.id || null, body]);
+    const note = result.rows[0];
+    
+    if (owner.watchlist) {
+      await logActivity({
+        organizationId: owner.watchlist.organization_id,
+        watchlistId: owner.watchlist.id,
+        userId: req.user.id,
+        action: 'note_added',
+        billId: favorite.bill_id,
+        details: { note_id: note.id, parent_id: parentId, body }
+      });
+    }
+    
+    res.status(201).json({ note });
+  } catch (error) {
+    console.error('Error adding note:', error);
+    res.status(500).json({ error: 'Failed to add note', message: error.message });
+  }
+});
+
+// Only a note's author edits it; the author or a watchlist owner deletes it
+// (with its replies)
+async function findOwnNote(req, res, minimumRole, { ownerMayAct = false } = {}) {
+  const owner = await favoriteOwner(req, minimumRole);
+  if (owner.error) {
+    res.status(owner.status).json({ error: owner.error });
+    return null;
+  }
+  
+  if (!/^\d+$/.test(req.params.noteId) || !/^\d+$/.test(req.params.billId)) {
+    res.status(404).json({ error: 'Note not found' });
+    return null;
+  }
+  
+  const result = await pool.query(`
+    SELECT n.*, f.bill_id
+    FROM favorite_notes n
+    JOIN bill_favorites f ON f.id = n.favorite_id
+    WHERE n.id = $1 AND f.bill_id = $2 AND f.${owner.column} = $3
+  `, [req.params.noteId, req.params.billId, owner.value]);
+  const note = result.rows[0];
+  
+  if (!note) {
+    res.status(404).json({ error: 'Note not found' });
+    return null;
+  }
+  
+  const isAuthor = (note.user_id ?? null) === (req.user?.id ?? null);
+  
+  if (!isAuthor && !(ownerMayAct && owner.role === 'owner')) {
+    res.status(403).json({ error: 'Only the note\'s author can change it' });
+    return null;
+  }
+  
+  return { owner, note };
+}
+
+app.put('/api/favorites/:billId/notes/:noteId', async (req, res) => {
+  try {
+    const body = String(req.body.body || '').trim();
+    if (!body) {
+      return res.status(400).json({ error: 'body is required' });
+    }
+    
+    const found = await findOwnNote(req, res, 'editor');
+    if (!found) return;
+    const { owner, note } = found;
+    
+    const result = await pool.query(`
+      UPDATE favorite_notes SET body = $2, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [note.id, body]);
+    
+    if (owner.watchlist) {
+      await logActivity({
+        organizationId: owner.watchlist.organization_id,
+        watchlistId: owner.watchlist.id,
+        userId: req.user.id,
+        action: 'note_edited',
+        billId: note.bill_id,
+        details: { note_id: note.id, from: note.body, to: body }
+      });
+    }
+    
+    res.json({ note: result.rows[0] });
+  } catch (error) {
+    console.error('Error editing note:', error);
+    res.status(500).json({ error: 'Failed to edit note', message: error.message });
+  }
+});
+
+app.delete('/api/favorites/:billId/notes/:noteId', async (req, res) => {
+  try {
+    const found = await findOwnNote(req, res, 'editor', { ownerMayAct: true });
+    if (!found) return;
+    const { owner, note } = found;
+    
+    await pool.query('DELETE FROM favorite_notes WHERE id = $1', [note.id]);
+    
+    if (owner.watchlist) {
+      await logActivity({
+        organizationId: owner.watchlist.organization_id,
+        watchlistId: owner.watchlist.id,
+        userId: req.user.id,
+        action: 'note_deleted',
+        billId: note.bill_id,
+        details: { note_id: note.id, body: note.body }
+      });
+    }
+    
+    res.json({ success: true, message: 'Note deleted' });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    res.status(500).json({ error: 'Failed to delete note', message: error.message });
+  }
+});
+
+// Remove bill from favorites
+app.delete('/api/favorites/:billId', async (req, res) => {
+  try {
+    const { billId } = req.params;
+    const owner = await favoriteOwner(req, 'editor');
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error });
+    }
+    
+    const query = `
+      DELETE FROM bill_favorites
+      WHERE bill_id = $1 AND ${owner.column} = $2
+      RETURNING *
+    `;
+    
+    const result = await pool.query(query, [billId, owner.value]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Favorite not found' });
+    }
+    
+    if (owner.watchlist) {
+      await logActivity({
+        organizationId: owner.watchlist.organization_id,
+        watchlistId: owner.watchlist.id,
+        userId: req.user.id,
+        action: 'bill_removed',
+        billId: result.rows[0].bill_id,
+        details: { position: result.rows[0].position, priority: result.rows[0].priority, tags: result.rows[0].tags }
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Removed from favorites'
+    });
+  } catch (error) {
+    console.error('Error removing favorite:', error);
+    res.status(500).json({ error: 'Failed to remove favorite', message: error.message });
+  }
+});
+
+// Check if bill is favorited
+app.get('/api/favorites/check/:billId', async (req, res) => {
+  try {
+    const { billId } = req.params;
+    const owner = await favoriteOwner(req);
+    if (owner.error) {
+      return res.status(owner.status).json({ error: owner.error });
+    }
+    
+    const query = `
+      SELECT * FROM bill_favorites
+      WHERE bill_id = $1 AND ${owner.column} = $2
+    `;
+    
+    const result = await pool.query(query, [billId, owner.value]);
+    
+    res.json({
+      isFavorited: result.rows.length > 0,
+      favorite: result.rows[0] || null
+    });
+  } catch (error) {
+    console.error('Error checking favorite:', error);
+    res.status(500).json({ error: 'Failed to check favorite', message: error.message });
+  }
+});
+
+// ============================================================================
+// ORGANIZATION & WATCHLIST ENDPOINTS
+// ============================================================================
+
+// The signed-in user's role in organization :id, or null after sending the
+// error response when they are not a member or their role is too low
+async function requireOrganizationRole(req, res, minimumRole) {
+  const role = /^\d+$/.test(req.params.id) ? await getMemberRole(req.params.id, req.user.id) : null;
+  
+  if (!role) {
+    res.status(404).json({ error: 'Organization not found' });
+    return null;
+  }
+  if (!hasRole(role, minimumRole)) {
+    res.status(403).json({ error: `The ${minimumRole} role is required` });
+    return null;
+  }
+  return role;
+}
+
+// Same for watchlist :id; returns { watchlist, role }
+async function requireWatchlistRole(req, res, minimumRole) {
+  const access = /^\d+$/.test(req.params.id) ? await getWatchlistAccess(req.params.id, req.user.id) : null;
+  
+  if (!access) {
+    res.status(404).json({ error: 'Watchlist not found' });
+    return null;
+  }
+  if (!hasRole(access.role, minimumRole)) {
+    res.status(403).json({ error: `The ${minimumRole} role is required for this watchlist` });
+    return null;
+  }
+  return access;
+}
+
+// An organization must keep at least one owner. Locks the owner rows, so
+// call it on the transaction that changes the member: a concurrent demotion
+// waits and then sees the owners that are left.
+async function isLastOwner(client, organizationId, userId) {
+  const owners = await client.query(`
+    SELECT user_id FROM organization_members
+    WHERE organization_id = $1 AND role = 'owner'
+    FOR UPDATE
+  `, [organizationId]);
+  return owners.rows.length === 1 && String(owners.rows[0].user_id) === String(userId);
+}
+
+// Organizations the signed-in user belongs to
+app.get('/api/organizations', requireUser, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        o.*,
+        m.role,
+        (SELECT COUNT(*) FROM organization_members WHERE organization_id = o.id)::int as member_count,
+        (SELECT COUNT(*) FROM watchlists WHERE organization_id = o.id)::int as watchlist_count
+      FROM organizations o
+      JOIN organization_members m ON m.organization_id = o.id AND m.user_id = $1
+      ORDER BY o.name
+    `, [req.user.id]);
+    
+    res.json({ organizations: result.rows });
+  } catch (error) {
+    console.error('Error fetching organizations:', error);
+    res.status(500).json({ error: 'Failed to fetch organizations', message: error.message });
+  }
+});
+
+// Create an organization; the creator becomes its owner
+app.post('/api/organizations', requireUser, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    
+    const organization = await withTransaction(async client => {
+      const result = await client.query(
+        'INSERT INTO organizations (name, created_by) VALUES ($1, $2) RETURNING *',
+        [name, req.user.id]
+      );
+      
+      await client.query(`
+        INSERT INTO organization_members (organization_id, user_id, role)
+        VALUES ($1, $2, 'owner')
+      `, [result.rows[0].id, req.user.id]);
+      
+      return result.rows[0];
+    });
+    
+    res.status(201).json({ organization: { ...organization, role: 'owner' } });
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    res.status(500).json({ error: 'Failed to create organization', message: error.message });
+  }
+});
+
+// Organization with its members and watchlists
+app.get('/api/organizations/:id', requireUser, async (req, res) => {
+  try {
+    const role = await requireOrganizationRole(req, res, 'viewer');
+    if (!role) return;
+    
+    const organization = await pool.query('SELECT * FROM organizations WHERE id = $1', [req.params.id]);
+    
+    const members = await pool.query(`
+      SELECT m.user_id, u.email, u.name, m.role, m.created_at as joined_at
+      FROM organization_members m
+      JOIN users u ON u.id = m.user_id
+      WHERE m.organization_id = $1
+      ORDER BY array_position($2::text[], m.role) DESC, u.email
+    `, [req.params.id, ROLES]);
+    
+    const watchlists = await pool.query(`
+      SELECT w.*, (SELECT COUNT(*) FROM bill_favorites WHERE watchlist_id = w.id)::int as bill_count
+      FROM watchlists w
+      WHERE w.organization_id = $1
+      ORDER BY w.name
+    `, [req.params.id]);
+    
+    res.json({
+      organization: { ...organization.rows[0], role },
+      members: members.rows,
+      watchlists: watchlists.rows
+    });
+  } catch (error) {
+    console.error('Error fetching organization:', error);
+    res.status(500).json({ error: 'Failed to fetch organization', message: error.message });
+  }
+});
+
+// Rename an organization (owners)
+app.put('/api/organizations/:id', requireUser, async (req, res) => {
+  try {
+    if (!await requireOrganizationRole(req, res, 'owner')) return;
+    
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    
+    const result = await pool.query(
+      'UPDATE organizations SET name = $2, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [req.params.id, name]
+    );
+    
+    res.json({ organization: result.rows[0] });
+  } catch (error) {
+    console.error('Error updating organization:', error);
+    res.status(500).json({ error: 'Failed to update organization', message: error.message });
+  }
+});
+
+// Delete an organization with its watchlists and activity (owners)
+app.delete('/api/organizations/:id', requireUser, async (req, res) => {
+  try {
+    if (!await requireOrganizationRole(req, res, 'owner')) return;
+    
+    await pool.query('DELETE FROM organizations WHERE id = $1', [req.params.id]);
+    
+    res.json({ success: true, message: 'Organization deleted' });
+  } catch (error) {
+    console.error('Error deleting organization:', error);
+    res.status(500).json({ error: 'Failed to delete organization', message: error.message });
+  }
+});
+
+// Add a member by email (owners). Addresses without an account get one,
+// which they use by signing in with that address.
+app.post('/api/organizations/:id/members', requireUser, async (req, res) => {
+  try {
+    if (!await requireOrganizationRole(req, res, 'owner')) return;
+    
+    const email = normalizeEmail(req.body.email);
+    const role = req.body.role || 'viewer';
+    
+    if (!email) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    
+    const member = await withTransaction(async client => {
+      const user = await client.query(`
+        INSERT INTO users (email) VALUES ($1)
+        ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+        RETURNING id, email, name
+      `, [email]);
+      
+      const result = await client.query(`
+        INSERT INTO organization_members (organization_id, user_id, role)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (organization_id, user_id) DO NOTHING
+        RETURNING *
+      `, [req.params.id, user.rows[0].id, role]);
+      
+      if (result.rows.length === 0) return null;
+      
+      await logActivity({
+        organizationId: req.params.id,
+        userId: req.user.id,
+        action: 'member_added',
+        details: { email, role }
+      }, client);
+      
+      return { ...user.rows[0], user_id: user.rows[0].id, role };
+    });
+    
+    if (!member) {
+      return res.status(409).json({ error: 'Already a member' });
+    }
+    
+    res.status(201).json({ member });
+  } catch (error) {
+    console.error('Error adding member:', error);
+    res.status(500).json({ error: 'Failed to add member', message: error.message });
+  }
+});
+
+// Change a member's role (owners)
+app.put('/api/organizations/:id/members/:userId', requireUser, async (req, res) => {
+  try {
+    if (!await requireOrganizationRole(req, res, 'owner')) return;
+    
+    if (!/^\d+$/.test(req.params.userId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    
+    const outcome = await withTransaction(async client => {
+      if (role !== 'owner' && await isLastOwner(client, req.params.id, req.params.userId)) {
+        return { status: 400, error: 'An organization needs at least one owner' };
+      }
+      
+      const previous = await client.query(`
+        SELECT m.role, u.email FROM organization_members m
+        JOIN users u ON u.id = m.user_id
+        WHERE m.organization_id = $1 AND m.user_id = $2
+        FOR UPDATE OF m
+      `, [req.params.id, req.params.userId]);
+      
+      if (previous.rows.length === 0) {
+        return { status: 404, error: 'Member not found' };
+      }
+      
+      const result = await client.query(`
+        UPDATE organization_members SET role = $3
+        WHERE organization_id = $1 AND user_id = $2
+        RETURNING *
+      `, [req.params.id, req.params.userId, role]);
+      
+      await logActivity({
+        organizationId: req.params.id,
+        userId: req.user.id,
+        action: 'member_updated',
+        details: { email: previous.rows[0].email, from: previous.rows[0].role, to: role }
+      }, client);
+      
+      return { member: result.rows[0] };
+    });
+    
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    
+    res.json({ member: outcome.member });
+  } catch (error) {
+    console.error('Error updating member:', error);
+    res.status(500).json({ error: 'Failed to update member', message: error.message });
+  }
+});
+
+// Remove a member (owners), or leave the organization (anyone)
+app.delete('/api/organizations/:id/members/:userId', requireUser, async (req, res) => {
+  try {
+    const leaving = String(req.user.id) === req.params.userId;
+    if (!await requireOrganizationRole(req, res, leaving ? 'viewer' : 'owner')) return;
+    
+    if (!/^\d+$/.test(req.params.userId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    
+    const outcome = await withTransaction(async client => {
+      if (await isLastOwner(client, req.params.id, req.params.userId)) {
+        return { status: 400, error: 'An organization needs at least one owner' };
+      }
+      
+      const result = await client.query(`
+        DELETE FROM organization_members m
+        USING users u
+        WHERE m.organization_id = $1 AND m.user_id = $2 AND u.id = m.user_id
+        RETURNING m.role, u.email
+      `, [req.params.id, req.params.userId]);
+      
+      if (result.rows.length === 0) {
+        return { status: 404, error: 'Member not found' };
+      }
+      
+      await logActivity({
+        organizationId: req.params.id,
+        userId: req.user.id,
+        action: 'member_removed',
+        details: { email: result.rows[0].email, role: result.rows[0].role }
+      }, client);
+      
+      return {};
+    });
+    
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    
+    res.json({ success: true, message: leaving ? 'Left organization' : 'Member removed' });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({ error: 'Failed to remove member', message: error.message });
+  }
+});
+
+// Who added or removed which bill, edited a note or changed the watchlists
+// and members, newest first. ?watchlist= and ?action= narrow it down.
+app.get('/api/organizations/:id/activity', requireUser, async (req, res) => {
+  try {
+    if (!await requireOrganizationRole(req, res, 'viewer')) return;
+    
+    const { watchlist, action } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const perPage = Math.min(Math.max(parseInt(req.query.per_page) || 50, 1), 100);
+    
+    if (watchlist && !/^\d+$/.test(watchlist)) {
+      return res.status(400).json({ error: 'watchlist must be a watchlist id' });
+    }
+    if (action && !ACTIVITY_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${ACTIVITY_ACTIONS.join(', ')}` });
+    }
+    
+    const { activity, total } = await getActivity({
+      organizationId: req.params.id,
+      watchlistId: watchlist,
+      action,
+      page,
+      perPage
+    });
+    
+    res.json({
+      activity,
+      pagination: {
+        page,
+        per_page: perPage,
+        total_items: total,
+        total_pages: Math.ceil(total / perPage)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching activity:', error);
+    res.status(500).json({ error: 'Failed to fetch activity', message: error.message });
+  }
+});
+
+// Watchlists the signed-in user can see: personal ones and their organizations'.
+// Bills on a watchlist are read and changed through /api/favorites?watchlist=:id
+app.get('/api/watchlists', requireUser, async (req, res) => {
+  try {
+    res.json({ watchlists: await listWatchlists(req.user.id) });
+  } catch (error) {
+    console.error('Error fetching watchlists:', error);
+    res.status(500).json({ error: 'Failed to fetch watchlists', message: error.message });
+  }
+});
+
+// Create a watchlist, shared with an organization (editors) or personal
+app.post('/api/watchlists', requireUser, async (req, res) => {
+  try {
+    const { description, organizationId } = req.body;
+    const name = String(req.body.name || '').trim();
+    
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    
+    if (organizationId) {
+      const role = /^\d+$/.test(String(organizationId)) ? await getMemberRole(organizationId, req.user.id) : null;
+      if (!role) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+      if (!hasRole(role, 'editor')) {
+        return res.status(403).json({ error: 'The editor role is required' });
+      }
+    }
+    
+    const watchlist = await withTransaction(async client => {
+      const result = await client.query(`
+        INSERT INTO watchlists (name, description, organization_id, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `, [name, description || null, organizationId || null, req.user.id]);
+      
+      await logActivity({
+        organizationId: result.rows[0].organization_id,
+        watchlistId: result.rows[0].id,
+        userId: req.user.id,
+        action: 'watchlist_created',
+        details: { name }
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    res.status(201).json({ watchlist });
+  } catch (error) {
+    console.error('Error creating watchlist:', error);
+    res.status(500).json({ error: 'Failed to create watchlist', message: error.message });
+  }
+});
+
+// Rename or describe a watchlist (editors)
+app.put('/api/watchlists/:id', requireUser, async (req, res) => {
+  try {
+    const access = await requireWatchlistRole(req, res, 'editor');
+    if (!access) return;
+    
+    const name = req.body.name !== undefined ? String(req.body.name).trim() : access.watchlist.name;
+    const description = req.body.description !== undefined ? req.body.description : access.watchlist.description;
+    
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    
+    const watchlist = await withTransaction(async client => {
+      const result = await client.query(`
+        UPDATE watchlists SET name = $2, description = $3, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [access.watchlist.id, name, description]);
+      
+      await logActivity({
+        organizationId: access.watchlist.organization_id,
+        watchlistId: access.watchlist.id,
+        userId: req.user.id,
+        action: 'watchlist_updated',
+        details: { from: access.watchlist.name, to: name }
+      }, client);
+      
+      return result.rows[0];
+    });
+    
+    res.json({ watchlist });
+  } catch (error) {
+    console.error('Error updating watchlist:', error);
+    res.status(500).json({ error: 'Failed to update watchlist', message: error.message });
+  }
+});
+
+// Delete a watchlist and its bills (owners)
+app.delete('/api/watchlists/:id', requireUser, async (req, res) => {
+  try {
+    const access = await requireWatchlistRole(req, res, 'owner');
+    if (!access) return;
+    
+    await withTransaction(async client => {
+      const result = await client.query(`
+        WITH removed AS (DELETE FROM bill_favorites WHERE watchlist_id = $1 RETURNING id)
+        SELECT COUNT(*) FROM removed
+      `, [access.watchlist.id]);
+      await client.query('DELETE FROM watchlists WHERE id = $1', [access.watchlist.id]);
+      
+      // Kept on the organization's log; the watchlist's own entries lose their link
+      await logActivity({
+        organizationId: access.watchlist.organization_id,
+        userId: req.user.id,
+        action: 'watchlist_deleted',
+        details: { name: access.watchlist.name, bills: parseInt(result.rows[0].count) }
+      }, client);
+    });
+    
+    res.json({ success: true, message: 'Watchlist deleted' });
+  } catch (error) {
+    console.error('Error deleting watchlist:', error);
+    res.status(500).json({ error: 'Failed to delete watchlist', message: error.message });
   }
 });
 
-// Check if bill is favorited
-app.get('/api/favorites/check/:billId', async (req, res) => {
+// One watchlist's activity, newest first
+app.get('/api/watchlists/:id/activity', requireUser, async (req, res) => {
   try {
-    const { billId } = req.params;
-    const sessionId = req.sessionId;
-    const { email } = req.query;
+    const access = await requireWatchlistRole(req, res, 'viewer');
+    if (!access) return;
     
-    const query = `
-      SELECT * FROM bill_favorites
-      WHERE bill_id = $1 AND ${email ? 'email = $2' : 'session_id = $2'}
-    `;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const perPage = Math.min(Math.max(parseInt(req.query.per_page) || 50, 1), 100);
     
-    const result = await pool.query(query, [billId, email || sessionId]);
+    const { activity, total } = await getActivity({ watchlistId: access.watchlist.id, page, perPage });
     
     res.json({
-      isFavorited: result.rows.length > 0,
-      favorite: result.rows[0] || null
+      watchlist: access.watchlist,
+      activity,
+      pagination: {
+        page,
+        per_page: perPage,
+        total_items: total,
+        total_pages: Math.ceil(total / perPage)
+      }
     });
   } catch (error) {
-    console.error('Error checking favorite:', error);
-    res.status(500).json({ error: 'Failed to check favorite', message: error.message });
+    console.error('Error fetching activity:', error);
+    res.status(500).json({ error: 'Failed to fetch activity', message: error.message });
   }
 });
 
@@ -512,6 +2762,47 @@ app.get('/api/favorites/check/:billId', async (req, res) => {
 // EMAIL SUBSCRIPTION ENDPOINTS
 // ============================================================================
 
+// What a subscribe response may show: never the verification token, which
+// proves ownership of the address. Webhook subscriptions include the signing
+// secret their receiver needs.
+const SUBSCRIPTION_RESPONSE_FIELDS = [
+  'id', 'email', 'name', 'subscription_type', 'bill_id', 'legislator_id', 'search_criteria',
+  'label', 'notification_type', 'channel', 'target_url', 'is_active', 'created_at'
+];
+
+function subscriptionResponse(subscription) {
+  const response = {};
+  SUBSCRIPTION_RESPONSE_FIELDS.forEach(field => {
+    if (subscription[field] !== undefined) response[field] = subscription[field];
+  });
+  // A verified subscription kept its secret; only a new one is shown
+  if (subscription.channel === 'webhook' && !subscription.verified_at) {
+    response.webhook_secret = subscription.webhook_secret;
+  }
+  return response;
+}
+
+// ON CONFLICT update for subscribing again to the same thing. Repeating a
+// verified subscription's delivery target just re-activates it and keeps its
+// token (and the unsubscribe links already sent). Any other change of channel
+// or target takes the new token and stays off until that token is verified,
+// so knowing someone's address is not enough to redirect their alerts.
+const KEEPS_VERIFICATION = `email_subscriptions.verified_at IS NOT NULL
+      AND email_subscriptions.channel IS NOT DISTINCT FROM EXCLUDED.channel
+      AND email_subscriptions.target_url IS NOT DISTINCT FROM EXCLUDED.target_url`;
+
+const RESUBSCRIBE_UPDATE = `
+  DO UPDATE SET
+    is_active = (${KEEPS_VERIFICATION}),
+    verified_at = CASE WHEN ${KEEPS_VERIFICATION} THEN email_subscriptions.verified_at END,
+    verification_token = CASE WHEN ${KEEPS_VERIFICATION}
+      THEN email_subscriptions.verification_token ELSE EXCLUDED.verification_token END,
+    webhook_secret = CASE WHEN ${KEEPS_VERIFICATION}
+      THEN email_subscriptions.webhook_secret ELSE EXCLUDED.webhook_secret END,
+    channel = EXCLUDED.channel,
+    target_url = EXCLUDED.target_url
+`;
+
 // Subscribe to bill updates
 app.post('/api/subscribe', async (req, res) => {
   try {
@@ -521,17 +2812,35 @@ app.post('/api/subscribe', async (req, res) => {
       return res.status(400).json({ error: 'Email and billId are required' });
     }
     
+    const delivery = await parseDeliveryChannel(req.body);
+    if (delivery.error) {
+      return res.status(400).json({ error: delivery.error });
+    }
+    
     const verificationToken = crypto.randomBytes(32).toString('hex');
     
     const query = `
-      INSERT INTO email_subscriptions (email, name, bill_id, notification_type, verification_token)
-      VALUES ($1, $2, $3, $4, $5)
-      ON CONFLICT (email, bill_id, notification_type) 
-      DO UPDATE SET is_active = TRUE, verification_token = EXCLUDED.verification_token
+      INSERT INTO email_subscriptions (
+        email, name, bill_id, notification_type, verification_token, channel, target_url, webhook_secret
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (email, bill_id, notification_type)
+      ${RESUBSCRIBE_UPDATE}
       RETURNING *
     `;
     
-    const result = await pool.query(query, [email, name, billId, notificationType, verificationToken]);
+    const result = await pool.query(query, [
+      email, name, billId, notificationType, verificationToken,
+      delivery.channel, delivery.targetUrl, delivery.webhookSecret
+    ]);
+    const subscription = result.rows[0];
+    
+    if (subscription.verified_at) {
+      return res.json({
+        success: true,
+        message: 'You are already subscribed to this bill.',
+        subscription: subscriptionResponse(subscription)
+      });
+    }
     
     // Get bill details
     const billData = await pool.query(
@@ -541,13 +2850,13 @@ app.post('/api/subscribe', async (req, res) => {
     
     if (billData.rows.length > 0) {
       // Send verification email
-      await emailService.sendVerificationEmail(email, verificationToken, billData.rows[0]);
+      await emailService.sendVerificationEmail(email, subscription.verification_token, billData.rows[0].identifier);
     }
     
     res.json({
       success: true,
       message: 'Subscription created! Please check your email to verify.',
-      subscription: result.rows[0]
+      subscription: subscriptionResponse(subscription)
     });
   } catch (error) {
     console.error('Error creating subscription:', error);
@@ -555,6 +2864,118 @@ app.post('/api/subscribe', async (req, res) => {
   }
 });
 
+const MAX_LABEL_LENGTH = 100;
+
+// Subscribe to a saved search: get emailed when new or updated bills match it
+app.post('/api/subscribe/search', async (req, res) => {
+  try {
+    const { email, name, label } = req.body;
+    const criteria = normalizeCriteria(req.body.criteria);
+    
+    if (!email || Object.keys(criteria).length === 0) {
+      return res.status(400).json({ error: 'Email and at least one search criterion are required' });
+    }
+    
+    const delivery = await parseDeliveryChannel(req.body);
+    if (delivery.error) {
+      return res.status(400).json({ error: delivery.error });
+    }
+    
+    // Labels go into email subjects and bodies: one line, limited length
+    const customLabel = String(label ?? '').replace(/\s+/g, ' ').trim();
+    if (customLabel.length > MAX_LABEL_LENGTH) {
+      return res.status(400).json({ error: `label must be at most ${MAX_LABEL_LENGTH} characters` });
+    }
+    
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    const searchLabel = customLabel || describeCriteria(criteria).slice(0, MAX_LABEL_LENGTH);
+    
+    const result = await pool.query(`
+      INSERT INTO email_subscriptions (
+        email, name, subscription_type, search_criteria, label, notification_type, verification_token,
+        channel, target_url, webhook_secret
+      ) VALUES ($1, $2, 'search', $3, $4, 'search_match', $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      email, name, criteria, searchLabel, verificationToken,
+      delivery.channel, delivery.targetUrl, delivery.webhookSecret
+    ]);
+    
+    await emailService.sendVerificationEmail(email, verificationToken, `saved search: ${searchLabel}`);
+    
+    res.json({
+      success: true,
+      message: 'Search alert created! Please check your email to verify.',
+      subscription: subscriptionResponse(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Error creating search subscription:', error);
+    res.status(500).json({ error: 'Failed to create search subscription', message: error.message });
+  }
+});
+
+// Follow a legislator: get emailed when they sponsor a new bill or one of their bills changes stage
+app.post('/api/subscribe/legislator', async (req, res) => {
+  try {
+    const { email, name, legislatorId } = req.body;
+    
+    if (!email || !legislatorId) {
+      return res.status(400).json({ error: 'Email and legislatorId are required' });
+    }
+    
+    const delivery = await parseDeliveryChannel(req.body);
+    if (delivery.error) {
+      return res.status(400).json({ error: delivery.error });
+    }
+    
+    // Accept either our numeric ID or the Open States person ID
+    const legislatorResult = await pool.query(`
+      SELECT id, name FROM legislators
+      WHERE ${/^\d+$/.test(String(legislatorId)) ? 'id = $1' : 'openstates_id = $1'}
+    `, [legislatorId]);
+    
+    if (legislatorResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Legislator not found' });
+    }
+    
+    const legislator = legislatorResult.rows[0];
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    
+    const result = await pool.query(`
+      INSERT INTO email_subscriptions (
+        email, name, subscription_type, legislator_id, label, notification_type, verification_token,
+        channel, target_url, webhook_secret
+      ) VALUES ($1, $2, 'legislator', $3, $4, 'sponsor_activity', $5, $6, $7, $8)
+      ON CONFLICT (email, legislator_id) WHERE subscription_type = 'legislator'
+      ${RESUBSCRIBE_UPDATE}
+      RETURNING *
+    `, [
+      email, name, legislator.id, legislator.name, verificationToken,
+      delivery.channel, delivery.targetUrl, delivery.webhookSecret
+    ]);
+    const subscription = result.rows[0];
+    
+    if (subscription.verified_at) {
+      return res.json({
+        success: true,
+        message: 'You are already following this legislator.',
+        subscription: subscriptionResponse(subscription)
+      });
+    }
+    
+    await emailService.sendVerificationEmail(email, subscription.verification_token, `legislator: ${legislator.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Sponsor alert created! Please check your email to verify.',
+      subscription: subscriptionResponse(subscription)
+    });
+  } catch (error) {
+    console.error('Error creating legislator subscription:', error);
+    res.status(500).json({ error: 'Failed to create legislator subscription', message: error.message });
+  }
+});
+
 // Verify email
 app.get('/api/verify-email', async (req, res) => {
   try {
@@ -562,7 +2983,7 @@ app.get('/api/verify-email', async (req, res) => {
     
     const result = await pool.query(`
       UPDATE email_subscriptions
-      SET verified_at = NOW()
+      SET verified_at = NOW(), is_active = TRUE
       WHERE verification_token = $1 AND verified_at IS NULL
       RETURNING *
     `, [token]);
@@ -619,15 +3040,303 @@ app.get('/api/unsubscribe', async (req, res) => {
   }
 });
 
+// Set how often an address receives emails (immediate, daily or weekly digest)
+app.post('/api/preferences/frequency', async (req, res) => {
+  try {
+    const { token, frequency } = req.body;
+    
+    if (!token || !['immediate', 'daily', 'weekly'].includes(frequency)) {
+      return res.status(400).json({ error: 'token and a frequency of immediate, daily or weekly are required' });
+    }
+    
+    // The token of a verified subscription proves ownership of the address
+    const subscription = await pool.query(
+      'SELECT email FROM email_subscriptions WHERE verification_token = $1 AND verified_at IS NOT NULL',
+      [token]
+    );
+    
+    if (subscription.rows.length === 0) {
+      return res.status(404).json({ error: 'Verified subscription not found' });
+    }
+    
+    const result = await pool.query(`
+      INSERT INTO user_preferences (email, notification_frequency)
+      VALUES ($1, $2)
+      ON CONFLICT (email) 
+      DO UPDATE SET notification_frequency = EXCLUDED.notification_frequency
+      RETURNING email, notification_frequency, last_digest_at
+    `, [subscription.rows[0].email, frequency]);
+    
+    res.json({
+      success: true,
+      preferences: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Error updating notification frequency:', error);
+    res.status(500).json({ error: 'Failed to update notification frequency', message: error.message });
+  }
+});
+
+// ============================================================================
+// SCORECARD ENDPOINTS
+// ============================================================================
+
+// Resolve scorecard bills from a request body:
+// [{ identifier, position: 'yes' | 'no', vote_id?, notes? }]. Returns { error } when invalid.
+async function resolveScorecardBills(bills, session) {
+  if (!Array.isArray(bills) || bills.length === 0) {
+    return { error: 'bills must be a non-empty array' };
+  }
+  
+  const resolved = [];
+  const notFound = [];
+  
+  for (const entry of bills) {
+    const position = String(entry.position || '').toLowerCase();
+    if (!POSITIONS.includes(position)) {
+      return { error: `position for ${entry.identifier} must be one of: ${POSITIONS.join(', ')}` };
+    }
+    
+    const bill = await findBillByIdentifier(entry.identifier, session);
+    if (!bill) {
+      notFound.push(entry.identifier);
+      continue;
+    }
+    
+    if (entry.vote_id) {
+      const vote = await pool.query('SELECT id FROM votes WHERE id = $1 AND bill_id = $2', [entry.vote_id, bill.id]);
+      if (vote.rows.length === 0) {
+        return { error: `Vote ${entry.vote_id} is not a roll call on ${entry.identifier}` };
+      }
+    }
+    
+    resolved.push({ billId: bill.id, position, voteId: entry.vote_id || null, notes: entry.notes || null });
+  }
+  
+  if (notFound.length > 0) {
+    return { error: `Bills not found: ${notFound.join(', ')}` };
+  }
+  
+  return { bills: resolved };
+}
+
+// Replace a scorecard's bill list; runs on the caller's transaction client
+async function saveScorecardBills(client, scorecardId, bills) {
+  await client.query('DELETE FROM scorecard_bills WHERE scorecard_id = $1', [scorecardId]);
+  
+  for (const bill of bills) {
+    await client.query(`
+      INSERT INTO scorecard_bills (scorecard_id, bill_id, preferred_position, vote_id, notes)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (scorecard_id, bill_id) DO UPDATE SET
+        preferred_position = EXCLUDED.preferred_position,
+        vote_id = EXCLUDED.vote_id,
+        notes = EXCLUDED.notes
+    `, [scorecardId, bill.billId, bill.position, bill.voteId, bill.notes]);
+  }
+}
+
+// List scorecards
+app.get('/api/scorecards', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT s.*, (SELECT COUNT(*) FROM scorecard_bills WHERE scorecard_id = s.id) as bill_count
+      FROM scorecards s
+      ORDER BY s.created_at DESC
+    `);
+    
+    res.json({
+      scorecards: result.rows.map(row => ({ ...row, bill_count: parseInt(row.bill_count) }))
+    });
+  } catch (error) {
+    console.error('Error fetching scorecards:', error);
+    res.status(500).json({ error: 'Failed to fetch scorecards', message: error.message });
+  }
+});
+
+// Scorecard with each legislator's agreement percentage
+app.get('/api/scorecards/:id', async (req, res) => {
+  try {
+    const scorecard = await getScorecard(req.params.id);
+    
+    if (!scorecard) {
+      return res.status(404).json({ error: 'Scorecard not found' });
+    }
+    
+    res.json(scorecard);
+  } catch (error) {
+    console.error('Error fetching scorecard:', error);
+    res.status(500).json({ error: 'Failed to fetch scorecard', message: error.message });
+  }
+});
+
+// Export a scorecard as CSV or Excel
+app.get('/api/scorecards/:id/export/:format', async (req, res) => {
+  try {
+    const { format } = req.params;
+    
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or xlsx' });
+    }
+    
+    const scorecard = await getScorecard(req.params.id);
+    
+    if (!scorecard) {
+      return res.status(404).json({ error: 'Scorecard not found' });
+    }
+    
+    const filename = `scorecard-${scorecard.id}-${new Date().toISOString().split('T')[0]}`;
+    
+    if (format === 'xlsx') {
+      const workbook = await exportService.generateScorecardExcel(scorecard);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+      await workbook.xlsx.write(res);
+      res.end();
+    } else {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      res.send(exportService.generateScorecardCSV(scorecard));
+    }
+  } catch (error) {
+    console.error('Error exporting scorecard:', error);
+    res.status(500).json({ error: 'Failed to export scorecard', message: error.message });
+  }
+});
+
+// Create a scorecard
+// Body: { name, description?, session?, bills: [{ identifier, position, vote_id?, notes? }] }
+app.post('/api/admin/scorecards', requireAdmin, async (req, res) => {
+  try {
+    const { name, description, session } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    
+    const resolved = await resolveScorecardBills(req.body.bills, session);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+    
+    const scorecard = await withTransaction(async client => {
+      const result = await client.query(`
+        INSERT INTO scorecards (name, description, session_id)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `, [name, description || null, session || null]);
+      
+      await saveScorecardBills(client, result.rows[0].id, resolved.bills);
+      
+      return result.rows[0];
+    });
+    
+    res.status(201).json({ success: true, scorecard });
+  } catch (error) {
+    console.error('Error creating scorecard:', error);
+    res.status(500).json({ error: 'Failed to create scorecard', message: error.message });
+  }
+});
+
+// Update a scorecard; fields left out keep their value, a null or empty
+// description clears it, and bills, when given, replace the whole bill list
+app.put('/api/admin/scorecards/:id', requireAdmin, async (req, res) => {
+  try {
+    const { name, description, session, bills } = req.body;
+    
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(404).json({ error: 'Scorecard not found' });
+    }
+    
+    const existing = await pool.query('SELECT * FROM scorecards WHERE id = $1', [req.params.id]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Scorecard not found' });
+    }
+    
+    let resolved = null;
+    if (bills !== undefined) {
+      resolved = await resolveScorecardBills(bills, session ?? existing.rows[0].session_id);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
+      }
+    }
+    
+    const scorecard = await withTransaction(async client => {
+      const result = await client.query(`
+        UPDATE scorecards
+        SET name = COALESCE($2, name),
+            description = CASE WHEN $5 THEN $3 ELSE description END,
+            session_id = COALESCE($4, session_id),
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [req.params.id, name || null, description || null, session || null, description !== undefined]);
+      
+      if (resolved) {
+        await saveScorecardBills(client, req.params.id, resolved.bills);
+      }
+      
+      return result.rows[0];
+    });
+    
+    res.json({ success: true, scorecard });
+  } catch (error) {
+    console.error('Error updating scorecard:', error);
+    res.status(500).json({ error: 'Failed to update scorecard', message: error.message });
+  }
+});
+
+app.delete('/api/admin/scorecards/:id', requireAdmin, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(404).json({ error: 'Scorecard not found' });
+    }
+    
+    const result = await pool.query('DELETE FROM scorecards WHERE id = $1 RETURNING id', [req.params.id]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Scorecard not found' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting scorecard:', error);
+    res.status(500).json({ error: 'Failed to delete scorecard', message: error.message });
+  }
+});
+
 // ============================================================================
 // EXPORT ENDPOINTS
 // ============================================================================
 
-// Export bills as CSV
+// Bills for the exports with their primary sponsor, newest action first.
+// filters are the /api/bills filters; billIds, when given, limits the export
+// to those bills (in any session unless one is named).
+async function queryExportBills(filters = {}, billIds) {
+  const session = await resolveSession(filters.session || (billIds ? 'all' : undefined));
+  const { conditions, params } = billListFilters(filters, session);
+  
+  if (billIds) {
+    params.push(billIds);
+    conditions.push(`b.id = ANY($${params.length}::int[])`);
+  }
+  
+  const result = await pool.query(`
+    SELECT 
+      b.*,
+      (SELECT name FROM sponsorships WHERE bill_id = b.id AND primary_sponsor = TRUE LIMIT 1) as primary_sponsor
+    FROM bills b
+    WHERE ${['1=1', ...conditions].join(' AND ')}
+    ORDER BY b.latest_action_date DESC NULLS LAST, b.identifier
+  `, params);
+  return result.rows.map(withoutSearchVector);
+}
+
+// Export bills as CSV (same filters as /api/bills)
 app.get('/api/export/csv', async (req, res) => {
   try {
-    const bills = await exportService.exportBills(req.query);
-    const csv = exportService.billsToCSV(bills);
+    const bills = await queryExportBills(req.query);
+    const csv = exportService.generateCSV(bills);
     
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename="oklahoma-bills-${new Date().toISOString().split('T')[0]}.csv"`);
@@ -638,11 +3347,11 @@ app.get('/api/export/csv', async (req, res) => {
   }
 });
 
-// Export bills as Excel
+// Export bills as Excel (same filters as /api/bills)
 app.get('/api/export/xlsx', async (req, res) => {
   try {
-    const bills = await exportService.exportBillsWithActions();
-    const workbook = await exportService.billsToExcel(bills);
+    const bills = await queryExportBills(req.query);
+    const workbook = await exportService.generateExcel(bills);
     
     res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
     res.setHeader('Content-Disposition', `attachment; filename="oklahoma-bills-${new Date().toISOString().split('T')[0]}.xlsx"`);
@@ -656,21 +3365,34 @@ app.get('/api/export/xlsx', async (req, res) => {
 });
 
 // Custom export
+// Body: { format?: 'csv' | 'xlsx', filters?: { ...bill list filters },
+//         billIds?: [id], includeActions?: boolean (xlsx: actions and sponsors sheets) }
 app.post('/api/export/custom', async (req, res) => {
   try {
-    const bills = await exportService.customExport(req.body);
+    const { format = 'csv', filters = {}, billIds, includeActions } = req.body;
+    
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or xlsx' });
+    }
+    if (billIds !== undefined && (!Array.isArray(billIds) || !billIds.every(id => /^\d+$/.test(String(id))))) {
+      return res.status(400).json({ error: 'billIds must be a list of bill ids' });
+    }
+    
+    const bills = await queryExportBills(filters, billIds?.map(Number));
+    const filename = `custom-export-${new Date().toISOString().split('T')[0]}`;
     
-    if (req.body.format === 'xlsx') {
-      const workbook = await exportService.billsToExcel(bills);
+    if (format === 'xlsx') {
+      const workbook = includeActions
+        ? await exportService.generateDetailedExcel(bills, pool)
+        : await exportService.generateExcel(bills);
       res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-      res.setHeader('Content-Disposition', `attachment; filename="custom-export-${new Date().toISOString().split('T')[0]}.xlsx"`);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
       await workbook.xlsx.write(res);
       res.end();
     } else {
-      const csv = exportService.billsToCSV(bills);
       res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="custom-export-${new Date().toISOString().split('T')[0]}.csv"`);
-      res.send(csv);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      res.send(exportService.generateCSV(bills));
     }
   } catch (error) {
     console.error('Error in custom export:', error);
@@ -678,6 +3400,170 @@ app.post('/api/export/custom', async (req, res) => {
   }
 });
 
+// ============================================================================
+// ADMIN ENDPOINTS
+// ============================================================================
+
+// List background jobs with their recent runs
+app.get('/api/admin/jobs', requireAdmin, async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+    
+    const result = await pool.query(`
+      SELECT * FROM (
+        SELECT 
+          jr.*,
+          ROW_NUMBER() OVER (PARTITION BY jr.job_name ORDER BY jr.started_at DESC) as rn
+        FROM job_runs jr
+      ) runs
+      WHERE rn <= $1
+      ORDER BY job_name, started_at DESC
+    `, [limit]);
+    
+    const jobs = jobScheduler.listJobs().map(job => {
+      const runs = result.rows
+        .filter(run => run.job_name === job.name)
+        .map(({ rn, ...run }) => run);
+      
+      return {
+        ...job,
+        last_run: runs[0] || null,
+        last_success_at: runs.find(run => run.status === 'success')?.finished_at || null,
+        runs
+      };
+    });
+    
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs', message: error.message });
+  }
+});
+
+// Trigger a job now; it runs in the background and is recorded in job_runs
+app.post('/api/admin/jobs/:name/run', requireAdmin, async (req, res) => {
+  try {
+    const { name } = req.params;
+    
+    if (!jobScheduler.getJob(name)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    if (jobScheduler.isJobRunning(name)) {
+      return res.status(409).json({ error: 'Job is already running' });
+    }
+    
+    jobScheduler.runJob(name, 'manual').catch(error => {
+      console.error(`Error running job ${name}:`, error);
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: `Job ${name} started`
+    });
+  } catch (error) {
+    console.error('Error starting job:', error);
+    res.status(500).json({ error: 'Failed to start job', message: error.message });
+  }
+});
+
+// Replace a session's deadline calendar
+// Body: { deadlines: [{ type, date: 'YYYY-MM-DD', description? }] }
+app.put('/api/admin/sessions/:session/deadlines', requireAdmin, async (req, res) => {
+  try {
+    const { session } = req.params;
+    const { deadlines } = req.body;
+    
+    if (!Array.isArray(deadlines)) {
+      return res.status(400).json({ error: 'deadlines must be an array' });
+    }
+    
+    for (const deadline of deadlines) {
+      if (!DEADLINE_TYPES[deadline.type]) {
+        return res.status(400).json({ error: `type must be one of: ${Object.keys(DEADLINE_TYPES).join(', ')}` });
+      }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(deadline.date || '') || isNaN(new Date(deadline.date))) {
+        return res.status(400).json({ error: `Invalid date for ${deadline.type}; use YYYY-MM-DD` });
+      }
+    }
+    
+    for (const deadline of deadlines) {
+      await pool.query(`
+        INSERT INTO session_deadlines (session_id, deadline_type, deadline_date, description)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (session_id, deadline_type)
+        DO UPDATE SET
+          deadline_date = EXCLUDED.deadline_date,
+          description = EXCLUDED.description,
+          updated_at = NOW()
+      `, [session, deadline.type, deadline.date, deadline.description || null]);
+    }
+    
+    await pool.query(
+      'DELETE FROM session_deadlines WHERE session_id = $1 AND NOT (deadline_type = ANY($2))',
+      [session, deadlines.map(deadline => deadline.type)]
+    );
+    
+    res.json({
+      success: true,
+      session,
+      deadlines: deadlines.length
+    });
+  } catch (error) {
+    console.error('Error saving deadlines:', error);
+    res.status(500).json({ error: 'Failed to save deadlines', message: error.message });
+  }
+});
+
+// Recent notification delivery attempts, newest first
+app.get('/api/admin/deliveries', requireAdmin, async (req, res) => {
+  try {
+    const { subscription_id, status, limit = 50 } = req.query;
+    
+    const result = await pool.query(`
+      SELECT nd.*, es.email, es.subscription_type
+      FROM notification_deliveries nd
+      LEFT JOIN email_subscriptions es ON nd.subscription_id = es.id
+      WHERE ($1::int IS NULL OR nd.subscription_id = $1)
+        AND ($2::text IS NULL OR nd.status = $2)
+      ORDER BY nd.created_at DESC, nd.id DESC
+      LIMIT $3
+    `, [subscription_id || null, status || null, limit]);
+    
+    res.json({ deliveries: result.rows });
+  } catch (error) {
+    console.error('Error fetching deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch deliveries', message: error.message });
+  }
+});
+
+// Send a test notification over a subscription's channel (retries included)
+app.post('/api/admin/subscriptions/:id/test', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM email_subscriptions WHERE id = $1', [req.params.id]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    
+    const subscription = result.rows[0];
+    const subject = `Test notification for subscription ${subscription.id}`;
+    
+    const delivery = await deliver(subscription, {
+      event: 'test',
+      subject,
+      html: `<p>${subject} (${subscription.channel || 'email'} channel).</p>`,
+      text: `${subject} (${subscription.channel || 'email'} channel).`,
+      data: { subscription_id: subscription.id, subscription_type: subscription.subscription_type }
+    });
+    
+    res.status(delivery.success ? 200 : 502).json(delivery);
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    res.status(500).json({ error: 'Failed to send test notification', message: error.message });
+  }
+});
+
 // ============================================================================
 // UTILITY ENDPOINTS
 // ============================================================================
@@ -721,4 +3607,7 @@ app.listen(PORT, () => {
 ║                                                               ║
 ╚═══════════════════════════════════════════════════════════════╝
   `);
+  
+  // Start sync and notification timers
+  jobScheduler.startScheduler(pool);
 });
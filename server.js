@@ -4,6 +4,8 @@ import axios from 'axios';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { classifyStage as determineBillStage } from './services/stage-classifier.js';
+import { parseIdentifier } from './services/bill-identifier.js';
 
 dotenv.config();
 
@@ -17,6 +19,11 @@ const PORT = process.env.PORT || 3001;
 // In production, get your free key from: https://openstates.org/api/register/
 const OPEN_STATES_API_KEY = process.env.OPEN_STATES_API_KEY || 'DEMO_KEY';
 
+// Chamber a bill was filed in, read from its identifier prefix (HB, HJR, SCR, ...)
+function chamberOf(bill) {
+  return parseIdentifier(bill.identifier)?.chamber || null;
+}
+
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
@@ -29,45 +36,6 @@ const openStatesAPI = axios.create({
   }
 });
 
-// Helper function to determine bill stage from actions
-function determineBillStage(bill) {
-  if (!bill.actions || bill.actions.length === 0) {
-    return 'introduced';
-  }
-
-  const actionTypes = bill.actions.map(a => a.classification?.[0]).filter(Boolean);
-  const lastAction = bill.actions[bill.actions.length - 1];
-  
-  // Check for final outcomes
-  if (actionTypes.includes('executive-signature')) return 'signed';
-  if (actionTypes.includes('executive-veto')) return 'vetoed';
-  if (actionTypes.includes('became-law')) return 'became_law';
-  if (actionTypes.includes('passage')) {
-    // Check if passed both chambers
-    const passageActions = bill.actions.filter(a => a.classification?.includes('passage'));
-    if (passageActions.length >= 2) return 'enrolled';
-    return 'passed_chamber';
-  }
-  
-  // Committee stages
-  if (actionTypes.includes('committee-passage')) return 'committee_approved';
-  if (actionTypes.includes('referral-committee') || actionTypes.includes('committee-referral')) return 'committee';
-  if (actionTypes.includes('reading-3')) return 'floor_calendar';
-  if (actionTypes.includes('introduction') || actionTypes.includes('filing')) return 'introduced';
-  
-  // Default based on latest status
-  if (bill.latest_action_description) {
-    const desc = bill.latest_action_description.toLowerCase();
-    if (desc.includes('signed')) return 'signed';
-    if (desc.includes('veto')) return 'vetoed';
-    if (desc.includes('enrolled')) return 'enrolled';
-    if (desc.includes('passed')) return 'passed_chamber';
-    if (desc.includes('committee')) return 'committee';
-  }
-  
-  return 'introduced';
-}
-
 // API Routes
 
 // Get Oklahoma bills
@@ -214,8 +182,8 @@ app.get('/api/stats/summary', async (req, res) => {
         return ['signed', 'became_law'].includes(stage);
       }).length,
       vetoed_bills: bills.filter(b => determineBillStage(b) === 'vetoed').length,
-      house_bills: bills.filter(b => b.identifier?.startsWith('HB')).length,
-      senate_bills: bills.filter(b => b.identifier?.startsWith('SB')).length
+      house_bills: bills.filter(b => chamberOf(b) === 'lower').length,
+      senate_bills: bills.filter(b => chamberOf(b) === 'upper').length
     };
     
     res.json(stats);
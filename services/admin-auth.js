@@ -0,0 +1,24 @@
+// Admin Auth - Guards the /api/admin/* routes with a shared token. Requests
+// send it as the X-Admin-Token header; while ADMIN_TOKEN is unset the admin
+// routes are disabled.
+
+import crypto from 'crypto';
+
+// Express middleware. ADMIN_TOKEN is read per request, so changing it only
+// needs the environment updated, not this module reloaded.
+export function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin routes are disabled until ADMIN_TOKEN is configured' });
+  }
+
+  const expected = Buffer.from(process.env.ADMIN_TOKEN);
+  const actual = Buffer.from(String(req.headers['x-admin-token'] || ''));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
+}
+
+export default {
+  requireAdmin
+};
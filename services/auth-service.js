@@ -0,0 +1,199 @@
+// Auth Service - Passwordless accounts. A login request emails a one-time
+// magic link; redeeming it signs the browser in with an HMAC-signed session
+// cookie and moves the browser's anonymous favorites into the account.
+// Cookies carry the account's session_version; signing out bumps it, which
+// revokes every session of the account on every device.
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import crypto from 'crypto';
+
+dotenv.config();
+
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL
+});
+
+export const SESSION_COOKIE = 'bt_session';
+
+const SESSION_DAYS = parseInt(process.env.SESSION_DAYS || '30');
+export const LOGIN_TOKEN_MINUTES = parseInt(process.env.LOGIN_TOKEN_MINUTES || '15');
+
+// Without a configured secret, sessions only last until the server restarts
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.SESSION_SECRET) {
+  console.warn('⚠️  SESSION_SECRET is not set; sign-ins will not survive a restart');
+}
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const sign = payload => crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+
+export function normalizeEmail(email) {
+  const normalized = String(email || '').trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) ? normalized : null;
+}
+
+// Store a new login token for the address and return the raw token for the
+// link, or null when a link went to the address within the last minute.
+export async function createLoginToken(email) {
+  const recent = await pool.query(`
+    SELECT 1 FROM login_tokens
+    WHERE email = $1 AND created_at > NOW() - INTERVAL '1 minute'
+    LIMIT 1
+  `, [email]);
+  if (recent.rows.length > 0) return null;
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(`
+    INSERT INTO login_tokens (email, token_hash, expires_at)
+    VALUES ($1, $2, NOW() + make_interval(mins => $3))
+  `, [email, hashToken(token), LOGIN_TOKEN_MINUTES]);
+
+  return token;
+}
+
+// Redeem a login token once: creates the account on first login and merges
+// the anonymous favorites of sessionId (the X-Session-ID of the browser that
+// redeems the link, which need not be the one that asked for it) and any
+// favorites stored under the address. Returns the user, or null when the
+// token is unknown, used or expired.
+export async function redeemLoginToken(token, sessionId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const tokenResult = await client.query(`
+      UPDATE login_tokens
+      SET used_at = NOW()
+      WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+      RETURNING email
+    `, [hashToken(String(token || ''))]);
+
+    if (tokenResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const { email } = tokenResult.rows[0];
+
+    const userResult = await client.query(`
+      INSERT INTO users (email, last_login_at)
+      VALUES ($1, NOW())
+      ON CONFLICT (email) DO UPDATE SET last_login_at = NOW()
+      RETURNING *
+    `, [email]);
+    const user = userResult.rows[0];
+
+    // Favorites saved before accounts existed were keyed by the bare address
+    await client.query(`
+      UPDATE bill_favorites f
+      SET user_id = $1
+      WHERE f.email = $2 AND f.user_id IS NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM bill_favorites mine WHERE mine.user_id = $1 AND mine.bill_id = f.bill_id
+        )
+    `, [user.id, email]);
+
+    if (sessionId) {
+      // Bills the account already follows keep the account's notes
+      await client.query(`
+        UPDATE bill_favorites f
+        SET user_id = $1, session_id = NULL
+        WHERE f.session_id = $2
+          AND NOT EXISTS (
+            SELECT 1 FROM bill_favorites mine WHERE mine.user_id = $1 AND mine.bill_id = f.bill_id
+          )
+      `, [user.id, sessionId]);
+      await client.query('DELETE FROM bill_favorites WHERE session_id = $1', [sessionId]);
+    }
+
+    await client.query('COMMIT');
+    return user;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Cookie value: base64url JSON { uid, ver, exp } and its signature
+export function createSessionCookie(user) {
+  const payload = Buffer.from(JSON.stringify({
+    uid: user.id,
+    ver: user.session_version,
+    exp: Date.now() + SESSION_DAYS * 24 * 60 * 60 * 1000
+  })).toString('base64url');
+
+  return {
+    name: SESSION_COOKIE,
+    value: `${payload}.${sign(payload)}`,
+    maxAge: SESSION_DAYS * 24 * 60 * 60
+  };
+}
+
+// The { userId, version } in a session cookie, or null when it is missing,
+// forged or expired
+export function readSessionCookie(value) {
+  const [payload, signature] = String(value || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { uid, ver, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return Number.isInteger(uid) && Number.isInteger(ver) && exp > Date.now()
+      ? { userId: uid, version: ver }
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+export function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index < 0) return;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  });
+  return cookies;
+}
+
+// The account a session cookie belongs to, or null once the session was revoked
+export async function getUser(userId, sessionVersion) {
+  const result = await pool.query(`
+    SELECT id, email, name, created_at, last_login_at FROM users
+    WHERE id = $1 AND session_version = $2
+  `, [userId, sessionVersion]);
+  return result.rows[0] || null;
+}
+
+// Sign the account out everywhere: cookies issued before stop matching
+export async function revokeSessions(userId) {
+  await pool.query('UPDATE users SET session_version = session_version + 1 WHERE id = $1', [userId]);
+}
+
+export default {
+  SESSION_COOKIE,
+  LOGIN_TOKEN_MINUTES,
+  normalizeEmail,
+  createLoginToken,
+  redeemLoginToken,
+  createSessionCookie,
+  readSessionCookie,
+  parseCookies,
+  getUser,
+  revokeSessions
+};
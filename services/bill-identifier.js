@@ -0,0 +1,73 @@
+// Bill Identifier - Parses bill numbers as people type them ("HB 1234",
+// "H.B.1234", "hb1234", "House Joint Resolution 5") into one normalized form,
+// with the measure type and the chamber it was filed in. Shared by the sync
+// (which stores bill_type and chamber), bill lookups and the favorites import.
+
+// Prefix after the chamber letter -> measure type
+export const BILL_TYPES = {
+  B: 'bill',
+  JR: 'joint_resolution',
+  CR: 'concurrent_resolution',
+  R: 'resolution'
+};
+
+// First letter of the prefix -> Open States chamber
+export const CHAMBER_PREFIXES = {
+  H: 'lower',
+  S: 'upper'
+};
+
+// Words that can sit between the bill type and its number
+const NUMBER_WORDS = ['NO', 'NUMBER', 'NUM'];
+
+// Split an identifier into its normalized parts:
+//   "H.B. 1234" -> { prefix: 'HB', number: 1234, identifier: 'HB 1234',
+//                    bill_type: 'bill', chamber: 'lower' }
+// Spelled-out types use their initials ("House Joint Resolution 5" -> HJR).
+// A bare number has an empty prefix and no type or chamber; an unknown prefix
+// still takes its chamber from the first letter. Returns null without a number.
+export function parseIdentifier(raw) {
+  const match = String(raw ?? '').trim().match(/^([^0-9]*?)\s*#?\s*0*(\d+)\b/);
+  if (!match) return null;
+
+  const words = match[1].toUpperCase().split(/[^A-Z]+/).filter(Boolean);
+  while (words.length > 1 && NUMBER_WORDS.includes(words[words.length - 1])) words.pop();
+
+  // "H.B." and "HB" split into letters or one word; "House Bill" into words
+  const prefix = words.length > 1 && words.some(word => word.length > 1)
+    ? words.map(word => word[0]).join('')
+    : words.join('');
+  const number = parseInt(match[2]);
+
+  const chamber = CHAMBER_PREFIXES[prefix[0]] || null;
+  const billType = (chamber && BILL_TYPES[prefix.slice(1)]) || null;
+
+  return {
+    prefix,
+    number,
+    identifier: prefix ? `${prefix} ${number}` : String(number),
+    bill_type: billType,
+    chamber
+  };
+}
+
+// Spacing-, punctuation- and case-free form used to compare identifiers:
+// "H.B. 01234" and "hb1234" both give "HB1234"
+export function identifierKey(raw) {
+  const parsed = parseIdentifier(raw);
+  return parsed ? `${parsed.prefix}${parsed.number}` : null;
+}
+
+// The same key computed in SQL from a stored identifier column (stored
+// identifiers carry no leading zeros)
+export function identifierKeySql(column) {
+  return `upper(regexp_replace(${column}, '[^A-Za-z0-9]', '', 'g'))`;
+}
+
+export default {
+  BILL_TYPES,
+  CHAMBER_PREFIXES,
+  parseIdentifier,
+  identifierKey,
+  identifierKeySql
+};
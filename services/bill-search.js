@@ -0,0 +1,133 @@
+// Bill Search - Builds the filter clause for /api/search/advanced so saved-search
+// alerts match bills with exactly the same criteria as the search page
+
+import { identifierKey, identifierKeySql } from './bill-identifier.js';
+
+// Criteria keys accepted by the advanced search (and stored on search subscriptions)
+export const SEARCH_CRITERIA_KEYS = ['text', 'chamber', 'billType', 'stage', 'sponsor', 'party', 'dateFrom', 'dateTo', 'subject', 'session'];
+
+// Keep only known, non-empty criteria
+export function normalizeCriteria(criteria = {}) {
+  const normalized = {};
+  SEARCH_CRITERIA_KEYS.forEach(key => {
+    if (criteria[key] !== undefined && criteria[key] !== null && criteria[key] !== '') {
+      normalized[key] = criteria[key];
+    }
+  });
+  return normalized;
+}
+
+// Build "AND ..." conditions against bills aliased as b.
+// Returns the SQL fragment, its params, the next free $ index, and the $ index
+// of the text query (for ranking and snippets; null without text).
+// Text accepts web-search syntax: "exact phrase", OR, -excluded. A bill
+// number in any format ("hb1234", "H.B. 1234") finds that bill.
+export function buildSearchFilters(criteria, startIndex = 1) {
+  const { text, chamber, billType, stage, sponsor, party, dateFrom, dateTo, subject, session } = criteria;
+
+  let sql = '';
+  const params = [];
+  let paramIndex = startIndex;
+  let textParamIndex = null;
+
+  if (session) {
+    sql += ` AND b.session_id = $${paramIndex}`;
+    params.push(session);
+    paramIndex++;
+  }
+
+  if (text) {
+    sql += ` AND (
+      b.search_vector @@ websearch_to_tsquery('english', $${paramIndex})
+      OR b.identifier ILIKE $${paramIndex + 1}
+      OR ${identifierKeySql('b.identifier')} = $${paramIndex + 2}
+    )`;
+    params.push(text, `%${text}%`, identifierKey(text));
+    textParamIndex = paramIndex;
+    paramIndex += 3;
+  }
+
+  if (chamber) {
+    sql += ` AND b.chamber = $${paramIndex}`;
+    params.push(chamber);
+    paramIndex++;
+  }
+
+  if (billType) {
+    sql += ` AND b.bill_type = $${paramIndex}`;
+    params.push(billType);
+    paramIndex++;
+  }
+
+  if (stage) {
+    sql += ` AND b.stage = $${paramIndex}`;
+    params.push(stage);
+    paramIndex++;
+  }
+
+  if (sponsor) {
+    sql += ` AND EXISTS (
+      SELECT 1 FROM sponsorships s
+      WHERE s.bill_id = b.id AND s.name ILIKE $${paramIndex}
+    )`;
+    params.push(`%${sponsor}%`);
+    paramIndex++;
+  }
+
+  // Party of the primary sponsor
+  if (party) {
+    sql += ` AND EXISTS (
+      SELECT 1 FROM sponsorships s
+      JOIN legislators l ON s.legislator_id = l.id
+      WHERE s.bill_id = b.id AND s.primary_sponsor = TRUE AND l.party ILIKE $${paramIndex}
+    )`;
+    params.push(party);
+    paramIndex++;
+  }
+
+  if (dateFrom) {
+    sql += ` AND b.latest_action_date >= $${paramIndex}`;
+    params.push(dateFrom);
+    paramIndex++;
+  }
+
+  if (dateTo) {
+    sql += ` AND b.latest_action_date <= $${paramIndex}`;
+    params.push(dateTo);
+    paramIndex++;
+  }
+
+  if (subject) {
+    sql += ` AND b.subject::text ILIKE $${paramIndex}`;
+    params.push(`%${subject}%`);
+    paramIndex++;
+  }
+
+  return { sql, params, nextIndex: paramIndex, textParamIndex };
+}
+
+// Short human-readable label for a set of criteria, used in emails
+export function describeCriteria(criteria) {
+  const labels = {
+    text: 'text',
+    chamber: 'chamber',
+    billType: 'type',
+    stage: 'stage',
+    sponsor: 'sponsor',
+    party: 'party',
+    dateFrom: 'from',
+    dateTo: 'to',
+    subject: 'subject',
+    session: 'session'
+  };
+  return Object.entries(normalizeCriteria(criteria))
+    .map(([key, value]) => `${labels[key]}: "${value}"`)
+    .join(', ') || 'all bills';
+}
+
+export default {
+  SEARCH_CRITERIA_KEYS,
+  normalizeCriteria,
+  buildSearchFilters,
+  describeCriteria
+};
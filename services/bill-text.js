@@ -0,0 +1,195 @@
+// Bill Text - Picks and extracts plain text for bill versions, and diffs two
+// versions line by line
+
+import axios from 'axios';
+
+// Media types we can turn into plain text, best first
+const TEXT_MEDIA_TYPES = ['text/html', 'text/plain'];
+
+// Edit distance past which the diff stops looking for matches and reports
+// the rest as replaced (keeps memory bounded for complete rewrites)
+const MAX_EDIT_DISTANCE = 4000;
+
+// Choose the link to store for a version: one we can extract text from if
+// available, otherwise the first (usually the PDF)
+export function pickVersionLink(version) {
+  const links = version.links || [];
+  for (const mediaType of TEXT_MEDIA_TYPES) {
+    const link = links.find(l => l.media_type === mediaType);
+    if (link) return link;
+  }
+  return links[0] || null;
+}
+
+function decodeEntities(text) {
+  const named = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", sect: '§', ndash: '–', mdash: '—' };
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&([a-z]+);/gi, (match, name) => named[name.toLowerCase()] ?? match);
+}
+
+// Flatten HTML to one line per block element
+export function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6]|table|blockquote|pre)>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return normalizeText(decodeEntities(text));
+}
+
+// Trim each line and collapse runs of blank lines
+export function normalizeText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Download a version link and return its plain text.
+// Resolves { status: 'extracted' | 'unsupported' | 'error', text, error }
+export async function extractVersionText(link) {
+  if (!link?.url) {
+    return { status: 'unsupported', text: null, error: 'No link' };
+  }
+  if (link.media_type && !TEXT_MEDIA_TYPES.includes(link.media_type)) {
+    return { status: 'unsupported', text: null, error: `No text extraction for ${link.media_type}` };
+  }
+
+  try {
+    const response = await axios.get(link.url, { responseType: 'text', timeout: 30000 });
+    const contentType = link.media_type || response.headers['content-type'] || '';
+
+    if (contentType.includes('text/html')) {
+      return { status: 'extracted', text: htmlToText(response.data), error: null };
+    }
+    if (contentType.includes('text/plain')) {
+      return { status: 'extracted', text: normalizeText(response.data), error: null };
+    }
+    return { status: 'unsupported', text: null, error: `No text extraction for ${contentType}` };
+  } catch (error) {
+    return { status: 'error', text: null, error: error.message };
+  }
+}
+
+// Myers diff over two line arrays. Returns a list of
+// { type: 'unchanged' | 'removed' | 'added', text } in document order.
+function myersDiff(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // trace[d] holds v for diagonals -(d+1)..(d+1) as it was before round d
+  const trace = [];
+
+  let found = false;
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    // Too different to diff within the limit: report a full replacement
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // Walk the trace back from the end to recover the edit path
+  const edits = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = k => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      edits.push({ type: 'unchanged', text: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        edits.push({ type: 'added', text: b[y - 1] });
+      } else {
+        edits.push({ type: 'removed', text: a[x - 1] });
+      }
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return edits.reverse();
+}
+
+// Line-level diff between two texts. Each line carries its line number in the
+// old (from_line) and new (to_line) text where it exists.
+export function diffLines(fromText, toText) {
+  const a = (fromText || '').split('\n');
+  const b = (toText || '').split('\n');
+
+  // Skip the common head and tail before running the diff
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const edits = [
+    ...a.slice(0, start).map(text => ({ type: 'unchanged', text })),
+    ...myersDiff(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(text => ({ type: 'unchanged', text }))
+  ];
+
+  let fromLine = 0;
+  let toLine = 0;
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  const lines = edits.map(edit => {
+    stats[edit.type]++;
+    return {
+      type: edit.type,
+      from_line: edit.type === 'added' ? null : ++fromLine,
+      to_line: edit.type === 'removed' ? null : ++toLine,
+      text: edit.text
+    };
+  });
+
+  return { stats, lines };
+}
+
+export default {
+  pickVersionLink,
+  htmlToText,
+  normalizeText,
+  extractVersionText,
+  diffLines
+};
@@ -0,0 +1,121 @@
+// Bill Timeline - Stores the stage periods each bill passed through
+// (bill_stage_periods) for the velocity and flow statistics. Periods come from
+// replaying stored actions; bills synced without actions fall back to their
+// bill_history entries.
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { stageTimeline } from './stage-classifier.js';
+
+dotenv.config();
+
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL
+});
+
+async function historyTimeline(billId, db) {
+  const history = await db.query(`
+    SELECT stage, changed_at::date as entered_on
+    FROM bill_history
+    WHERE bill_id = $1
+    ORDER BY changed_at, id
+  `, [billId]);
+
+  return history.rows.map(row => ({
+    stage: row.stage,
+    phase: null,
+    chamber: null,
+    phase_stage: row.stage,
+    entered_on: row.entered_on,
+    committee_id: null
+  }));
+}
+
+// Rebuild one bill's periods. Call after its actions or stage change. Pass
+// the caller's transaction client as db to rebuild as part of its changes;
+// without one the rebuild runs in a transaction of its own.
+export async function refreshStageTimeline(billId, db) {
+  if (db) return rebuildPeriods(billId, db);
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const count = await rebuildPeriods(billId, client);
+    await client.query('COMMIT');
+    return count;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function rebuildPeriods(billId, db) {
+  // Locking the bill keeps two rebuilds of it from interleaving
+  const billResult = await db.query(
+    'SELECT id, identifier, origin_chamber, stage, current_chamber, dead_at FROM bills WHERE id = $1 FOR UPDATE',
+    [billId]
+  );
+  const bill = billResult.rows[0];
+  if (!bill) return 0;
+
+  const actions = await db.query(`
+    SELECT date, description, classification, classifications, chamber, committee_id
+    FROM bill_actions
+    WHERE bill_id = $1
+    ORDER BY order_index
+  `, [billId]);
+
+  let periods;
+  if (actions.rows.length > 0) {
+    periods = stageTimeline({ ...bill, actions: actions.rows }).map(period => ({
+      ...period,
+      // The referral that opened a committee period names the committee
+      committee_id: period.phase_stage === 'committee' ? actions.rows[period.action_index].committee_id : null
+    }));
+
+    // Deadlines are not actions; the deadline job records when a bill died
+    if (bill.stage === 'dead' && bill.dead_at) {
+      periods.push({
+        stage: 'dead',
+        phase: 'final',
+        chamber: bill.current_chamber,
+        phase_stage: 'dead',
+        entered_on: bill.dead_at,
+        committee_id: null
+      });
+    }
+  } else {
+    periods = await historyTimeline(billId, db);
+  }
+
+  await db.query('DELETE FROM bill_stage_periods WHERE bill_id = $1', [billId]);
+
+  for (let i = 0; i < periods.length; i++) {
+    const period = periods[i];
+    await db.query(`
+      INSERT INTO bill_stage_periods (
+        bill_id, seq, stage, phase, chamber, phase_stage, committee_id, entered_on, left_on
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      billId,
+      i,
+      period.stage,
+      period.phase,
+      period.chamber,
+      period.phase_stage,
+      period.committee_id,
+      period.entered_on,
+      periods[i + 1]?.entered_on || null
+    ]);
+  }
+
+  return periods.length;
+}
+
+export default {
+  refreshStageTimeline
+};
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+// Deadline Checker - Marks bills dead once they miss a deadline in their
+// session's calendar (session_deadlines) and finds bills that will miss the
+// next one unless they move. Runs as the "deadlines" job, or by hand:
+//   node services/deadline-checker.js [--dry-run]
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { refreshStageTimeline } from './bill-timeline.js';
+
+dotenv.config();
+
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL
+});
+
+// Days after a deadline before bills are marked dead, so actions taken on the
+// deadline day have time to reach Open States and the sync
+const GRACE_DAYS = parseInt(process.env.DEADLINE_GRACE_DAYS || '2');
+
+// Oklahoma deadline types and the pipeline positions (phase -> phase stages,
+// null for any) that miss them
+export const DEADLINE_TYPES = {
+  committee_origin: {
+    label: 'Committee deadline in the house of origin',
+    phases: { origin_chamber: ['introduced', 'committee'] }
+  },
+  floor_origin: {
+    label: 'Floor deadline in the house of origin',
+    phases: { origin_chamber: null }
+  },
+  committee_second: {
+    label: 'Committee deadline in the opposite house',
+    phases: { second_chamber: ['introduced', 'committee'] }
+  },
+  floor_second: {
+    label: 'Floor deadline in the opposite house',
+    phases: { second_chamber: null }
+  },
+  sine_die: {
+    label: 'Sine die adjournment',
+    phases: { origin_chamber: null, second_chamber: null, conference: null }
+  }
+};
+
+// Simple and concurrent resolutions are not bound by the deadlines
+const DEADLINE_MEASURES_SQL = `(b.bill_type IS NULL OR b.bill_type IN ('bill', 'joint_resolution'))`;
+
+export function missesDeadline(type, { phase, phase_stage }) {
+  const phases = DEADLINE_TYPES[type]?.phases || {};
+  if (!(phase in phases)) return false;
+  return phases[phase] === null || phases[phase].includes(phase_stage);
+}
+
+// SQL condition for bills (alias b) sitting where the deadline would kill them
+function missedDeadlineSql(type, startIndex = 1) {
+  const conditions = [];
+  const params = [];
+  let paramIndex = startIndex;
+
+  Object.entries(DEADLINE_TYPES[type].phases).forEach(([phase, stages]) => {
+    if (stages) {
+      conditions.push(`(b.phase = $${paramIndex} AND b.phase_stage = ANY($${paramIndex + 1}))`);
+      params.push(phase, stages);
+      paramIndex += 2;
+    } else {
+      conditions.push(`b.phase = $${paramIndex}`);
+      params.push(phase);
+      paramIndex++;
+    }
+  });
+
+  return { sql: `(${conditions.join(' OR ')}) AND ${DEADLINE_MEASURES_SQL}`, params, nextIndex: paramIndex };
+}
+
+function toDateString(value) {
+  if (!value) return null;
+  if (!(value instanceof Date)) return String(value).slice(0, 10);
+  const pad = n => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+// A dead bill stays dead through re-classification until it moves past the
+// point the deadline caught it at, or has an action after the deadline
+// (rules suspended, deadline extended). stored is the bill row (dead_at,
+// dead_reason); pipeline comes from explainPipeline.
+export function keepDeadStatus(stored, pipeline, latestActionDate) {
+  const alive = { ...pipeline, dead_at: null, dead_reason: null };
+  if (!stored?.dead_at || !stored.dead_reason) return alive;
+
+  const latest = toDateString(latestActionDate);
+  if (latest && latest > toDateString(stored.dead_at)) return alive;
+  if (!missesDeadline(stored.dead_reason, pipeline)) return alive;
+
+  return {
+    ...pipeline,
+    stage: 'dead',
+    phase: 'final',
+    phase_stage: 'dead',
+    dead_at: stored.dead_at,
+    dead_reason: stored.dead_reason
+  };
+}
+
+export async function markDeadBills({ dryRun = false } = {}) {
+  console.log(`\n[${new Date().toISOString()}] ⏰ Checking legislative deadlines${dryRun ? ' (dry run)' : ''}...`);
+
+  // Earliest deadline first, so a bill is marked by the first one it missed
+  const deadlines = await pool.query(`
+    SELECT * FROM session_deadlines
+    WHERE deadline_date < CURRENT_DATE - $1::int
+    ORDER BY deadline_date, id
+  `, [GRACE_DAYS]);
+
+  let marked = 0;
+  const byDeadline = [];
+
+  for (const deadline of deadlines.rows) {
+    if (!DEADLINE_TYPES[deadline.deadline_type]) continue;
+
+    const { label } = DEADLINE_TYPES[deadline.deadline_type];
+    const filter = missedDeadlineSql(deadline.deadline_type, 3);
+
+    // Bills still short of the deadline with nothing recorded since it passed
+    const missed = await pool.query(`
+      SELECT b.id, b.identifier, b.stage, b.latest_action_description
+      FROM bills b
+      WHERE b.session_id = $1
+        AND b.stage IS DISTINCT FROM 'dead'
+        AND (b.latest_action_date IS NULL OR b.latest_action_date <= $2)
+        AND ${filter.sql}
+      ORDER BY b.id
+    `, [deadline.session_id, deadline.deadline_date, ...filter.params]);
+
+    if (missed.rows.length === 0) continue;
+
+    const note = `Missed ${label.charAt(0).toLowerCase()}${label.slice(1)} (${toDateString(deadline.deadline_date)})`;
+
+    if (!dryRun) {
+      for (const bill of missed.rows) {
+        await markDead(bill, deadline, note);
+      }
+    }
+
+    marked += missed.rows.length;
+    byDeadline.push({
+      session: deadline.session_id,
+      deadline_type: deadline.deadline_type,
+      deadline_date: toDateString(deadline.deadline_date),
+      bills: missed.rows.length
+    });
+    console.log(`  ${deadline.session_id} ${deadline.deadline_type}: ${missed.rows.length} bills`);
+  }
+
+  console.log(`✅ ${marked} bill${marked === 1 ? '' : 's'} ${dryRun ? 'would be marked' : 'marked'} dead`);
+
+  return { deadlines_checked: deadlines.rows.length, marked, dry_run: dryRun, by_deadline: byDeadline };
+}
+
+// The bill's new stage, its history entry and its stage periods change together
+async function markDead(bill, deadline, note) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      UPDATE bills
+      SET stage = 'dead', phase = 'final', phase_stage = 'dead',
+          dead_at = $2, dead_reason = $3, updated_at = NOW(), last_changed_at = NOW()
+      WHERE id = $1
+    `, [bill.id, deadline.deadline_date, deadline.deadline_type]);
+    await client.query(`
+      INSERT INTO bill_history (bill_id, stage, status, previous_stage, notes)
+      VALUES ($1, 'dead', $2, $3, $4)
+    `, [bill.id, bill.latest_action_description, bill.stage, note]);
+    await refreshStageTimeline(bill.id, client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Bills that will miss the session's next deadline (or the next deadline of
+// the given type) unless they move. Stalest bills first.
+export async function findAtRiskBills({ session, deadlineType, page = 1, perPage = 50 }) {
+  const deadlineResult = await pool.query(`
+    SELECT *, deadline_date - CURRENT_DATE as days_remaining
+    FROM session_deadlines
+    WHERE session_id = $1
+      AND deadline_date >= CURRENT_DATE
+      AND ($2::text IS NULL OR deadline_type = $2)
+    ORDER BY deadline_date, id
+    LIMIT 1
+  `, [session, deadlineType || null]);
+
+  const deadline = deadlineResult.rows[0];
+  if (!deadline || !DEADLINE_TYPES[deadline.deadline_type]) {
+    return { deadline: null, bills: [], total: 0 };
+  }
+
+  const filter = missedDeadlineSql(deadline.deadline_type, 2);
+  const where = `
+    WHERE b.session_id = $1
+      AND b.stage IS DISTINCT FROM 'dead'
+      AND ${filter.sql}
+  `;
+  const params = [session, ...filter.params];
+
+  const countResult = await pool.query(`SELECT COUNT(*) FROM bills b ${where}`, params);
+
+  const billsResult = await pool.query(`
+    SELECT
+      b.id,
+      b.identifier,
+      b.title,
+      b.stage,
+      b.phase,
+      b.phase_stage,
+      b.current_chamber,
+      b.latest_action_date,
+      b.latest_action_description,
+      CURRENT_DATE - b.latest_action_date as days_since_action,
+      (SELECT name FROM sponsorships WHERE bill_id = b.id AND primary_sponsor = TRUE LIMIT 1) as primary_sponsor
+    FROM bills b
+    ${where}
+    ORDER BY b.latest_action_date ASC NULLS FIRST, b.identifier
+    LIMIT $${filter.nextIndex} OFFSET $${filter.nextIndex + 1}
+  `, [...params, perPage, (page - 1) * perPage]);
+
+  return {
+    deadline: {
+      ...deadline,
+      deadline_date: toDateString(deadline.deadline_date),
+      label: DEADLINE_TYPES[deadline.deadline_type].label
+    },
+    bills: billsResult.rows,
+    total: parseInt(countResult.rows[0].count)
+  };
+}
+
+// Run the check when executed directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  markDeadBills({ dryRun: process.argv.includes('--dry-run') })
+    .catch(error => {
+      console.error('❌ Error checking deadlines:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+export default {
+  DEADLINE_TYPES,
+  missesDeadline,
+  keepDeadStatus,
+  markDeadBills,
+  findAtRiskBills
+};
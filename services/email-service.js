@@ -1,6 +1,6 @@
-import nodemailer from 'nodemailer';
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { sendEmail, deliver } from './notification-channels.js';
 
 dotenv.config();
 
@@ -10,17 +10,6 @@ const pool = new Pool({
   connectionString: process.env.DATABASE_URL
 });
 
-// Create email transporter
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-  port: process.env.EMAIL_PORT || 587,
-  secure: false,
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
-});
-
 // Helper function to format stage names
 function formatStage(stage) {
   const stageNames = {
@@ -38,9 +27,21 @@ function formatStage(stage) {
   return stageNames[stage] || stage;
 }
 
+// Bill data and subscriber-supplied text (search labels) are escaped before
+// they go into email HTML
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Email templates
 const emailTemplates = {
-  billStatusChange: (bill, oldStage, newStage, subscription) => ({
+  // changes: bill_history rows oldest first; actions: bill_actions in the same window
+  billStatusChange: (bill, changes, actions, subscription) => ({
     subject: `📋 ${bill.identifier} Status Update`,
     html: `
       <!DOCTYPE html>
@@ -57,6 +58,11 @@ const emailTemplates = {
           .old-status { background: #fef3c7; color: #92400e; }
           .new-status { background: #d1fae5; color: #065f46; }
           .arrow { margin: 0 15px; font-size: 24px; color: #6b7280; }
+          .timeline { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; }
+          .timeline-item { border-left: 2px solid #3b82f6; padding: 0 0 12px 15px; position: relative; }
+          .timeline-item:last-child { padding-bottom: 0; }
+          .timeline-date { color: #6b7280; font-size: 12px; }
+          .timeline-action { color: #4b5563; font-size: 13px; margin: 2px 0; }
           .button { display: inline-block; background: #3b82f6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 10px 0; }
           .footer { text-align: center; margin-top: 20px; padding: 20px; color: #6b7280; font-size: 12px; }
         </style>
@@ -72,10 +78,10 @@ const emailTemplates = {
             <h2>📋 Bill Update</h2>
             
             <div class="bill-info">
-              <h3 style="margin-top: 0; color: #3b82f6;">${bill.identifier}</h3>
-              <p><strong>${bill.title}</strong></p>
+              <h3 style="margin-top: 0; color: #3b82f6;">${escapeHtml(bill.identifier)}</h3>
+              <p><strong>${escapeHtml(bill.title)}</strong></p>
               <p style="margin: 5px 0;">
-                <strong>Latest Action:</strong> ${bill.latest_action_description}
+                <strong>Latest Action:</strong> ${escapeHtml(bill.latest_action_description)}
               </p>
               <p style="margin: 5px 0; color: #6b7280;">
                 ${new Date(bill.latest_action_date).toLocaleDateString('en-US', { 
@@ -87,13 +93,38 @@ const emailTemplates = {
             </div>
             
             <div class="status-change">
-              <span class="status-badge old-status">${formatStage(oldStage)}</span>
+              <span class="status-badge old-status">${formatStage(changes[0].previous_stage)}</span>
               <span class="arrow">→</span>
-              <span class="status-badge new-status">${formatStage(newStage)}</span>
+              <span class="status-badge new-status">${formatStage(changes[changes.length - 1].stage)}</span>
+            </div>
+            
+            <div class="timeline">
+              <h3 style="margin-top: 0;">Timeline</h3>
+              ${changes.map(change => `
+                <div class="timeline-item">
+                  <strong>${formatStage(change.previous_stage)} → ${formatStage(change.stage)}</strong>
+                  <div class="timeline-date">
+                    ${new Date(change.changed_at).toLocaleDateString('en-US', { 
+                      year: 'numeric', 
+                      month: 'long', 
+                      day: 'numeric' 
+                    })}
+                  </div>
+                </div>
+              `).join('')}
+              ${actions.length > 0 ? `
+                <h4 style="margin-bottom: 5px;">Actions</h4>
+                ${actions.map(action => `
+                  <div class="timeline-action">
+                    ${new Date(action.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                    — ${escapeHtml(action.description)}${action.chamber ? ` (${action.chamber === 'upper' ? 'Senate' : action.chamber === 'lower' ? 'House' : escapeHtml(action.chamber)})` : ''}
+                  </div>
+                `).join('')}
+              ` : ''}
             </div>
             
             <p style="text-align: center;">
-              <a href="${process.env.APP_URL}/bill/${bill.identifier}" class="button">
+              <a href="${process.env.APP_URL}/bill/${encodeURIComponent(bill.identifier)}" class="button">
                 View Full Bill Details
               </a>
             </p>
@@ -102,7 +133,7 @@ const emailTemplates = {
           <div class="footer">
             <p>Oklahoma Legislative Bill Tracker</p>
             <p>
-              <a href="${process.env.APP_URL}/unsubscribe/${subscription.id}?token=${subscription.verification_token}" style="color: #6b7280;">
+              <a href="${process.env.APP_URL}/api/unsubscribe?token=${subscription.verification_token}" style="color: #6b7280;">
                 Unfollow this bill
               </a>
             </p>
@@ -113,6 +144,229 @@ const emailTemplates = {
     `
   }),
 
+  digest: (email, frequency, bills) => ({
+    subject: `📬 Your ${frequency === 'weekly' ? 'Weekly' : 'Daily'} Bill Digest: ${bills.length} bill${bills.length === 1 ? '' : 's'} updated`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #3b82f6; color: white; padding: 20px; border-radius: 8px 8px 0 0; }
+          .content { background: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
+          .bill-info { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #3b82f6; }
+          .status-badge { display: inline-block; padding: 4px 10px; border-radius: 12px; font-weight: bold; font-size: 12px; background: #d1fae5; color: #065f46; }
+          .old-status { background: #fef3c7; color: #92400e; }
+          .change { margin: 6px 0; font-size: 14px; }
+          .change-date { color: #6b7280; font-size: 12px; margin-left: 8px; }
+          .footer { text-align: center; margin-top: 20px; padding: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1 style="margin: 0;">Oklahoma Bill Tracker</h1>
+            <p style="margin: 5px 0 0 0;">${frequency === 'weekly' ? 'Weekly' : 'Daily'} Digest</p>
+          </div>
+          
+          <div class="content">
+            <h2>📬 ${bills.length} followed bill${bills.length === 1 ? '' : 's'} changed</h2>
+            
+            ${bills.map(bill => `
+              <div class="bill-info">
+                <h3 style="margin-top: 0; color: #3b82f6;">
+                  <a href="${process.env.APP_URL}/bill/${encodeURIComponent(bill.identifier)}" style="color: #3b82f6; text-decoration: none;">${escapeHtml(bill.identifier)}</a>
+                </h3>
+                <p><strong>${escapeHtml(bill.title)}</strong></p>
+                ${bill.changes.map(change => `
+                  <div class="change">
+                    <span class="status-badge old-status">${formatStage(change.previous_stage)}</span>
+                    →
+                    <span class="status-badge">${formatStage(change.stage)}</span>
+                    <span class="change-date">${new Date(change.changed_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+                  </div>
+                `).join('')}
+                <p style="margin: 10px 0 0 0; font-size: 14px;">
+                  <strong>Latest Action:</strong> ${escapeHtml(bill.latest_action_description || 'N/A')}
+                </p>
+                <p style="margin: 5px 0 0 0; font-size: 12px;">
+                  <a href="${process.env.APP_URL}/api/unsubscribe?token=${bill.verification_token}" style="color: #6b7280;">Unfollow ${escapeHtml(bill.identifier)}</a>
+                </p>
+              </div>
+            `).join('')}
+          </div>
+          
+          <div class="footer">
+            <p>Oklahoma Legislative Bill Tracker</p>
+            <p>You receive one ${frequency} email for all bills you follow at ${escapeHtml(email)}.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  }),
+
+  // bills: the first matches; total: every bill that matched
+  searchAlert: (subscription, bills, total) => ({
+    subject: `🔎 ${total} bill${total === 1 ? '' : 's'} match "${subscription.label}"`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #3b82f6; color: white; padding: 20px; border-radius: 8px 8px 0 0; }
+          .content { background: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
+          .bill-info { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #3b82f6; }
+          .tag { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: bold; margin-left: 6px; }
+          .tag-new { background: #d1fae5; color: #065f46; }
+          .tag-updated { background: #dbeafe; color: #1e40af; }
+          .footer { text-align: center; margin-top: 20px; padding: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1 style="margin: 0;">Oklahoma Bill Tracker</h1>
+            <p style="margin: 5px 0 0 0;">Search Alert: ${escapeHtml(subscription.label)}</p>
+          </div>
+          
+          <div class="content">
+            <h2>🔎 ${total} matching bill${total === 1 ? '' : 's'}</h2>
+            
+            ${bills.map(bill => `
+              <div class="bill-info">
+                <h3 style="margin-top: 0;">
+                  <a href="${process.env.APP_URL}/bill/${encodeURIComponent(bill.identifier)}" style="color: #3b82f6; text-decoration: none;">${escapeHtml(bill.identifier)}</a>
+                  <span class="tag ${bill.is_new ? 'tag-new' : 'tag-updated'}">${bill.is_new ? 'NEW' : 'UPDATED'}</span>
+                </h3>
+                <p><strong>${escapeHtml(bill.title)}</strong></p>
+                <p style="margin: 5px 0; font-size: 14px;">
+                  <strong>Stage:</strong> ${formatStage(bill.stage)}
+                </p>
+                ${bill.latest_action_description ? `
+                  <p style="margin: 5px 0; font-size: 14px;">
+                    <strong>Latest Action:</strong> ${escapeHtml(bill.latest_action_description)}
+                  </p>
+                ` : ''}
+              </div>
+            `).join('')}
+            
+            ${total > bills.length ? `
+              <p>
+                …and ${total - bills.length} more.
+                <a href="${process.env.APP_URL}" style="color: #3b82f6;">Run the search in the tracker</a> to see them all.
+              </p>
+            ` : ''}
+          </div>
+          
+          <div class="footer">
+            <p>Oklahoma Legislative Bill Tracker</p>
+            <p>
+              <a href="${process.env.APP_URL}/api/unsubscribe?token=${subscription.verification_token}" style="color: #6b7280;">
+                Stop this search alert
+              </a>
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  }),
+
+  // newBills: bills newly sponsored; changedBills: their other bills with stage changes
+  sponsorAlert: (subscription, newBills, changedBills) => ({
+    subject: `👤 ${subscription.legislator_name}: ${[
+      newBills.length > 0 ? `${newBills.length} new bill${newBills.length === 1 ? '' : 's'}` : '',
+      changedBills.length > 0 ? `${changedBills.length} bill${changedBills.length === 1 ? '' : 's'} moved` : ''
+    ].filter(Boolean).join(', ')}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #3b82f6; color: white; padding: 20px; border-radius: 8px 8px 0 0; }
+          .content { background: #f9fafb; padding: 20px; border: 1px solid #e5e7eb; }
+          .bill-info { background: white; padding: 15px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #3b82f6; }
+          .status-badge { display: inline-block; padding: 4px 10px; border-radius: 12px; font-weight: bold; font-size: 12px; background: #d1fae5; color: #065f46; }
+          .old-status { background: #fef3c7; color: #92400e; }
+          .tag { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: bold; margin-left: 6px; background: #e5e7eb; color: #374151; }
+          .change { margin: 6px 0; font-size: 14px; }
+          .change-date { color: #6b7280; font-size: 12px; margin-left: 8px; }
+          .footer { text-align: center; margin-top: 20px; padding: 20px; color: #6b7280; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1 style="margin: 0;">Oklahoma Bill Tracker</h1>
+            <p style="margin: 5px 0 0 0;">
+              Sponsor Alert: ${escapeHtml(subscription.legislator_name)}
+              ${subscription.party ? `(${escapeHtml(subscription.party.charAt(0))})` : ''}
+              ${subscription.chamber === 'upper' ? 'Senate' : 'House'} District ${escapeHtml(subscription.district || 'N/A')}
+            </p>
+          </div>
+          
+          <div class="content">
+            ${newBills.length > 0 ? `
+              <h2>🆕 Newly sponsored</h2>
+              ${newBills.map(bill => `
+                <div class="bill-info">
+                  <h3 style="margin-top: 0;">
+                    <a href="${process.env.APP_URL}/bill/${encodeURIComponent(bill.identifier)}" style="color: #3b82f6; text-decoration: none;">${escapeHtml(bill.identifier)}</a>
+                    <span class="tag">${bill.primary_sponsor ? 'PRIMARY' : 'COSPONSOR'}</span>
+                  </h3>
+                  <p><strong>${escapeHtml(bill.title)}</strong></p>
+                  <p style="margin: 5px 0; font-size: 14px;">
+                    <strong>Stage:</strong> ${formatStage(bill.stage)}
+                  </p>
+                </div>
+              `).join('')}
+            ` : ''}
+            
+            ${changedBills.length > 0 ? `
+              <h2>📋 Stage changes</h2>
+              ${changedBills.map(bill => `
+                <div class="bill-info">
+                  <h3 style="margin-top: 0;">
+                    <a href="${process.env.APP_URL}/bill/${encodeURIComponent(bill.identifier)}" style="color: #3b82f6; text-decoration: none;">${escapeHtml(bill.identifier)}</a>
+                    <span class="tag">${bill.primary_sponsor ? 'PRIMARY' : 'COSPONSOR'}</span>
+                  </h3>
+                  <p><strong>${escapeHtml(bill.title)}</strong></p>
+                  ${bill.changes.map(change => `
+                    <div class="change">
+                      <span class="status-badge old-status">${formatStage(change.previous_stage)}</span>
+                      →
+                      <span class="status-badge">${formatStage(change.stage)}</span>
+                      <span class="change-date">${new Date(change.changed_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</span>
+                    </div>
+                  `).join('')}
+                  <p style="margin: 10px 0 0 0; font-size: 14px;">
+                    <strong>Latest Action:</strong> ${escapeHtml(bill.latest_action_description || 'N/A')}
+                  </p>
+                </div>
+              `).join('')}
+            ` : ''}
+          </div>
+          
+          <div class="footer">
+            <p>Oklahoma Legislative Bill Tracker</p>
+            <p>
+              <a href="${process.env.APP_URL}/api/unsubscribe?token=${subscription.verification_token}" style="color: #6b7280;">
+                Unfollow ${escapeHtml(subscription.legislator_name)}
+              </a>
+            </p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `
+  }),
+
   verificationEmail: (email, token, billIdentifier) => ({
     subject: '✅ Confirm Following ' + billIdentifier,
     html: `
@@ -121,9 +375,9 @@ const emailTemplates = {
       <body style="font-family: Arial, sans-serif;">
         <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
           <h2>Confirm Your Subscription</h2>
-          <p>Click the link below to confirm you want to follow <strong>${billIdentifier}</strong>:</p>
+          <p>Click the link below to confirm you want to follow <strong>${escapeHtml(billIdentifier)}</strong>:</p>
           <p style="text-align: center;">
-            <a href="${process.env.APP_URL}/api/subscribe/verify?email=${encodeURIComponent(email)}&token=${token}" 
+            <a href="${process.env.APP_URL}/api/verify-email?token=${token}" 
                style="background: #10b981; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; display: inline-block;">
               Confirm Subscription
             </a>
@@ -132,39 +386,118 @@ const emailTemplates = {
       </body>
       </html>
     `
+  }),
+
+  magicLinkEmail: (token, minutes) => ({
+    subject: '🔑 Sign in to Oklahoma Bill Tracker',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <body style="font-family: Arial, sans-serif;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2>Sign In</h2>
+          <p>Click the link below to sign in. It works once and expires in ${minutes} minutes.</p>
+          <p style="text-align: center;">
+            <a href="${process.env.APP_URL}/api/auth/verify?token=${token}"
+               style="background: #3b82f6; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; display: inline-block;">
+              Sign In
+            </a>
+          </p>
+          <p style="color: #6b7280; font-size: 12px;">If you did not ask to sign in, you can ignore this email.</p>
+        </div>
+      </body>
+      </html>
+    `
   })
 };
 
-// Send email function
-async function sendEmail(to, subject, html) {
-  try {
-    await transporter.sendMail({
-      from: process.env.EMAIL_FROM || 'Oklahoma Bill Tracker <noreply@example.com>',
-      to,
-      subject,
-      html
-    });
-    console.log(`✅ Email sent to ${to}`);
-    return { success: true };
-  } catch (error) {
-    console.error(`❌ Error sending email:`, error.message);
-    return { success: false, error: error.message };
-  }
-}
+// Plain-text (Slack mrkdwn) versions of the templates for non-email channels.
+// Slack reads <...> as links and mentions, so &, < and > are escaped.
+const escapeMrkdwn = text => String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const billLink = identifier => `<${process.env.APP_URL}/bill/${encodeURIComponent(identifier)}|${escapeMrkdwn(identifier)}>`;
+
+const textTemplates = {
+  billStatusChange: (bill, changes) => [
+    `*${billLink(bill.identifier)}* ${escapeMrkdwn(bill.title)}`,
+    ...changes.map(change => `• ${formatStage(change.previous_stage)} → ${formatStage(change.stage)}`),
+    `Latest action: ${escapeMrkdwn(bill.latest_action_description || 'N/A')}`
+  ].join('\n'),
+
+  searchAlert: (subscription, bills, total) => [
+    `Bills matching "${escapeMrkdwn(subscription.label)}":`,
+    ...bills.map(bill => `• *${billLink(bill.identifier)}* ${escapeMrkdwn(bill.title)} (${bill.is_new ? 'new' : formatStage(bill.stage)})`),
+    ...(total > bills.length ? [`…and ${total - bills.length} more`] : [])
+  ].join('\n'),
+
+  sponsorAlert: (subscription, newBills, changedBills) => [
+    ...newBills.map(bill => `• New: *${billLink(bill.identifier)}* ${escapeMrkdwn(bill.title)}`),
+    ...changedBills.map(bill => `• *${billLink(bill.identifier)}* ${bill.changes.map(change => formatStage(change.stage)).join(' → ')}`)
+  ].join('\n')
+};
 
 // Export functions
-export async function sendBillStatusChangeEmail(bill, oldStage, newStage, subscription) {
-  const template = emailTemplates.billStatusChange(bill, oldStage, newStage, subscription);
-  return await sendEmail(subscription.email, template.subject, template.html);
+// Subscription notifications go out over the subscription's channel (email, webhook or slack)
+export async function sendBillStatusChangeEmail(bill, changes, actions, subscription) {
+  const template = emailTemplates.billStatusChange(bill, changes, actions, subscription);
+  return await deliver(subscription, {
+    event: 'bill.status_changed',
+    ...template,
+    text: textTemplates.billStatusChange(bill, changes),
+    data: { bill, changes, actions }
+  });
 }
 
+// Digests are only sent to email subscribers
+export async function sendDigestEmail(email, frequency, bills) {
+  const template = emailTemplates.digest(email, frequency, bills);
+  return await deliver({ email, channel: 'email' }, {
+    event: 'digest',
+    ...template
+  });
+}
+
+// total counts every match when bills holds only the first of them
+export async function sendSearchAlertEmail(subscription, bills, total = bills.length) {
+  const template = emailTemplates.searchAlert(subscription, bills, total);
+  return await deliver(subscription, {
+    event: 'search.matched',
+    ...template,
+    text: textTemplates.searchAlert(subscription, bills, total),
+    data: { label: subscription.label, criteria: subscription.search_criteria, bills, total_matches: total }
+  });
+}
+
+export async function sendSponsorAlertEmail(subscription, newBills, changedBills) {
+  const template = emailTemplates.sponsorAlert(subscription, newBills, changedBills);
+  return await deliver(subscription, {
+    event: 'legislator.sponsor_activity',
+    ...template,
+    text: textTemplates.sponsorAlert(subscription, newBills, changedBills),
+    data: {
+      legislator: { id: subscription.legislator_id, name: subscription.legislator_name },
+      new_bills: newBills,
+      changed_bills: changedBills
+    }
+  });
+}
+
+// Verification always goes to the subscriber's email address, whatever the channel
 export async function sendVerificationEmail(email, token, billIdentifier) {
   const template = emailTemplates.verificationEmail(email, token, billIdentifier);
   return await sendEmail(email, template.subject, template.html);
 }
 
+export async function sendMagicLinkEmail(email, token, minutes) {
+  const template = emailTemplates.magicLinkEmail(token, minutes);
+  return await sendEmail(email, template.subject, template.html);
+}
+
 export default {
   sendEmail,
   sendBillStatusChangeEmail,
-  sendVerificationEmail
+  sendDigestEmail,
+  sendSearchAlertEmail,
+  sendSponsorAlertEmail,
+  sendVerificationEmail,
+  sendMagicLinkEmail
 };
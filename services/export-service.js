@@ -20,17 +20,52 @@ function formatStage(stage) {
   return stageNames[stage] || stage;
 }
 
+// Helper to format a chamber (bills.chamber, legislators.chamber)
+function formatChamber(chamber) {
+  return { lower: 'House', upper: 'Senate' }[chamber] || chamber || '';
+}
+
+// Helper to format a measure type (bills.bill_type)
+function formatBillType(billType) {
+  const typeNames = {
+    'bill': 'Bill',
+    'joint_resolution': 'Joint Resolution',
+    'concurrent_resolution': 'Concurrent Resolution',
+    'resolution': 'Resolution'
+  };
+  return typeNames[billType] || billType || '';
+}
+
+// Favorites and watchlist rows carry tracking (position, priority, tags and
+// a note_history of favorite_notes rows); bill exports of them get those columns
+function hasTracking(bills) {
+  return bills.some(bill => 'position' in bill || 'note_history' in bill);
+}
+
+function formatNote(note) {
+  const date = note.created_at ? new Date(note.created_at).toISOString().split('T')[0] : '';
+  const author = note.author_name || note.author_email || 'anonymous';
+  return `${note.parent_id ? '↳ ' : ''}${date} ${author}: ${note.body}`;
+}
+
+export function formatNoteHistory(notes = []) {
+  return notes.map(formatNote).join('\n');
+}
+
 // Generate CSV from bills data
 export function generateCSV(bills) {
+  const tracked = hasTracking(bills);
   const headers = [
     'Bill Number',
     'Title',
     'Current Stage',
     'Chamber',
+    'Type',
     'Latest Action',
     'Latest Action Date',
     'Primary Sponsor',
-    'URL'
+    'URL',
+    ...(tracked ? ['Position', 'Priority', 'Tags', 'Notes'] : [])
   ];
   
   let csv = headers.join(',') + '\n';
@@ -40,12 +75,21 @@ export function generateCSV(bills) {
       `"${bill.identifier}"`,
       `"${(bill.title || '').replace(/"/g, '""')}"`,
       `"${formatStage(bill.stage)}"`,
-      `"${bill.identifier?.startsWith('HB') ? 'House' : 'Senate'}"`,
+      `"${formatChamber(bill.chamber)}"`,
+      `"${formatBillType(bill.bill_type)}"`,
       `"${(bill.latest_action_description || '').replace(/"/g, '""')}"`,
       `"${bill.latest_action_date || ''}"`,
       `"${bill.primary_sponsor || ''}"`,
       `"${bill.openstates_url || ''}"`
     ];
+    if (tracked) {
+      row.push(
+        `"${bill.position || ''}"`,
+        `"${bill.priority || ''}"`,
+        `"${(bill.tags || []).join(', ').replace(/"/g, '""')}"`,
+        `"${formatNoteHistory(bill.note_history).replace(/"/g, '""')}"`
+      );
+    }
     csv += row.join(',') + '\n';
   });
   
@@ -55,6 +99,7 @@ export function generateCSV(bills) {
 // Generate Excel from bills data
 export async function generateExcel(bills, includeActions = false) {
   const workbook = new ExcelJS.Workbook();
+  const tracked = hasTracking(bills);
   
   // Bills sheet
   const billsSheet = workbook.addWorksheet('Bills');
@@ -64,10 +109,17 @@ export async function generateExcel(bills, includeActions = false) {
     { header: 'Title', key: 'title', width: 50 },
     { header: 'Current Stage', key: 'stage', width: 20 },
     { header: 'Chamber', key: 'chamber', width: 12 },
+    { header: 'Type', key: 'bill_type', width: 22 },
     { header: 'Latest Action', key: 'latest_action', width: 40 },
     { header: 'Date', key: 'date', width: 15 },
     { header: 'Primary Sponsor', key: 'sponsor', width: 25 },
-    { header: 'URL', key: 'url', width: 50 }
+    { header: 'URL', key: 'url', width: 50 },
+    ...(tracked ? [
+      { header: 'Position', key: 'position', width: 12 },
+      { header: 'Priority', key: 'priority', width: 10 },
+      { header: 'Tags', key: 'tags', width: 30 },
+      { header: 'Latest Note', key: 'latest_note', width: 50 }
+    ] : [])
   ];
   
   // Style header row
@@ -85,20 +137,53 @@ export async function generateExcel(bills, includeActions = false) {
       identifier: bill.identifier,
       title: bill.title,
       stage: formatStage(bill.stage),
-      chamber: bill.identifier?.startsWith('HB') ? 'House' : 'Senate',
+      chamber: formatChamber(bill.chamber),
+      bill_type: formatBillType(bill.bill_type),
       latest_action: bill.latest_action_description,
       date: bill.latest_action_date,
       sponsor: bill.primary_sponsor || '',
-      url: bill.openstates_url || ''
+      url: bill.openstates_url || '',
+      ...(tracked ? {
+        position: bill.position || '',
+        priority: bill.priority || '',
+        tags: (bill.tags || []).join(', '),
+        latest_note: bill.note_history?.at(-1)?.body || ''
+      } : {})
     });
   });
   
   // Auto-filter
   billsSheet.autoFilter = {
     from: 'A1',
-    to: 'H1'
+    to: tracked ? 'M1' : 'I1'
   };
   
+  // Notes sheet: the full notes history, one row per note
+  if (tracked) {
+    const notesSheet = workbook.addWorksheet('Notes');
+    
+    notesSheet.columns = [
+      { header: 'Bill Number', key: 'identifier', width: 15 },
+      { header: 'Date', key: 'date', width: 20 },
+      { header: 'Author', key: 'author', width: 30 },
+      { header: 'Reply To', key: 'reply_to', width: 10 },
+      { header: 'Note', key: 'body', width: 80 }
+    ];
+    notesSheet.getRow(1).font = { bold: true };
+    
+    bills.forEach(bill => {
+      (bill.note_history || []).forEach(note => {
+        notesSheet.addRow({
+          identifier: bill.identifier,
+          date: note.created_at,
+          author: note.author_name || note.author_email || '',
+          reply_to: note.parent_id || '',
+          body: note.body
+        });
+      });
+    });
+  }
+  
   // Add summary sheet
   const summarySheet = workbook.addWorksheet('Summary');
   
@@ -120,15 +205,41 @@ export async function generateExcel(bills, includeActions = false) {
     summarySheet.addRow([stage, count]);
   });
   
-  // Count by chamber
-  const houseBills = bills.filter(b => b.identifier?.startsWith('HB')).length;
-  const senateBills = bills.filter(b => b.identifier?.startsWith('SB')).length;
+  // Count by chamber and by measure type
+  const houseBills = bills.filter(b => b.chamber === 'lower').length;
+  const senateBills = bills.filter(b => b.chamber === 'upper').length;
   
   summarySheet.addRow([]);
   summarySheet.addRow(['Bills by Chamber:']);
   summarySheet.addRow(['House Bills', houseBills]);
   summarySheet.addRow(['Senate Bills', senateBills]);
   
+  const typeCounts = {};
+  bills.forEach(bill => {
+    const type = formatBillType(bill.bill_type) || 'Other';
+    typeCounts[type] = (typeCounts[type] || 0) + 1;
+  });
+  
+  summarySheet.addRow([]);
+  summarySheet.addRow(['Bills by Type:']);
+  Object.entries(typeCounts).forEach(([type, count]) => {
+    summarySheet.addRow([type, count]);
+  });
+  
+  if (tracked) {
+    const positionCounts = {};
+    bills.forEach(bill => {
+      const position = bill.position || 'none';
+      positionCounts[position] = (positionCounts[position] || 0) + 1;
+    });
+    
+    summarySheet.addRow([]);
+    summarySheet.addRow(['Bills by Position:']);
+    Object.entries(positionCounts).forEach(([position, count]) => {
+      summarySheet.addRow([position, count]);
+    });
+  }
+  
   // Style summary sheet
   summarySheet.getCell('A1').font = { size: 16, bold: true };
   summarySheet.getColumn(1).width = 25;
@@ -148,6 +259,7 @@ export async function generateDetailedExcel(bills, pool) {
     { header: 'Title', key: 'title', width: 50 },
     { header: 'Current Stage', key: 'stage', width: 20 },
     { header: 'Chamber', key: 'chamber', width: 12 },
+    { header: 'Type', key: 'bill_type', width: 22 },
     { header: 'Latest Action', key: 'latest_action', width: 40 },
     { header: 'Date', key: 'date', width: 15 }
   ];
@@ -165,7 +277,8 @@ export async function generateDetailedExcel(bills, pool) {
       identifier: bill.identifier,
       title: bill.title,
       stage: formatStage(bill.stage),
-      chamber: bill.identifier?.startsWith('HB') ? 'House' : 'Senate',
+      chamber: formatChamber(bill.chamber),
+      bill_type: formatBillType(bill.bill_type),
       latest_action: bill.latest_action_description,
       date: bill.latest_action_date
     });
@@ -253,8 +366,150 @@ export async function generateDetailedExcel(bills, pool) {
   return workbook;
 }
 
+// Generate CSV from a computed scorecard: one row per legislator, one column
+// per bill with the legislator's vote
+export function generateScorecardCSV(scorecard) {
+  const headers = [
+    'Legislator',
+    'Party',
+    'Chamber',
+    'District',
+    'Agreement %',
+    'Agreed',
+    'Disagreed',
+    'Absences',
+    ...scorecard.bills.map(bill => `${bill.identifier} (${bill.preferred_position})`)
+  ];
+  
+  let csv = headers.map(header => `"${header}"`).join(',') + '\n';
+  
+  scorecard.legislators.forEach(legislator => {
+    const row = [
+      `"${(legislator.name || '').replace(/"/g, '""')}"`,
+      `"${(legislator.party || '').replace(/"/g, '""')}"`,
+      `"${formatChamber(legislator.chamber)}"`,
+      `"${String(legislator.district || '').replace(/"/g, '""')}"`,
+      legislator.agreement_pct ?? '',
+      legislator.agreed,
+      legislator.disagreed,
+      legislator.absences,
+      ...scorecard.bills.map(bill => `"${legislator.votes[bill.bill_id] || ''}"`)
+    ];
+    csv += row.join(',') + '\n';
+  });
+  
+  return csv;
+}
+
+// Generate Excel from a computed scorecard
+export async function generateScorecardExcel(scorecard) {
+  const workbook = new ExcelJS.Workbook();
+  
+  // Scorecard sheet
+  const scoreSheet = workbook.addWorksheet('Scorecard');
+  
+  scoreSheet.columns = [
+    { header: 'Legislator', key: 'name', width: 30 },
+    { header: 'Party', key: 'party', width: 15 },
+    { header: 'Chamber', key: 'chamber', width: 10 },
+    { header: 'District', key: 'district', width: 10 },
+    { header: 'Agreement %', key: 'agreement_pct', width: 14 },
+    { header: 'Agreed', key: 'agreed', width: 10 },
+    { header: 'Disagreed', key: 'disagreed', width: 10 },
+    { header: 'Absences', key: 'absences', width: 10 },
+    ...scorecard.bills.map(bill => ({
+      header: `${bill.identifier} (${bill.preferred_position})`,
+      key: `bill_${bill.bill_id}`,
+      width: 16
+    }))
+  ];
+  
+  scoreSheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF3B82F6' }
+  };
+  scoreSheet.getRow(1).font = { color: { argb: 'FFFFFFFF' }, bold: true };
+  
+  scorecard.legislators.forEach(legislator => {
+    const row = scoreSheet.addRow({
+      name: legislator.name,
+      party: legislator.party || '',
+      chamber: formatChamber(legislator.chamber),
+      district: legislator.district || '',
+      agreement_pct: legislator.agreement_pct,
+      agreed: legislator.agreed,
+      disagreed: legislator.disagreed,
+      absences: legislator.absences,
+      ...Object.fromEntries(scorecard.bills.map(bill => [`bill_${bill.bill_id}`, legislator.votes[bill.bill_id] || '']))
+    });
+    
+    // Green for votes with the preferred position, red against
+    scorecard.bills.forEach(bill => {
+      const vote = legislator.votes[bill.bill_id];
+      if (vote !== 'yes' && vote !== 'no') return;
+      row.getCell(`bill_${bill.bill_id}`).fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: vote === bill.preferred_position ? 'FFD1FAE5' : 'FFFEE2E2' }
+      };
+    });
+  });
+  
+  scoreSheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: 1, column: scoreSheet.columns.length }
+  };
+  
+  // Bills sheet
+  const billsSheet = workbook.addWorksheet('Bills');
+  billsSheet.columns = [
+    { header: 'Bill Number', key: 'identifier', width: 15 },
+    { header: 'Session', key: 'session', width: 12 },
+    { header: 'Title', key: 'title', width: 50 },
+    { header: 'Preferred Vote', key: 'position', width: 15 },
+    { header: 'Current Stage', key: 'stage', width: 20 },
+    { header: 'Notes', key: 'notes', width: 40 }
+  ];
+  
+  billsSheet.getRow(1).fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF10B981' }
+  };
+  billsSheet.getRow(1).font = { color: { argb: 'FFFFFFFF' }, bold: true };
+  
+  scorecard.bills.forEach(bill => {
+    billsSheet.addRow({
+      identifier: bill.identifier,
+      session: bill.session_id,
+      title: bill.title,
+      position: bill.preferred_position,
+      stage: formatStage(bill.stage),
+      notes: bill.notes || ''
+    });
+  });
+  
+  // Summary sheet
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.addRow([scorecard.name]);
+  summarySheet.addRow([]);
+  if (scorecard.description) summarySheet.addRow(['Description:', scorecard.description]);
+  summarySheet.addRow(['Generated:', new Date().toLocaleString()]);
+  summarySheet.addRow(['Bills:', scorecard.bills.length]);
+  summarySheet.addRow(['Legislators:', scorecard.legislators.length]);
+  summarySheet.getCell('A1').font = { size: 16, bold: true };
+  summarySheet.getColumn(1).width = 25;
+  summarySheet.getColumn(2).width = 50;
+  
+  return workbook;
+}
+
 export default {
+  formatNoteHistory,
   generateCSV,
   generateExcel,
-  generateDetailedExcel
+  generateDetailedExcel,
+  generateScorecardCSV,
+  generateScorecardExcel
 };
@@ -0,0 +1,49 @@
+// Favorite Tracking - Structured tracking on followed bills (personal
+// favorites and watchlist entries): a position, a priority, free-form tags and
+// a threaded notes history (favorite_notes). The field rules live in
+// tracking-fields.js.
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL
+});
+
+// Every note on the given favorites, oldest first, with their authors. db is
+// the pool or a transaction client.
+export async function getNotes(favoriteIds, db = pool) {
+  if (favoriteIds.length === 0) return [];
+
+  const result = await db.query(`
+    SELECT n.*, u.email as author_email, u.name as author_name
+    FROM favorite_notes n
+    LEFT JOIN users u ON u.id = n.user_id
+    WHERE n.favorite_id = ANY($1)
+    ORDER BY n.created_at, n.id
+  `, [favoriteIds]);
+  return result.rows;
+}
+
+// One favorite's notes as a thread: top-level notes oldest first, each with
+// its replies
+export async function getNoteThread(favoriteId) {
+  const notes = await getNotes([favoriteId]);
+  const byId = new Map(notes.map(note => [note.id, { ...note, replies: [] }]));
+  const thread = [];
+
+  byId.forEach(note => {
+    const parent = note.parent_id && byId.get(note.parent_id);
+    (parent ? parent.replies : thread).push(note);
+  });
+
+  return thread;
+}
+
+export default {
+  getNotes,
+  getNoteThread
+};
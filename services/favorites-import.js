@@ -0,0 +1,73 @@
+// Favorites Import - Reads a CSV or XLSX list of bills (a client's bill list,
+// or a favorites export) and matches each row to a stored bill. Identifiers
+// are matched loosely (services/bill-identifier.js): "HB 1234", "H.B.1234",
+// "hb1234" and "House Bill 1234" are the same bill; a bare "1234" matches
+// whichever chamber has that number. Parsing and matching rules live in
+// import-parser.js.
+
+import ExcelJS from 'exceljs';
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { parseCSV, parseImportRows, matchRow } from './import-parser.js';
+
+dotenv.config();
+
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL
+});
+
+// Rows of cell text from the first worksheet
+async function readWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, row => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, column) => {
+      cells[column - 1] = cell.text ?? '';
+    });
+    rows.push(Array.from(cells, cell => cell ?? ''));
+  });
+  return rows.filter(cells => cells.some(cell => String(cell).trim() !== ''));
+}
+
+// XLSX files are zip archives ("PK"); anything else is read as CSV text
+export async function readRows(buffer, format) {
+  const isXlsx = format ? format === 'xlsx' : buffer.subarray(0, 2).toString() === 'PK';
+  return isXlsx ? readWorkbook(buffer) : parseCSV(buffer.toString('utf8'));
+}
+
+// Stored bills whose number matches any of the keys, in the session (null for
+// every session), using the stored bill_number, chamber and bill_type
+async function findCandidates(keys, session) {
+  const numbers = [...new Set(keys.map(key => key.number))];
+  if (numbers.length === 0) return [];
+
+  const result = await pool.query(`
+    SELECT id, identifier, session_id, title, bill_number, chamber, bill_type
+    FROM bills
+    WHERE bill_number = ANY($2::int[])
+      AND ($1::text IS NULL OR session_id = $1)
+    ORDER BY identifier, session_id DESC
+  `, [session, numbers]);
+  return result.rows;
+}
+
+// Parse and match an uploaded list. Every data row is reported with a status
+// (see matchRow); matched rows carry the raw position, priority, tags and
+// notes cells for the caller to validate.
+export async function matchImportRows(rows, { session = null } = {}) {
+  const parsed = parseImportRows(rows);
+  const candidates = await findCandidates(parsed.filter(row => row.key).map(row => row.key), session);
+  return parsed.map(row => matchRow(row, candidates));
+}
+
+export default {
+  readRows,
+  matchImportRows
+};
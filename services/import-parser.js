@@ -0,0 +1,136 @@
+// Import Parser - Turns the rows of an uploaded bill list into identifier
+// keys and tracking cells, and picks each row's bill from the stored
+// candidates. favorites-import.js reads the file and loads the candidates.
+
+import { parseIdentifier } from './bill-identifier.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Header names (lowercased, punctuation dropped) for each column we read
+const COLUMN_HEADERS = {
+  identifier: ['bill', 'bill number', 'bill no', 'bill id', 'identifier', 'measure', 'number'],
+  position: ['position', 'stance'],
+  priority: ['priority'],
+  tags: ['tags', 'tag', 'labels'],
+  notes: ['notes', 'note', 'latest note', 'comments', 'comment']
+};
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF. The delimiter
+// (comma, semicolon or tab) is whichever appears most in the first line.
+export function parseCSV(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+const headerName = cell => String(cell).toLowerCase().replace(/[^a-z ]/g, '').replace(/\s+/g, ' ').trim();
+
+// Column index for each field. Without a recognisable header row, the first
+// column holds the identifiers and every row is data.
+export function mapColumns(rows) {
+  const header = (rows[0] || []).map(headerName);
+  const columns = {};
+
+  Object.entries(COLUMN_HEADERS).forEach(([field, names]) => {
+    const index = header.findIndex(name => names.includes(name));
+    if (index >= 0) columns[field] = index;
+  });
+
+  if (columns.identifier === undefined) {
+    return { columns: { identifier: 0 }, dataStart: 0 };
+  }
+  return { columns, dataStart: 1 };
+}
+
+// Data rows with their 1-based row number, the parsed identifier (key, null
+// without a bill number) and the raw position, priority, tags and notes cells
+export function parseImportRows(rows) {
+  const { columns, dataStart } = mapColumns(rows);
+  const cell = (cells, field) => (columns[field] === undefined ? undefined : String(cells[columns[field]] ?? '').trim());
+
+  return rows.slice(dataStart).map((cells, index) => {
+    const input = cell(cells, 'identifier');
+    return {
+      row: index + dataStart + 1,
+      input,
+      key: parseIdentifier(input),
+      position: cell(cells, 'position'),
+      priority: cell(cells, 'priority'),
+      tags: cell(cells, 'tags'),
+      notes: cell(cells, 'notes')
+    };
+  });
+}
+
+// Report one parsed row against the candidate bills (stored bill_number,
+// chamber and bill_type): matched (bill_id set), unmatched, ambiguous
+// (candidates listed) or invalid (no bill number). A bare number matches
+// either chamber.
+export function matchRow({ key, ...row }, candidates) {
+  if (!key) return { ...row, status: 'invalid' };
+
+  const matches = candidates.filter(bill => bill.bill_number === key.number
+    && (!key.prefix || (bill.chamber === key.chamber && (bill.bill_type || null) === key.bill_type)));
+
+  if (matches.length === 1) {
+    return { ...row, status: 'matched', bill_id: matches[0].id, identifier: matches[0].identifier, session: matches[0].session_id };
+  }
+  if (matches.length > 1) {
+    return {
+      ...row,
+      status: 'ambiguous',
+      candidates: matches.map(bill => ({ bill_id: bill.id, identifier: bill.identifier, session: bill.session_id, title: bill.title }))
+    };
+  }
+  return { ...row, status: 'unmatched' };
+}
+
+export default {
+  MAX_IMPORT_ROWS,
+  parseCSV,
+  mapColumns,
+  parseImportRows,
+  matchRow
+};
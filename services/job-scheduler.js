@@ -0,0 +1,162 @@
+// Job Scheduler - Runs background jobs (sync, notifications) inside the server
+// process on fixed intervals, replacing the old crontab entries.
+// Each run is recorded in job_runs; a job never runs twice at the same time.
+
+const jobs = new Map();
+let pool = null;
+
+// Register a job; intervalMinutes of 0 means manual runs only
+export function registerJob(name, handler, { intervalMinutes = 0, description = '' } = {}) {
+  jobs.set(name, {
+    name,
+    handler,
+    description,
+    intervalMinutes,
+    running: false,
+    timer: null,
+    nextRunAt: null
+  });
+}
+
+export function getJob(name) {
+  return jobs.get(name) || null;
+}
+
+export function isJobRunning(name) {
+  return jobs.get(name)?.running || false;
+}
+
+export function listJobs() {
+  return Array.from(jobs.values()).map(job => ({
+    name: job.name,
+    description: job.description,
+    interval_minutes: job.intervalMinutes,
+    running: job.running,
+    next_run_at: job.nextRunAt
+  }));
+}
+
+async function recordRunStart(name, trigger) {
+  const result = await pool.query(`
+    INSERT INTO job_runs (job_name, trigger, status)
+    VALUES ($1, $2, 'running')
+    RETURNING id, started_at
+  `, [name, trigger]);
+  return result.rows[0];
+}
+
+async function recordRunEnd(runId, status, durationMs, result, errorMessage) {
+  await pool.query(`
+    UPDATE job_runs
+    SET status = $2,
+        finished_at = NOW(),
+        duration_ms = $3,
+        result = $4,
+        error_message = $5
+    WHERE id = $1
+  `, [runId, status, durationMs, result ? JSON.stringify(result) : null, errorMessage]);
+}
+
+async function recordSkipped(name, trigger, reason) {
+  await pool.query(`
+    INSERT INTO job_runs (job_name, trigger, status, finished_at, duration_ms, error_message)
+    VALUES ($1, $2, 'skipped', NOW(), 0, $3)
+  `, [name, trigger, reason]);
+}
+
+// Run a job now. Resolves with the run outcome; never rejects for handler errors.
+export async function runJob(name, trigger = 'manual') {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  // Checked and set before the first await so concurrent callers can't both start
+  if (job.running) {
+    console.log(`⏭️  Skipping ${name}: previous run still in progress`);
+    await recordSkipped(name, trigger, 'Previous run still in progress');
+    return { status: 'skipped' };
+  }
+  job.running = true;
+
+  // Advisory lock guards against a second server instance running the same job
+  const lockKey = `job:${name}`;
+  let client;
+
+  try {
+    client = await pool.connect();
+    const lock = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) as locked', [lockKey]);
+    if (!lock.rows[0].locked) {
+      console.log(`⏭️  Skipping ${name}: running in another process`);
+      await recordSkipped(name, trigger, 'Running in another process');
+      return { status: 'skipped' };
+    }
+
+    const run = await recordRunStart(name, trigger);
+    const startTime = Date.now();
+    console.log(`▶️  Job ${name} started (${trigger})`);
+
+    try {
+      const result = await job.handler();
+      const duration = Date.now() - startTime;
+      await recordRunEnd(run.id, 'success', duration, result, null);
+      console.log(`✅ Job ${name} finished in ${(duration / 1000).toFixed(2)}s`);
+      return { status: 'success', run_id: run.id, duration_ms: duration, result };
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      await recordRunEnd(run.id, 'error', duration, null, error.message);
+      console.error(`❌ Job ${name} failed:`, error.message);
+      return { status: 'error', run_id: run.id, duration_ms: duration, error: error.message };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock(hashtext($1))', [lockKey]);
+    }
+  } finally {
+    client?.release();
+    job.running = false;
+  }
+}
+
+function scheduleNext(job) {
+  if (!job.intervalMinutes) return;
+
+  const delay = job.intervalMinutes * 60 * 1000;
+  job.nextRunAt = new Date(Date.now() + delay);
+  job.timer = setTimeout(async () => {
+    try {
+      await runJob(job.name, 'schedule');
+    } catch (error) {
+      console.error(`❌ Error running scheduled job ${job.name}:`, error.message);
+    }
+    scheduleNext(job);
+  }, delay);
+}
+
+// Start interval timers for every registered job
+export function startScheduler(dbPool) {
+  pool = dbPool;
+
+  jobs.forEach(job => {
+    if (job.intervalMinutes) {
+      console.log(`⏰ Scheduled ${job.name} every ${job.intervalMinutes} minutes`);
+    }
+    scheduleNext(job);
+  });
+}
+
+export function stopScheduler() {
+  jobs.forEach(job => {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRunAt = null;
+  });
+}
+
+export default {
+  registerJob,
+  getJob,
+  isJobRunning,
+  listJobs,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,333 @@
+// Notification Channels - Delivers a rendered notification to a subscription
+// over its channel: email (nodemailer), a signed JSON webhook, or a Slack-style
+// incoming webhook. Failed deliveries are retried; every attempt is recorded
+// in notification_deliveries. Webhook targets must be public https URLs
+// unless WEBHOOK_ALLOW_LOCAL=true (development and tests, see
+// test/webhook-receiver.js), which also allows http:// and loopback targets.
+
+import nodemailer from 'nodemailer';
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import http from 'http';
+import https from 'https';
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL
+});
+
+// Create email transporter
+const transporter = nodemailer.createTransport({
+  host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+  port: process.env.EMAIL_PORT || 587,
+  secure: false,
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  }
+});
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '3');
+const RETRY_DELAY_MS = parseInt(process.env.NOTIFICATION_RETRY_DELAY_MS || '2000');
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+export const SIGNATURE_HEADER = 'X-BillTracker-Signature';
+export const TIMESTAMP_HEADER = 'X-BillTracker-Timestamp';
+export const EVENT_HEADER = 'X-BillTracker-Event';
+
+// Thrown by a channel when retrying cannot help (e.g. the receiver rejected the payload)
+class PermanentDeliveryError extends Error {
+  constructor(message, responseStatus) {
+    super(message);
+    this.name = 'PermanentDeliveryError';
+    this.responseStatus = responseStatus;
+  }
+}
+
+// Loopback, private, link-local, shared (CGNAT), multicast and reserved
+// ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const NON_PUBLIC_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+const LOOPBACK_RANGES = new net.BlockList();
+LOOPBACK_RANGES.addSubnet('127.0.0.0', 8, 'ipv4');
+LOOPBACK_RANGES.addAddress('::1', 'ipv6');
+
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !NON_PUBLIC_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Off unless WEBHOOK_ALLOW_LOCAL=true; read on every check so tests can flip it
+const allowLocalTargets = () => process.env.WEBHOOK_ALLOW_LOCAL === 'true';
+
+function isAllowedAddress(address) {
+  if (isPublicAddress(address)) return true;
+  const family = net.isIP(address);
+  return allowLocalTargets() && family > 0 && LOOPBACK_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+const isAllowedProtocol = url => url.protocol === 'https:' || (allowLocalTargets() && url.protocol === 'http:');
+
+const hostOf = url => url.hostname.replace(/^\[|\]$/g, '');
+
+// Check a webhook or Slack target before saving it: https only, and every
+// address the host resolves to must be public (or loopback with
+// WEBHOOK_ALLOW_LOCAL). Resolves { url } or { error }.
+export async function checkTargetUrl(targetUrl) {
+  let url = null;
+  try {
+    url = new URL(targetUrl);
+  } catch {
+    // handled below
+  }
+  if (!url || !isAllowedProtocol(url)) {
+    return { error: 'targetUrl must be an https URL for webhook and slack channels' };
+  }
+
+  const host = hostOf(url);
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch {
+    return { error: `targetUrl host ${host} could not be resolved` };
+  }
+  if (addresses.length === 0 || !addresses.every(({ address }) => isAllowedAddress(address))) {
+    return { error: 'targetUrl must point to a public address' };
+  }
+
+  return { url: url.toString() };
+}
+
+// dns.lookup that refuses non-public addresses. The webhook agents connect
+// through it, so a host cannot pass checkTargetUrl and then resolve to an
+// internal address at delivery time.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || !addresses.every(({ address }) => isAllowedAddress(address))) {
+      const blocked = new Error(`${hostname} resolves to a non-public address`);
+      blocked.code = 'ENONPUBLIC';
+      return callback(blocked);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgent = new https.Agent({ lookup: publicLookup });
+const localWebhookAgent = new http.Agent({ lookup: publicLookup });
+
+// Send email function
+export async function sendEmail(to, subject, html) {
+  try {
+    await transporter.sendMail({
+      from: process.env.EMAIL_FROM || 'Oklahoma Bill Tracker <noreply@example.com>',
+      to,
+      subject,
+      html
+    });
+    console.log(`✅ Email sent to ${to}`);
+    return { success: true };
+  } catch (error) {
+    console.error(`❌ Error sending email:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", hex encoded with a sha256= prefix
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+// For receivers: constant-time check of a signature header
+export function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(signature || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// POST JSON and turn the response into success / retryable / permanent failure.
+// Redirects are not followed (a 3xx is a permanent failure).
+async function postJSON(url, body, headers = {}) {
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    throw new PermanentDeliveryError(`Invalid target URL: ${url}`);
+  }
+  // Literal IPs skip the agent's lookup, so check them here
+  if (!isAllowedProtocol(target) || (net.isIP(hostOf(target)) && !isAllowedAddress(hostOf(target)))) {
+    throw new PermanentDeliveryError('Target must be a public https URL');
+  }
+
+  let response;
+  try {
+    response = await axios.post(target.toString(), body, {
+      headers: { 'Content-Type': 'application/json', ...headers },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      httpsAgent: webhookAgent,
+      httpAgent: localWebhookAgent,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      // Send the exact bytes that were signed
+      transformRequest: [data => data]
+    });
+  } catch (error) {
+    if (error.code === 'ENONPUBLIC' || error.cause?.code === 'ENONPUBLIC') {
+      throw new PermanentDeliveryError(error.message);
+    }
+    // Network errors and timeouts are worth retrying
+    error.responseStatus = null;
+    throw error;
+  }
+
+  if (response.status >= 200 && response.status < 300) {
+    return { responseStatus: response.status };
+  }
+
+  const message = `Receiver responded with HTTP ${response.status}`;
+  if (response.status === 429 || response.status >= 500) {
+    const error = new Error(message);
+    error.responseStatus = response.status;
+    throw error;
+  }
+  throw new PermanentDeliveryError(message, response.status);
+}
+
+// Each channel sends one attempt and throws on failure
+const channels = {
+  email: async (subscription, notification) => {
+    const result = await sendEmail(subscription.email, notification.subject, notification.html);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return { responseStatus: null };
+  },
+
+  webhook: async (subscription, notification) => {
+    if (!subscription.webhook_secret) {
+      throw new PermanentDeliveryError('Webhook subscription has no signing secret');
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const body = JSON.stringify({
+      event: notification.event,
+      subscription_id: subscription.id,
+      sent_at: new Date().toISOString(),
+      subject: notification.subject,
+      data: notification.data
+    });
+
+    return await postJSON(subscription.target_url, body, {
+      [SIGNATURE_HEADER]: signPayload(subscription.webhook_secret, timestamp, body),
+      [TIMESTAMP_HEADER]: timestamp,
+      [EVENT_HEADER]: notification.event
+    });
+  },
+
+  slack: async (subscription, notification) => {
+    const body = JSON.stringify({
+      text: notification.subject,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: notification.subject.slice(0, 150) } },
+        { type: 'section', text: { type: 'mrkdwn', text: notification.text } }
+      ]
+    });
+
+    return await postJSON(subscription.target_url, body);
+  }
+};
+
+export const CHANNEL_TYPES = Object.keys(channels);
+
+async function recordAttempt(db, subscription, notification, attempt, status, responseStatus, errorMessage) {
+  try {
+    await db.query(`
+      INSERT INTO notification_deliveries (
+        subscription_id, channel, event, target, attempt, status, response_status, error_message
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [
+      subscription.id || null,
+      subscription.channel || 'email',
+      notification.event,
+      subscription.target_url || subscription.email,
+      attempt,
+      status,
+      responseStatus,
+      errorMessage
+    ]);
+  } catch (error) {
+    // A bookkeeping failure must not turn a delivered notification into a failed one
+    console.error('❌ Error recording delivery attempt:', error.message);
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Deliver over the subscription's channel, retrying with exponential backoff.
+// notification: { event, subject, html, text, data }
+// Attempts are recorded through db (the pool unless given).
+// Resolves { success, attempts, error } and never rejects, like sendEmail.
+export async function deliver(subscription, notification, { db = pool } = {}) {
+  const channelType = subscription.channel || 'email';
+  const channel = channels[channelType];
+
+  if (!channel) {
+    const error = `Unknown notification channel: ${channelType}`;
+    await recordAttempt(db, subscription, notification, 1, 'failed', null, error);
+    return { success: false, attempts: 1, error };
+  }
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      const { responseStatus } = await channel(subscription, notification);
+      await recordAttempt(db, subscription, notification, attempt, 'delivered', responseStatus, null);
+      return { success: true, attempts: attempt };
+    } catch (error) {
+      const permanent = error instanceof PermanentDeliveryError;
+      const willRetry = !permanent && attempt < MAX_ATTEMPTS;
+
+      await recordAttempt(
+        db,
+        subscription,
+        notification,
+        attempt,
+        willRetry ? 'retrying' : 'failed',
+        error.responseStatus ?? null,
+        error.message
+      );
+      console.error(`  ❌ ${channelType} delivery attempt ${attempt} failed:`, error.message);
+
+      if (!willRetry) {
+        return { success: false, attempts: attempt, error: error.message };
+      }
+      await sleep(RETRY_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+}
+
+export default {
+  CHANNEL_TYPES,
+  sendEmail,
+  signPayload,
+  verifySignature,
+  isPublicAddress,
+  checkTargetUrl,
+  deliver
+};
@@ -1,11 +1,14 @@
 #!/usr/bin/env node
 
-// Notification Checker - Runs hourly to check for bill changes and send emails
-// Add to crontab: 0 * * * * /usr/bin/node /path/to/notification-checker.js
+// Notification Checker - Checks for bill changes and sends emails
+// Scheduled in-process by services/job-scheduler.js; can still be run by hand:
+//   node services/notification-checker.js
 
 import pg from 'pg';
 import dotenv from 'dotenv';
-import { sendBillStatusChangeEmail } from './email-service.js';
+import { fileURLToPath } from 'url';
+import { sendBillStatusChangeEmail, sendDigestEmail, sendSearchAlertEmail, sendSponsorAlertEmail } from './email-service.js';
+import { buildSearchFilters } from './bill-search.js';
 
 dotenv.config();
 
@@ -14,18 +17,27 @@ const pool = new Pool({
   connectionString: process.env.DATABASE_URL
 });
 
-async function checkNotifications() {
+// Bills listed in one search alert; the alert counts the rest
+const MAX_ALERT_BILLS = 50;
+
+export async function checkNotifications() {
   console.log(`\n[${new Date().toISOString()}] 🔔 Checking for bill changes...`);
   
   try {
-    // Get all active, verified subscriptions
+    // Get all active, verified subscriptions for addresses that want immediate
+    // emails (daily/weekly subscribers are handled by sendDigests). Webhook and
+    // Slack subscriptions always deliver immediately.
     const subscriptionsResult = await pool.query(`
       SELECT 
         es.id as subscription_id,
         es.email,
         es.notification_type,
+        es.created_at,
         es.last_notification_at,
         es.verification_token,
+        es.channel,
+        es.target_url,
+        es.webhook_secret,
         b.id as bill_id,
         b.identifier,
         b.title,
@@ -34,9 +46,14 @@ async function checkNotifications() {
         b.latest_action_description
       FROM email_subscriptions es
       JOIN bills b ON es.bill_id = b.id
+      LEFT JOIN user_preferences up ON up.email = es.email
       WHERE es.is_active = TRUE 
         AND es.verified_at IS NOT NULL
         AND es.notification_type IN ('status_change', 'all_updates')
+        AND (
+          COALESCE(es.channel, 'email') <> 'email'
+          OR COALESCE(up.notification_frequency, 'immediate') = 'immediate'
+        )
     `);
     
     const subscriptions = subscriptionsResult.rows;
@@ -44,8 +61,7 @@ async function checkNotifications() {
     
     if (subscriptions.length === 0) {
       console.log('  No subscriptions to process');
-      await pool.end();
-      return;
+      return { subscriptions: 0, notifications_sent: 0 };
     }
     
     let notificationsSent = 0;
@@ -55,12 +71,13 @@ async function checkNotifications() {
         // Get bill history changes since last notification
         const lastCheck = subscription.last_notification_at || subscription.created_at;
         
+        // Every transition since then, oldest first, so a bill that moved
+        // committee → floor → passed between runs reports each step
         const historyResult = await pool.query(`
           SELECT * FROM bill_history 
           WHERE bill_id = $1 
             AND changed_at > $2
-          ORDER BY changed_at DESC
-          LIMIT 1
+          ORDER BY changed_at ASC, id ASC
         `, [subscription.bill_id, lastCheck]);
         
         if (historyResult.rows.length === 0) {
@@ -68,38 +85,52 @@ async function checkNotifications() {
           continue;
         }
         
-        const change = historyResult.rows[0];
+        const changes = historyResult.rows;
+        const latestChange = changes[changes.length - 1];
+        
+        // Actions synced in the same window explain the transitions
+        const actionsResult = await pool.query(`
+          SELECT date, description, classification, chamber
+          FROM bill_actions
+          WHERE bill_id = $1
+            AND created_at > $2
+          ORDER BY date ASC, order_index ASC
+        `, [subscription.bill_id, lastCheck]);
         
         // Prepare bill data for email
         const bill = {
           identifier: subscription.identifier,
           title: subscription.title,
-          stage: change.stage,
+          stage: latestChange.stage,
           latest_action_date: subscription.latest_action_date,
           latest_action_description: subscription.latest_action_description
         };
         
         // Send notification
-        console.log(`  Sending notification for ${bill.identifier} to ${subscription.email}`);
+        console.log(`  Sending notification for ${bill.identifier} (${changes.length} changes) to ${subscription.email}`);
         
         const result = await sendBillStatusChangeEmail(
           bill,
-          change.previous_stage,
-          change.stage,
+          changes,
+          actionsResult.rows,
           {
             id: subscription.subscription_id,
             email: subscription.email,
-            verification_token: subscription.verification_token
+            verification_token: subscription.verification_token,
+            channel: subscription.channel,
+            target_url: subscription.target_url,
+            webhook_secret: subscription.webhook_secret
           }
         );
         
         if (result.success) {
-          // Update last notification time
+          // Advance to the last change we reported so anything recorded
+          // while sending is picked up on the next run
           await pool.query(`
             UPDATE email_subscriptions 
-            SET last_notification_at = NOW() 
+            SET last_notification_at = $2 
             WHERE id = $1
-          `, [subscription.subscription_id]);
+          `, [subscription.subscription_id, latestChange.changed_at]);
           
           notificationsSent++;
           console.log(`  ✅ Sent notification to ${subscription.email}`);
@@ -113,13 +144,338 @@ async function checkNotifications() {
     }
     
     console.log(`\n✅ Notification check complete. Sent ${notificationsSent} notifications.`);
+    return { subscriptions: subscriptions.length, notifications_sent: notificationsSent };
     
   } catch (error) {
     console.error('❌ Error in notification checker:', error);
-  } finally {
-    await pool.end();
+    throw error;
   }
 }
 
-// Run the checker
-checkNotifications();
+// Match saved-search subscriptions against bills introduced or changed since
+// each subscription was last notified (run after every sync)
+export async function checkSearchAlerts() {
+  console.log(`\n[${new Date().toISOString()}] 🔎 Checking saved search alerts...`);
+  
+  try {
+    // Alerts that go out are checked up to here, so bills changing while
+    // this runs are picked up next time
+    const checkedAt = (await pool.query('SELECT NOW() as now')).rows[0].now;
+    
+    const subscriptionsResult = await pool.query(`
+      SELECT id, email, label, search_criteria, verification_token,
+             channel, target_url, webhook_secret,
+             COALESCE(last_notification_at, verified_at) as last_check
+      FROM email_subscriptions
+      WHERE subscription_type = 'search'
+        AND is_active = TRUE
+        AND verified_at IS NOT NULL
+    `);
+    
+    const subscriptions = subscriptionsResult.rows;
+    console.log(`  Found ${subscriptions.length} active search alerts`);
+    
+    let alertsSent = 0;
+    
+    for (const subscription of subscriptions) {
+      try {
+        const filters = buildSearchFilters(subscription.search_criteria || {}, 2);
+        
+        const matchesResult = await pool.query(`
+          SELECT 
+            b.id,
+            b.identifier,
+            b.title,
+            b.stage,
+            b.latest_action_date,
+            b.latest_action_description,
+            b.created_at > $1 as is_new,
+            COUNT(*) OVER () as total_matches
+          FROM bills b
+          WHERE b.last_changed_at > $1 ${filters.sql}
+          ORDER BY b.created_at > $1 DESC, b.latest_action_date DESC
+          LIMIT ${MAX_ALERT_BILLS}
+        `, [subscription.last_check, ...filters.params]);
+        
+        if (matchesResult.rows.length === 0) continue;
+        
+        const total = parseInt(matchesResult.rows[0].total_matches);
+        const bills = matchesResult.rows.map(({ total_matches, ...bill }) => bill);
+        
+        console.log(`  Sending ${total} matches for "${subscription.label}" to ${subscription.email}`);
+        
+        const result = await sendSearchAlertEmail(subscription, bills, total);
+        
+        if (result.success) {
+          await pool.query(`
+            UPDATE email_subscriptions 
+            SET last_notification_at = $2 
+            WHERE id = $1
+          `, [subscription.id, checkedAt]);
+          
+          alertsSent++;
+        } else {
+          console.error(`  ❌ Failed to send search alert to ${subscription.email}:`, result.error);
+        }
+      } catch (error) {
+        console.error(`  ❌ Error processing search alert ${subscription.id}:`, error.message);
+      }
+    }
+    
+    console.log(`\n✅ Search alert check complete. Sent ${alertsSent} alerts.`);
+    return { subscriptions: subscriptions.length, alerts_sent: alertsSent };
+  } catch (error) {
+    console.error('❌ Error checking search alerts:', error);
+    throw error;
+  }
+}
+
+// Email followers of a legislator about bills they newly sponsored and stage
+// changes on bills they already sponsor since the last alert
+export async function checkSponsorAlerts() {
+  console.log(`\n[${new Date().toISOString()}] 👤 Checking sponsor alerts...`);
+  
+  try {
+    const subscriptionsResult = await pool.query(`
+      SELECT 
+        es.id,
+        es.email,
+        es.verification_token,
+        es.channel,
+        es.target_url,
+        es.webhook_secret,
+        COALESCE(es.last_notification_at, es.verified_at) as last_check,
+        l.id as legislator_id,
+        l.name as legislator_name,
+        l.party,
+        l.chamber,
+        l.district
+      FROM email_subscriptions es
+      JOIN legislators l ON es.legislator_id = l.id
+      WHERE es.subscription_type = 'legislator'
+        AND es.is_active = TRUE
+        AND es.verified_at IS NOT NULL
+    `);
+    
+    const subscriptions = subscriptionsResult.rows;
+    console.log(`  Found ${subscriptions.length} active sponsor alerts`);
+    
+    let alertsSent = 0;
+    
+    for (const subscription of subscriptions) {
+      try {
+        // Sponsorships linked since the last alert
+        const newBillsResult = await pool.query(`
+          SELECT 
+            b.id,
+            b.identifier,
+            b.title,
+            b.stage,
+            b.latest_action_date,
+            b.latest_action_description,
+            BOOL_OR(s.primary_sponsor) as primary_sponsor
+          FROM sponsorships s
+          JOIN bills b ON s.bill_id = b.id
+          WHERE s.legislator_id = $1
+            AND s.created_at > $2
+          GROUP BY b.id
+          ORDER BY b.latest_action_date DESC
+        `, [subscription.legislator_id, subscription.last_check]);
+        
+        // Stage changes on their other bills, oldest first
+        const newBillIds = newBillsResult.rows.map(bill => bill.id);
+        const changesResult = await pool.query(`
+          SELECT DISTINCT ON (bh.id)
+            b.id as bill_id,
+            b.identifier,
+            b.title,
+            b.latest_action_description,
+            s.primary_sponsor,
+            bh.stage,
+            bh.previous_stage,
+            bh.changed_at
+          FROM sponsorships s
+          JOIN bills b ON s.bill_id = b.id
+          JOIN bill_history bh ON bh.bill_id = b.id
+          WHERE s.legislator_id = $1
+            AND bh.changed_at > $2
+            AND NOT (b.id = ANY($3))
+          ORDER BY bh.id, s.primary_sponsor DESC
+        `, [subscription.legislator_id, subscription.last_check, newBillIds]);
+        
+        const changedById = new Map();
+        changesResult.rows
+          .sort((a, b) => a.changed_at - b.changed_at)
+          .forEach(row => {
+            if (!changedById.has(row.bill_id)) {
+              changedById.set(row.bill_id, {
+                identifier: row.identifier,
+                title: row.title,
+                latest_action_description: row.latest_action_description,
+                primary_sponsor: row.primary_sponsor,
+                changes: []
+              });
+            }
+            changedById.get(row.bill_id).changes.push({
+              previous_stage: row.previous_stage,
+              stage: row.stage,
+              changed_at: row.changed_at
+            });
+          });
+        
+        const newBills = newBillsResult.rows;
+        const changedBills = Array.from(changedById.values());
+        
+        if (newBills.length === 0 && changedBills.length === 0) continue;
+        
+        console.log(`  Sending sponsor alert for ${subscription.legislator_name} (${newBills.length} new, ${changedBills.length} changed) to ${subscription.email}`);
+        
+        const result = await sendSponsorAlertEmail(subscription, newBills, changedBills);
+        
+        if (result.success) {
+          await pool.query(`
+            UPDATE email_subscriptions 
+            SET last_notification_at = NOW() 
+            WHERE id = $1
+          `, [subscription.id]);
+          
+          alertsSent++;
+        } else {
+          console.error(`  ❌ Failed to send sponsor alert to ${subscription.email}:`, result.error);
+        }
+      } catch (error) {
+        console.error(`  ❌ Error processing sponsor alert ${subscription.id}:`, error.message);
+      }
+    }
+    
+    console.log(`\n✅ Sponsor alert check complete. Sent ${alertsSent} alerts.`);
+    return { subscriptions: subscriptions.length, alerts_sent: alertsSent };
+  } catch (error) {
+    console.error('❌ Error checking sponsor alerts:', error);
+    throw error;
+  }
+}
+
+// Send one digest email per address whose daily/weekly digest is due,
+// covering every stage change on their followed bills since the last one
+export async function sendDigests() {
+  console.log(`\n[${new Date().toISOString()}] 📬 Checking for due digests...`);
+  
+  try {
+    // Allow an hour of slack so an hourly job doesn't push each digest later
+    const dueResult = await pool.query(`
+      SELECT email, notification_frequency, last_digest_at
+      FROM user_preferences
+      WHERE notification_frequency IN ('daily', 'weekly')
+        AND (
+          last_digest_at IS NULL
+          OR last_digest_at <= NOW() - CASE notification_frequency
+            WHEN 'daily' THEN INTERVAL '23 hours'
+            ELSE INTERVAL '6 days 23 hours'
+          END
+        )
+    `);
+    
+    const due = dueResult.rows;
+    console.log(`  Found ${due.length} digests due`);
+    
+    let digestsSent = 0;
+    
+    for (const preference of due) {
+      try {
+        const changesResult = await pool.query(`
+          SELECT DISTINCT ON (bh.id)
+            es.id as subscription_id,
+            es.verification_token,
+            b.id as bill_id,
+            b.identifier,
+            b.title,
+            b.latest_action_date,
+            b.latest_action_description,
+            bh.id as history_id,
+            bh.stage,
+            bh.previous_stage,
+            bh.changed_at
+          FROM email_subscriptions es
+          JOIN bills b ON es.bill_id = b.id
+          JOIN bill_history bh ON bh.bill_id = b.id
+          WHERE es.email = $1
+            AND es.is_active = TRUE
+            AND es.verified_at IS NOT NULL
+            AND es.notification_type IN ('status_change', 'all_updates')
+            AND COALESCE(es.channel, 'email') = 'email'
+            AND bh.changed_at > GREATEST(es.last_notification_at, es.verified_at, $2)
+          ORDER BY bh.id
+        `, [preference.email, preference.last_digest_at]);
+        
+        // Group changes by bill, oldest change first
+        const billsById = new Map();
+        changesResult.rows
+          .sort((a, b) => a.changed_at - b.changed_at)
+          .forEach(row => {
+            if (!billsById.has(row.bill_id)) {
+              billsById.set(row.bill_id, {
+                identifier: row.identifier,
+                title: row.title,
+                latest_action_date: row.latest_action_date,
+                latest_action_description: row.latest_action_description,
+                subscription_id: row.subscription_id,
+                verification_token: row.verification_token,
+                changes: []
+              });
+            }
+            billsById.get(row.bill_id).changes.push({
+              previous_stage: row.previous_stage,
+              stage: row.stage,
+              changed_at: row.changed_at
+            });
+          });
+        
+        const bills = Array.from(billsById.values());
+        
+        if (bills.length > 0) {
+          console.log(`  Sending ${preference.notification_frequency} digest (${bills.length} bills) to ${preference.email}`);
+          
+          const result = await sendDigestEmail(preference.email, preference.notification_frequency, bills);
+          
+          if (!result.success) {
+            console.error(`  ❌ Failed to send digest to ${preference.email}:`, result.error);
+            continue;
+          }
+          
+          await pool.query(`
+            UPDATE email_subscriptions 
+            SET last_notification_at = NOW() 
+            WHERE id = ANY($1)
+          `, [bills.map(bill => bill.subscription_id)]);
+          
+          digestsSent++;
+        }
+        
+        // Advance the window even when nothing changed so digests keep their cadence
+        await pool.query(
+          'UPDATE user_preferences SET last_digest_at = NOW() WHERE email = $1',
+          [preference.email]
+        );
+      } catch (error) {
+        console.error(`  ❌ Error building digest for ${preference.email}:`, error.message);
+      }
+    }
+    
+    console.log(`\n✅ Digest check complete. Sent ${digestsSent} digests.`);
+    return { due: due.length, digests_sent: digestsSent };
+  } catch (error) {
+    console.error('❌ Error sending digests:', error);
+    throw error;
+  }
+}
+
+// Run the checker when executed directly (the server schedules it instead)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  checkNotifications()
+    .then(() => sendDigests())
+    .catch(() => { process.exitCode = 1; })
+    .finally(() => pool.end());
+}
+
+export default checkNotifications;
@@ -0,0 +1,124 @@
+// Scorecard Service - Grades legislators on a hand-picked set of bills, each
+// with a preferred vote position, from their recorded roll-call votes.
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL
+});
+
+export const POSITIONS = ['yes', 'no'];
+
+// Each legislator's vote on each scorecard bill: the pinned roll call when the
+// scorecard names one, otherwise their latest floor passage vote on the bill
+// (a conference report vote supersedes third reading)
+const COUNTED_VOTES_SQL = `
+  SELECT DISTINCT ON (sb.bill_id, COALESCE(lv.legislator_id::text, lv.voter_name))
+    sb.bill_id,
+    sb.preferred_position,
+    v.id as vote_id,
+    v.date as vote_date,
+    lv.legislator_id,
+    lv.voter_name,
+    lower(lv.option) as option
+  FROM scorecard_bills sb
+  JOIN votes v ON v.bill_id = sb.bill_id
+    AND (
+      v.id = sb.vote_id
+      OR (sb.vote_id IS NULL AND (v.motion_classification = 'passage' OR v.motion_text ILIKE '%third reading%'))
+    )
+  JOIN legislator_votes lv ON lv.vote_id = v.id
+  WHERE sb.scorecard_id = $1
+  ORDER BY sb.bill_id, COALESCE(lv.legislator_id::text, lv.voter_name), v.date DESC NULLS LAST, v.id DESC
+`;
+
+// Returns the scorecard with its bills and one row per legislator who voted
+// on any of them, or null when it does not exist. agreement_pct covers yes/no
+// votes only; absent, excused, abstaining and other votes count as absences.
+export async function getScorecard(id) {
+  if (!/^\d+$/.test(String(id))) return null;
+
+  const scorecardResult = await pool.query('SELECT * FROM scorecards WHERE id = $1', [id]);
+  if (scorecardResult.rows.length === 0) return null;
+
+  const billsResult = await pool.query(`
+    SELECT
+      sb.bill_id,
+      b.identifier,
+      b.session_id,
+      b.title,
+      b.stage,
+      sb.preferred_position,
+      sb.vote_id,
+      sb.notes
+    FROM scorecard_bills sb
+    JOIN bills b ON b.id = sb.bill_id
+    WHERE sb.scorecard_id = $1
+    ORDER BY b.identifier
+  `, [id]);
+
+  const votesResult = await pool.query(`
+    SELECT cv.*, l.name, l.party, l.chamber, l.district
+    FROM (${COUNTED_VOTES_SQL}) cv
+    LEFT JOIN legislators l ON l.id = cv.legislator_id
+  `, [id]);
+
+  const legislators = new Map();
+
+  votesResult.rows.forEach(row => {
+    const key = row.legislator_id ? `id:${row.legislator_id}` : `name:${row.voter_name}`;
+    if (!legislators.has(key)) {
+      legislators.set(key, {
+        legislator_id: row.legislator_id,
+        name: row.name || row.voter_name,
+        party: row.party || null,
+        chamber: row.chamber || null,
+        district: row.district || null,
+        votes_cast: 0,
+        agreed: 0,
+        disagreed: 0,
+        absences: 0,
+        agreement_pct: null,
+        votes: {}
+      });
+    }
+
+    const legislator = legislators.get(key);
+    legislator.votes[row.bill_id] = row.option;
+
+    if (POSITIONS.includes(row.option)) {
+      legislator.votes_cast++;
+      if (row.option === row.preferred_position) {
+        legislator.agreed++;
+      } else {
+        legislator.disagreed++;
+      }
+    } else {
+      legislator.absences++;
+    }
+  });
+
+  const rows = [...legislators.values()].map(legislator => ({
+    ...legislator,
+    agreement_pct: legislator.votes_cast > 0
+      ? Math.round((legislator.agreed / legislator.votes_cast) * 1000) / 10
+      : null
+  }));
+
+  rows.sort((a, b) => (b.agreement_pct ?? -1) - (a.agreement_pct ?? -1) || (a.name || '').localeCompare(b.name || ''));
+
+  return {
+    ...scorecardResult.rows[0],
+    bills: billsResult.rows,
+    legislators: rows
+  };
+}
+
+export default {
+  POSITIONS,
+  getScorecard
+};
@@ -0,0 +1,326 @@
+// Stage Classifier - Maps a bill's actions to a pipeline stage using a
+// declarative rule table (config/stage-rules.json), and places the bill on its
+// path through the two chambers. Shared by the sync, the reclassify job and
+// the Open States proxy servers.
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { parseIdentifier } from './bill-identifier.js';
+
+dotenv.config();
+
+export const DEFAULT_STAGE = 'introduced';
+
+// Phases of the path through the Legislature, in order. Bills in the origin
+// and second chamber phases also carry a stage within that chamber.
+export const PIPELINE_PHASES = ['origin_chamber', 'second_chamber', 'conference', 'governor', 'final'];
+export const CHAMBER_STAGES = ['introduced', 'committee', 'committee_approved', 'floor_calendar'];
+const FINAL_STAGES = ['signed', 'vetoed', 'became_law'];
+
+// Stages a rule can assign ('dead' comes from the deadline job)
+const RULE_STAGES = [...CHAMBER_STAGES, 'passed_chamber', 'enrolled', ...FINAL_STAGES];
+const RULE_FIELDS = ['id', 'stage', 'priority', 'classifications', 'descriptions', 'minCount', 'chambers'];
+
+// The rule that puts a bill on the governor's desk rather than enrolling it
+const GOVERNOR_RULE = 'sent-to-governor';
+
+// Checks a rule table read from JSON and compiles its description patterns.
+// Throws on the first invalid rule, naming it.
+export function compileStageRules(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw new Error('Stage rules must be a non-empty array');
+  }
+
+  const ids = new Set();
+  const priorities = new Set();
+  const isStringList = value => value === undefined || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+  return rules.map((rule, index) => {
+    const name = `Stage rule ${rule?.id || `#${index + 1}`}`;
+    const fail = message => { throw new Error(`${name}: ${message}`); };
+
+    if (!rule || typeof rule !== 'object') fail('must be an object');
+    const unknown = Object.keys(rule).filter(key => !RULE_FIELDS.includes(key));
+    if (unknown.length > 0) fail(`unknown field ${unknown.join(', ')}`);
+    if (typeof rule.id !== 'string' || !rule.id) fail('id is required');
+    if (ids.has(rule.id)) fail('id is used twice');
+    if (!RULE_STAGES.includes(rule.stage)) fail(`stage must be one of: ${RULE_STAGES.join(', ')}`);
+    if (!Number.isFinite(rule.priority)) fail('priority must be a number');
+    if (priorities.has(rule.priority)) fail(`priority ${rule.priority} is used twice`);
+    if (!isStringList(rule.classifications)) fail('classifications must be a list of strings');
+    if (!isStringList(rule.descriptions)) fail('descriptions must be a list of strings');
+    if (!rule.classifications?.length && !rule.descriptions?.length) fail('needs classifications or descriptions');
+    if (rule.minCount !== undefined && !(Number.isInteger(rule.minCount) && rule.minCount > 0)) fail('minCount must be a positive integer');
+    if (rule.chambers !== undefined && ![1, 2].includes(rule.chambers)) fail('chambers must be 1 or 2');
+
+    ids.add(rule.id);
+    priorities.add(rule.priority);
+
+    return {
+      ...rule,
+      descriptions: (rule.descriptions || []).map(pattern => {
+        try {
+          return new RegExp(pattern, 'i');
+        } catch (error) {
+          return fail(`invalid description pattern: ${error.message}`);
+        }
+      })
+    };
+  });
+}
+
+export function loadStageRules(file) {
+  let rules;
+  try {
+    rules = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read stage rules from ${file}: ${error.message}`);
+  }
+  return compileStageRules(rules);
+}
+
+// The rule table, from config/stage-rules.json unless STAGE_RULES_FILE names
+// another file. It is loaded and checked with this module, so an invalid file
+// stops the server, sync or job at startup.
+//
+// Rules are checked from highest to lowest priority; the first rule with
+// enough matching actions decides the stage. An action matches a rule when it
+// carries one of the rule's Open States classifications or its description
+// matches one of the rule's patterns (case-insensitive regular expressions).
+// minCount (default 1) is the number of matching actions required; chambers
+// is the number of distinct chambers those actions must come from.
+export const STAGE_RULES = loadStageRules(
+  process.env.STAGE_RULES_FILE || fileURLToPath(new URL('../config/stage-rules.json', import.meta.url))
+);
+
+// Conference committees and amendments sent back for concurrence
+const CONFERENCE_PATTERNS = [/conference/i, /\bccr\b/i, /to concur/i, /^[hs]as (read|rejected)/i];
+
+// Open States returns an array of classifications; stored actions may carry
+// a single string
+function actionClassifications(action) {
+  return [].concat(action.classifications || action.classification || []).filter(Boolean);
+}
+
+// Stored actions carry a chamber column; Open States actions an organization
+function actionChamber(action) {
+  return action.chamber || action.organization?.classification || null;
+}
+
+function isLegislativeChamber(chamber) {
+  return chamber === 'lower' || chamber === 'upper';
+}
+
+function otherChamber(chamber) {
+  return chamber === 'upper' ? 'lower' : 'upper';
+}
+
+// Bills fetched without actions are classified from latest_action_description
+function billActions(bill) {
+  if (bill.actions?.length) return bill.actions;
+  return bill.latest_action_description ? [{ description: bill.latest_action_description }] : [];
+}
+
+// Chamber the bill was filed in: Open States' from_organization, then the
+// first action taken in a chamber, then the identifier (SB, SJR... are Senate)
+export function originChamber(bill) {
+  const candidates = [
+    bill.origin_chamber,
+    bill.from_organization?.classification,
+    ...billActions(bill).map(actionChamber)
+  ];
+  const chamber = candidates.find(isLegislativeChamber);
+  if (chamber) return chamber;
+  return parseIdentifier(bill.identifier)?.chamber || null;
+}
+
+export function actionMatchesRule(rule, action) {
+  const classifications = actionClassifications(action);
+  if ((rule.classifications || []).some(c => classifications.includes(c))) return true;
+
+  const description = action.description || '';
+  return (rule.descriptions || []).some(pattern => pattern.test(description));
+}
+
+// Returns { stage, rule, actions } where rule is the matching rule's id (null
+// for the default) and actions are the actions that satisfied it.
+export function explainStage(bill, rules = STAGE_RULES) {
+  const actions = billActions(bill);
+  const ordered = [...rules].sort((a, b) => b.priority - a.priority);
+
+  for (const rule of ordered) {
+    const matches = actions.filter(action => actionMatchesRule(rule, action));
+    const chambers = new Set(matches.map(actionChamber).filter(isLegislativeChamber));
+    if (matches.length >= (rule.minCount || 1) && chambers.size >= (rule.chambers || 0)) {
+      return { stage: rule.stage, rule: rule.id, actions: matches };
+    }
+  }
+
+  return { stage: DEFAULT_STAGE, rule: null, actions: [] };
+}
+
+export function classifyStage(bill, rules = STAGE_RULES) {
+  return explainStage(bill, rules).stage;
+}
+
+// Running explainStage over actions added one at a time: keeps each rule's
+// matching action count and chambers instead of rescanning the actions
+function stageTally(rules) {
+  const ordered = [...rules].sort((a, b) => b.priority - a.priority);
+  const tallies = ordered.map(() => ({ matches: 0, chambers: new Set() }));
+
+  return {
+    add(action) {
+      ordered.forEach((rule, i) => {
+        if (!actionMatchesRule(rule, action)) return;
+        tallies[i].matches++;
+        if (isLegislativeChamber(actionChamber(action))) tallies[i].chambers.add(actionChamber(action));
+      });
+    },
+    result() {
+      const index = ordered.findIndex((rule, i) =>
+        tallies[i].matches >= (rule.minCount || 1) && tallies[i].chambers.size >= (rule.chambers || 0)
+      );
+      return index === -1
+        ? { stage: DEFAULT_STAGE, rule: null }
+        : { stage: ordered[index].stage, rule: ordered[index].id };
+    }
+  };
+}
+
+// Follows a bill through the Legislature as its actions are added in order;
+// position() gives explainPipeline's result for the actions added so far.
+function pipelineWalker(bill, rules) {
+  const overall = stageTally(rules);
+  const chamberRules = rules.filter(rule => CHAMBER_STAGES.includes(rule.stage));
+  const passageRules = rules.filter(rule => rule.stage === 'passed_chamber');
+  const inOrigin = stageTally(chamberRules);
+  const inSecond = stageTally(chamberRules);
+
+  // Once an action names a chamber the origin no longer changes, so actions
+  // are sorted into the origin and second chamber as they arrive
+  const knownOrigin = [bill.origin_chamber, bill.from_organization?.classification].find(isLegislativeChamber);
+  const identifierOrigin = parseIdentifier(bill.identifier)?.chamber || null;
+  let firstChamber = null;
+  let passed = false;
+  let conference = false;
+
+  const origin = () => knownOrigin || firstChamber || identifierOrigin;
+
+  return {
+    add(action) {
+      overall.add(action);
+      const chamber = actionChamber(action);
+      if (!firstChamber && isLegislativeChamber(chamber)) firstChamber = chamber;
+
+      if (!passed) {
+        if (!isLegislativeChamber(chamber) || chamber !== origin()) return;
+        inOrigin.add(action);
+        passed = passageRules.some(rule => actionMatchesRule(rule, action));
+      } else {
+        if (CONFERENCE_PATTERNS.some(pattern => pattern.test(action.description || ''))) conference = true;
+        if (chamber === otherChamber(origin())) inSecond.add(action);
+      }
+    },
+
+    position() {
+      const { stage, rule } = overall.result();
+      const result = { stage, rule, origin_chamber: origin() };
+
+      if (FINAL_STAGES.includes(stage)) {
+        return { ...result, phase: 'final', current_chamber: 'executive', phase_stage: stage };
+      }
+      if (rule === GOVERNOR_RULE) {
+        return { ...result, phase: 'governor', current_chamber: 'executive', phase_stage: 'enrolled' };
+      }
+
+      // Without chamber information (listings, or no origin) fall back to the
+      // overall stage
+      if (!origin() || !firstChamber) {
+        if (stage === 'enrolled') {
+          return { ...result, phase: 'governor', current_chamber: origin(), phase_stage: 'enrolled' };
+        }
+        if (stage === 'passed_chamber') {
+          return { ...result, phase: 'second_chamber', current_chamber: origin() && otherChamber(origin()), phase_stage: DEFAULT_STAGE };
+        }
+        return { ...result, phase: 'origin_chamber', current_chamber: origin(), phase_stage: CHAMBER_STAGES.includes(stage) ? stage : DEFAULT_STAGE };
+      }
+
+      if (!passed) {
+        return { ...result, phase: 'origin_chamber', current_chamber: origin(), phase_stage: inOrigin.result().stage };
+      }
+
+      if (conference) {
+        return { ...result, phase: 'conference', current_chamber: origin(), phase_stage: 'conference' };
+      }
+
+      // Passed both chambers: being enrolled on the way to the governor
+      if (stage === 'enrolled') {
+        return { ...result, phase: 'governor', current_chamber: origin(), phase_stage: 'enrolled' };
+      }
+
+      return { ...result, phase: 'second_chamber', current_chamber: otherChamber(origin()), phase_stage: inSecond.result().stage };
+    }
+  };
+}
+
+// Places the bill on its path through the Legislature. Returns
+// { stage, rule, origin_chamber, phase, current_chamber, phase_stage }:
+// stage and rule as explainStage; phase one of PIPELINE_PHASES; current_chamber
+// lower, upper, or executive once the bill has left the Legislature;
+// phase_stage the stage within the current chamber (or the final outcome).
+export function explainPipeline(bill, rules = STAGE_RULES) {
+  const walker = pipelineWalker(bill, rules);
+  billActions(bill).forEach(action => walker.add(action));
+  return walker.position();
+}
+
+// Replays a bill's actions in order and returns each pipeline position it
+// passed through: [{ stage, phase, chamber, phase_stage, entered_on,
+// action_index }] where action_index is the action that moved it there.
+export function stageTimeline(bill, rules = STAGE_RULES) {
+  const actions = bill.actions || [];
+  const walker = pipelineWalker(bill, rules);
+  const periods = [];
+
+  for (let i = 0; i < actions.length; i++) {
+    walker.add(actions[i]);
+    const position = walker.position();
+    const last = periods[periods.length - 1];
+
+    if (last
+      && last.stage === position.stage
+      && last.phase === position.phase
+      && last.chamber === position.current_chamber
+      && last.phase_stage === position.phase_stage) {
+      continue;
+    }
+
+    periods.push({
+      stage: position.stage,
+      phase: position.phase,
+      chamber: position.current_chamber,
+      phase_stage: position.phase_stage,
+      entered_on: actions[i].date || null,
+      action_index: i
+    });
+  }
+
+  return periods;
+}
+
+export default {
+  DEFAULT_STAGE,
+  STAGE_RULES,
+  PIPELINE_PHASES,
+  CHAMBER_STAGES,
+  compileStageRules,
+  loadStageRules,
+  actionMatchesRule,
+  originChamber,
+  explainStage,
+  classifyStage,
+  explainPipeline,
+  stageTimeline
+};
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+// Stage Reclassifier - Re-runs the stage rules (services/stage-classifier.js)
+// over every stored bill, refreshes each bill's place in the two-chamber
+// pipeline and records each stage that changes in bill_history.
+// Runs as the manual "reclassify" job, or by hand:
+//   node services/stage-reclassifier.js [--dry-run]
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { explainPipeline } from './stage-classifier.js';
+import { keepDeadStatus } from './deadline-checker.js';
+import { refreshStageTimeline } from './bill-timeline.js';
+
+dotenv.config();
+
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL
+});
+
+const BATCH_SIZE = 500;
+const MAX_REPORTED_CHANGES = 100;
+
+export async function reclassifyBills({ dryRun = false } = {}) {
+  console.log(`\n[${new Date().toISOString()}] 🏷️  Reclassifying bill stages${dryRun ? ' (dry run)' : ''}...`);
+
+  let lastId = 0;
+  let checked = 0;
+  let changed = 0;
+  let moved = 0;
+  const transitions = {};
+  const changes = [];
+
+  while (true) {
+    // Bills with their stored actions in chamber order, a batch at a time
+    const batch = await pool.query(`
+      SELECT
+        b.id,
+        b.identifier,
+        b.session_id,
+        b.stage,
+        b.origin_chamber,
+        b.current_chamber,
+        b.phase,
+        b.phase_stage,
+        b.dead_at,
+        b.dead_reason,
+        b.latest_action_date,
+        b.latest_action_description,
+        COALESCE(
+          json_agg(
+            json_build_object(
+              'date', ba.date,
+              'description', ba.description,
+              'classification', ba.classification,
+              'classifications', ba.classifications,
+              'chamber', ba.chamber
+            ) ORDER BY ba.order_index
+          ) FILTER (WHERE ba.id IS NOT NULL),
+          '[]'
+        ) as actions
+      FROM bills b
+      LEFT JOIN bill_actions ba ON ba.bill_id = b.id
+      WHERE b.id > $1
+      GROUP BY b.id
+      ORDER BY b.id
+      LIMIT $2
+    `, [lastId, BATCH_SIZE]);
+
+    if (batch.rows.length === 0) break;
+
+    for (const bill of batch.rows) {
+      const pipeline = keepDeadStatus(bill, explainPipeline(bill), bill.latest_action_date);
+      const { stage, rule } = pipeline;
+      checked++;
+
+      const pipelineChanged = ['origin_chamber', 'current_chamber', 'phase', 'phase_stage', 'dead_reason']
+        .some(key => pipeline[key] !== bill[key]);
+
+      if (stage === bill.stage) {
+        // Same stage, new place in the pipeline: no history entry
+        if (pipelineChanged) moved++;
+      } else {
+        changed++;
+        const transition = `${bill.stage || 'none'} → ${stage}`;
+        transitions[transition] = (transitions[transition] || 0) + 1;
+        if (changes.length < MAX_REPORTED_CHANGES) {
+          changes.push({ identifier: bill.identifier, session: bill.session_id, from: bill.stage, to: stage, rule });
+        }
+      }
+
+      if (!dryRun) await saveBill(bill, pipeline, pipelineChanged);
+    }
+
+    lastId = batch.rows[batch.rows.length - 1].id;
+  }
+
+  console.log(`✅ Checked ${checked} bills, ${changed} stage${changed === 1 ? '' : 's'} ${dryRun ? 'would change' : 'changed'}, ${moved} more moved in the pipeline`);
+  Object.entries(transitions).forEach(([transition, count]) => {
+    console.log(`  ${transition}: ${count}`);
+  });
+
+  return { checked, changed, moved, dry_run: dryRun, transitions, changes };
+}
+
+// Store one bill's new place in the pipeline, its history entry when the
+// stage changed, and its rebuilt stage periods (rebuilt for every bill, which
+// also backfills them) in one transaction
+async function saveBill(bill, pipeline, pipelineChanged) {
+  const stageChanged = pipeline.stage !== bill.stage;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    if (stageChanged || pipelineChanged) {
+      await client.query(`
+        UPDATE bills
+        SET stage = $2, origin_chamber = $3, current_chamber = $4, phase = $5, phase_stage = $6,
+            dead_at = $7, dead_reason = $8, updated_at = NOW()
+        WHERE id = $1
+      `, [bill.id, pipeline.stage, pipeline.origin_chamber, pipeline.current_chamber, pipeline.phase, pipeline.phase_stage,
+        pipeline.dead_at, pipeline.dead_reason]);
+    }
+
+    if (stageChanged) {
+      await client.query(`
+        INSERT INTO bill_history (bill_id, stage, status, previous_stage, notes)
+        VALUES ($1, $2, $3, $4, $5)
+      `, [bill.id, pipeline.stage, bill.latest_action_description, bill.stage, `Reclassified by rule ${pipeline.rule || 'default'}`]);
+    }
+
+    await refreshStageTimeline(bill.id, client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Run the reclassifier when executed directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  reclassifyBills({ dryRun: process.argv.includes('--dry-run') })
+    .catch(error => {
+      console.error('❌ Error reclassifying bills:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+export default reclassifyBills;
@@ -0,0 +1,91 @@
+// Tracking Fields - Validates the position, priority and tags people set on
+// followed bills and builds the matching list filters. Kept free of the
+// database so the rules can be tested on their own.
+
+export const TRACKING_POSITIONS = ['support', 'oppose', 'monitor', 'amend'];
+
+// Highest first; also the sort order for ?sort=priority
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+const MAX_TAG_LENGTH = 50;
+
+// Tags from an array or a comma-separated string: trimmed, lowercased, unique
+export function parseTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const tags = list
+    .map(tag => String(tag).trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// Read position, priority and tags from a request body. Fields left out are
+// undefined (keep the stored value); null or '' clears them.
+// Returns { error } when a value is not allowed.
+export function parseTracking({ position, priority, tags } = {}) {
+  const tracking = {};
+
+  if (position !== undefined) {
+    if (position && !TRACKING_POSITIONS.includes(position)) {
+      return { error: `position must be one of: ${TRACKING_POSITIONS.join(', ')}` };
+    }
+    tracking.position = position || null;
+  }
+
+  if (priority !== undefined) {
+    if (priority && !PRIORITIES.includes(priority)) {
+      return { error: `priority must be one of: ${PRIORITIES.join(', ')}` };
+    }
+    tracking.priority = priority || null;
+  }
+
+  if (tags !== undefined) {
+    tracking.tags = tags === null ? [] : parseTags(tags);
+  }
+
+  return { tracking };
+}
+
+// WHERE conditions (on favorite_bills_view) for the ?position=, ?priority= and
+// ?tag= filters. position and priority take comma-separated lists; a bill must
+// carry every listed tag.
+export function trackingFilters({ position, priority, tag } = {}, startIndex = 1) {
+  const conditions = [];
+  const params = [];
+  let paramIndex = startIndex;
+
+  const list = value => (Array.isArray(value) ? value : String(value).split(',')).map(v => v.trim()).filter(Boolean);
+
+  if (position) {
+    const positions = list(position);
+    const invalid = positions.find(p => p !== 'none' && !TRACKING_POSITIONS.includes(p));
+    if (invalid) return { error: `position must be one of: ${TRACKING_POSITIONS.join(', ')}, none` };
+    conditions.push(`(position = ANY($${paramIndex})${positions.includes('none') ? ' OR position IS NULL' : ''})`);
+    params.push(positions);
+    paramIndex++;
+  }
+
+  if (priority) {
+    const priorities = list(priority);
+    const invalid = priorities.find(p => p !== 'none' && !PRIORITIES.includes(p));
+    if (invalid) return { error: `priority must be one of: ${PRIORITIES.join(', ')}, none` };
+    conditions.push(`(priority = ANY($${paramIndex})${priorities.includes('none') ? ' OR priority IS NULL' : ''})`);
+    params.push(priorities);
+    paramIndex++;
+  }
+
+  if (tag) {
+    conditions.push(`tags @> $${paramIndex}::text[]`);
+    params.push(parseTags(tag));
+    paramIndex++;
+  }
+
+  return { conditions, params, nextIndex: paramIndex };
+}
+
+export default {
+  TRACKING_POSITIONS,
+  PRIORITIES,
+  parseTags,
+  parseTracking,
+  trackingFilters
+};
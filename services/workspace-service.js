@@ -0,0 +1,144 @@
+// Workspace Service - Organizations, their members' roles and the named
+// watchlists they share. Watchlist entries are bill_favorites rows keyed by
+// watchlist_id; every change to a watchlist is written to watchlist_activity.
+
+import pg from 'pg';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const { Pool } = pg;
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL
+});
+
+// Lowest to highest: viewers read, editors change watchlists and their bills,
+// owners also manage members and delete watchlists
+export const ROLES = ['viewer', 'editor', 'owner'];
+
+export const ACTIVITY_ACTIONS = [
+  'bill_added',
+  'bill_removed',
+  'note_added',
+  'note_edited',
+  'note_deleted',
+  'tracking_updated',
+  'watchlist_created',
+  'watchlist_updated',
+  'watchlist_deleted',
+  'member_added',
+  'member_updated',
+  'member_removed'
+];
+
+export function hasRole(role, minimum) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+export async function getMemberRole(organizationId, userId) {
+  const result = await pool.query(
+    'SELECT role FROM organization_members WHERE organization_id = $1 AND user_id = $2',
+    [organizationId, userId]
+  );
+  return result.rows[0]?.role || null;
+}
+
+// The watchlist and the user's role on it, or null when it does not exist or
+// the user cannot see it. A personal watchlist (no organization) belongs to
+// its creator.
+export async function getWatchlistAccess(watchlistId, userId) {
+  const result = await pool.query(`
+    SELECT w.*, m.role as member_role
+    FROM watchlists w
+    LEFT JOIN organization_members m ON m.organization_id = w.organization_id AND m.user_id = $2
+    WHERE w.id = $1
+  `, [watchlistId, userId]);
+
+  const row = result.rows[0];
+  if (!row) return null;
+
+  const { member_role, ...watchlist } = row;
+  const role = watchlist.organization_id ? member_role : (watchlist.created_by === userId ? 'owner' : null);
+
+  return role ? { watchlist, role } : null;
+}
+
+// Watchlists the user can see: their personal ones and every watchlist of
+// their organizations
+export async function listWatchlists(userId) {
+  const result = await pool.query(`
+    SELECT
+      w.*,
+      o.name as organization_name,
+      CASE WHEN w.organization_id IS NULL THEN 'owner' ELSE m.role END as role,
+      (SELECT COUNT(*) FROM bill_favorites WHERE watchlist_id = w.id)::int as bill_count
+    FROM watchlists w
+    LEFT JOIN organizations o ON o.id = w.organization_id
+    LEFT JOIN organization_members m ON m.organization_id = w.organization_id AND m.user_id = $1
+    WHERE (w.organization_id IS NULL AND w.created_by = $1)
+       OR m.user_id IS NOT NULL
+    ORDER BY o.name NULLS FIRST, w.name
+  `, [userId]);
+  return result.rows;
+}
+
+// Pass a transaction client as db to log as part of that transaction
+export async function logActivity({ organizationId = null, watchlistId = null, userId, action, billId = null, details = null }, db = pool) {
+  await db.query(`
+    INSERT INTO watchlist_activity (organization_id, watchlist_id, user_id, action, bill_id, details)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [organizationId, watchlistId, userId, action, billId, details ? JSON.stringify(details) : null]);
+}
+
+// Newest first, with who did it and which bill
+export async function getActivity({ organizationId, watchlistId, action, page = 1, perPage = 50 }) {
+  const conditions = [];
+  const params = [];
+
+  if (organizationId) {
+    params.push(organizationId);
+    conditions.push(`a.organization_id = $${params.length}`);
+  }
+  if (watchlistId) {
+    params.push(watchlistId);
+    conditions.push(`a.watchlist_id = $${params.length}`);
+  }
+  if (action) {
+    params.push(action);
+    conditions.push(`a.action = $${params.length}`);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(`SELECT COUNT(*) FROM watchlist_activity a ${where}`, params);
+
+  const result = await pool.query(`
+    SELECT
+      a.*,
+      u.email as user_email,
+      u.name as user_name,
+      w.name as watchlist_name,
+      b.identifier as bill_identifier,
+      b.title as bill_title
+    FROM watchlist_activity a
+    LEFT JOIN users u ON u.id = a.user_id
+    LEFT JOIN watchlists w ON w.id = a.watchlist_id
+    LEFT JOIN bills b ON b.id = a.bill_id
+    ${where}
+    ORDER BY a.created_at DESC, a.id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, perPage, (page - 1) * perPage]);
+
+  return { activity: result.rows, total: parseInt(countResult.rows[0].count) };
+}
+
+export default {
+  ROLES,
+  ACTIVITY_ACTIONS,
+  hasRole,
+  getMemberRole,
+  getWatchlistAccess,
+  listWatchlists,
+  logActivity,
+  getActivity
+};
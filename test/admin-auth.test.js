@@ -0,0 +1,42 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { requireAdmin } from '../services/admin-auth.js';
+
+const configured = process.env.ADMIN_TOKEN;
+afterEach(() => {
+  if (configured === undefined) delete process.env.ADMIN_TOKEN;
+  else process.env.ADMIN_TOKEN = configured;
+});
+
+// Runs the middleware; resolves what it did: next() or the response it sent
+function check(headers) {
+  const outcome = { next: false, status: null, body: null };
+  const res = {
+    status(code) { outcome.status = code; return this; },
+    json(body) { outcome.body = body; return this; }
+  };
+  requireAdmin({ headers }, res, () => { outcome.next = true; });
+  return outcome;
+}
+
+test('admin routes are disabled without ADMIN_TOKEN', () => {
+  delete process.env.ADMIN_TOKEN;
+  const outcome = check({ 'x-admin-token': '' });
+  assert.equal(outcome.next, false);
+  assert.equal(outcome.status, 503);
+});
+
+test('lets a request with the token through', () => {
+  process.env.ADMIN_TOKEN = 'letmein';
+  assert.deepEqual(check({ 'x-admin-token': 'letmein' }), { next: true, status: null, body: null });
+});
+
+test('refuses a missing or wrong token', () => {
+  process.env.ADMIN_TOKEN = 'letmein';
+  for (const headers of [{}, { 'x-admin-token': 'letmeout' }, { 'x-admin-token': 'letmein2' }, { 'x-admin-token': 'LETMEIN' }]) {
+    const outcome = check(headers);
+    assert.equal(outcome.next, false, JSON.stringify(headers));
+    assert.equal(outcome.status, 401);
+    assert.deepEqual(outcome.body, { error: 'Admin token required' });
+  }
+});
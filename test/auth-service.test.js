@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+// Read when the module loads
+process.env.SESSION_SECRET = 'test-secret';
+
+const { createSessionCookie, readSessionCookie, parseCookies, normalizeEmail } = await import('../services/auth-service.js');
+
+// A cookie for any payload, signed the way the service signs
+function signed(payload) {
+  const encoded = Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${crypto.createHmac('sha256', 'test-secret').update(encoded).digest('base64url')}`;
+}
+
+test('a session cookie reads back as its user and session version', () => {
+  const cookie = createSessionCookie({ id: 42, session_version: 3 });
+  assert.equal(cookie.name, 'bt_session');
+  assert.equal(cookie.maxAge, 30 * 24 * 60 * 60);
+  assert.deepEqual(readSessionCookie(cookie.value), { userId: 42, version: 3 });
+});
+
+test('rejects a tampered payload or signature', () => {
+  const [payload, signature] = createSessionCookie({ id: 42, session_version: 1 }).value.split('.');
+  const forged = Buffer.from(JSON.stringify({ uid: 1, ver: 1, exp: Date.now() + 60000 })).toString('base64url');
+
+  assert.equal(readSessionCookie(`${forged}.${signature}`), null);
+  assert.equal(readSessionCookie(`${payload}.${signature.slice(0, -1)}`), null);
+  assert.equal(readSessionCookie(`${payload}.${signature.slice(0, -2)}AA`), null);
+  assert.equal(readSessionCookie(`${payload}.`), null);
+});
+
+test('rejects an expired session', () => {
+  assert.equal(readSessionCookie(signed({ uid: 42, ver: 1, exp: Date.now() - 1000 })), null);
+  assert.deepEqual(readSessionCookie(signed({ uid: 42, ver: 1, exp: Date.now() + 1000 })), { userId: 42, version: 1 });
+});
+
+test('rejects malformed cookies', () => {
+  for (const value of [undefined, null, '', 'garbage', '.', 'a.b.c']) {
+    assert.equal(readSessionCookie(value), null, String(value));
+  }
+  assert.equal(readSessionCookie(signed('not json')), null);
+  assert.equal(readSessionCookie(signed({ uid: '42', ver: 1, exp: Date.now() + 1000 })), null);
+  assert.equal(readSessionCookie(signed({ uid: 42, exp: Date.now() + 1000 })), null);
+});
+
+test('parses cookie headers', () => {
+  assert.deepEqual(parseCookies('bt_session=a.b; theme=dark%20mode; broken=%E0'), {
+    bt_session: 'a.b',
+    theme: 'dark mode',
+    broken: '%E0'
+  });
+  assert.deepEqual(parseCookies(undefined), {});
+});
+
+test('normalizes email addresses', () => {
+  assert.equal(normalizeEmail('  Someone@Example.COM '), 'someone@example.com');
+  assert.equal(normalizeEmail('not an email'), null);
+  assert.equal(normalizeEmail(null), null);
+});
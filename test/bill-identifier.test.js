@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseIdentifier, identifierKey } from '../services/bill-identifier.js';
+
+test('normalizes spacing, punctuation and case', () => {
+  for (const raw of ['HB 1234', 'HB1234', 'hb1234', 'H.B. 1234', 'H.B.1234', 'h b 1234', 'HB #1234', 'HB 01234', 'House Bill 1234', 'House Bill No. 1234']) {
+    assert.equal(identifierKey(raw), 'HB1234', raw);
+    assert.equal(parseIdentifier(raw).identifier, 'HB 1234', raw);
+  }
+});
+
+test('derives the type and chamber of every measure prefix', () => {
+  const expected = {
+    'HB 1': ['bill', 'lower'],
+    'SB 1': ['bill', 'upper'],
+    'HJR 1': ['joint_resolution', 'lower'],
+    'SJR 1': ['joint_resolution', 'upper'],
+    'HCR 1': ['concurrent_resolution', 'lower'],
+    'SCR 1': ['concurrent_resolution', 'upper'],
+    'HR 1': ['resolution', 'lower'],
+    'SR 1': ['resolution', 'upper']
+  };
+
+  for (const [raw, [billType, chamber]] of Object.entries(expected)) {
+    const parsed = parseIdentifier(raw);
+    assert.equal(parsed.bill_type, billType, raw);
+    assert.equal(parsed.chamber, chamber, raw);
+  }
+});
+
+test('spelled-out and dotted resolutions use their initials', () => {
+  assert.equal(identifierKey('House Joint Resolution 5'), 'HJR5');
+  assert.equal(identifierKey('Senate Concurrent Resolution No. 12'), 'SCR12');
+  assert.equal(identifierKey('S.J.R. 3'), 'SJR3');
+  assert.equal(parseIdentifier('Senate Resolution 7').bill_type, 'resolution');
+});
+
+test('keeps only the number from trailing text', () => {
+  assert.equal(identifierKey('SB 5 (as amended)'), 'SB5');
+});
+
+test('a bare number has no prefix, type or chamber', () => {
+  assert.deepEqual(parseIdentifier('1234'), { prefix: '', number: 1234, identifier: '1234', bill_type: null, chamber: null });
+});
+
+test('an unknown prefix keeps the chamber of its first letter but no type', () => {
+  const parsed = parseIdentifier('HM 2');
+  assert.equal(parsed.bill_type, null);
+  assert.equal(parsed.chamber, 'lower');
+  assert.equal(parseIdentifier('XB 2').chamber, null);
+});
+
+test('returns null without a number', () => {
+  assert.equal(parseIdentifier('HB'), null);
+  assert.equal(parseIdentifier(''), null);
+  assert.equal(parseIdentifier(null), null);
+  assert.equal(identifierKey('education'), null);
+});
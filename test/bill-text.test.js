@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLines, htmlToText, normalizeText, pickVersionLink } from '../services/bill-text.js';
+
+const types = diff => diff.lines.map(line => `${line.type[0]}:${line.text}`);
+
+test('diffs identical texts as unchanged', () => {
+  const diff = diffLines('one\ntwo', 'one\ntwo');
+  assert.deepEqual(diff.stats, { added: 0, removed: 0, unchanged: 2 });
+});
+
+test('diffs an inserted line', () => {
+  const diff = diffLines('one\ntwo\nthree', 'one\ntwo\nnew\nthree');
+  assert.deepEqual(types(diff), ['u:one', 'u:two', 'a:new', 'u:three']);
+  assert.deepEqual(diff.stats, { added: 1, removed: 0, unchanged: 3 });
+  assert.deepEqual(diff.lines[2], { type: 'added', from_line: null, to_line: 3, text: 'new' });
+  assert.deepEqual(diff.lines[3], { type: 'unchanged', from_line: 3, to_line: 4, text: 'three' });
+});
+
+test('diffs a deleted line', () => {
+  const diff = diffLines('one\ntwo\nthree', 'one\nthree');
+  assert.deepEqual(types(diff), ['u:one', 'r:two', 'u:three']);
+  assert.deepEqual(diff.lines[1], { type: 'removed', from_line: 2, to_line: null, text: 'two' });
+  assert.deepEqual(diff.lines[2], { type: 'unchanged', from_line: 3, to_line: 2, text: 'three' });
+});
+
+test('diffs a replaced line as removed then added', () => {
+  const diff = diffLines('Section 1.\nThe fee is $10.\nSection 2.', 'Section 1.\nThe fee is $25.\nSection 2.');
+  assert.deepEqual(types(diff), ['u:Section 1.', 'r:The fee is $10.', 'a:The fee is $25.', 'u:Section 2.']);
+});
+
+test('keeps lines common to scattered edits', () => {
+  const from = ['a', 'b', 'c', 'd', 'e', 'f', 'g'].join('\n');
+  const to = ['a', 'x', 'c', 'd', 'y', 'f', 'g', 'z'].join('\n');
+  const diff = diffLines(from, to);
+  assert.deepEqual(diff.stats, { added: 3, removed: 2, unchanged: 5 });
+  assert.deepEqual(diff.lines.filter(line => line.type !== 'removed').map(line => line.text), to.split('\n'));
+  assert.deepEqual(diff.lines.filter(line => line.type !== 'added').map(line => line.text), from.split('\n'));
+});
+
+test('diffs from and to empty text', () => {
+  assert.deepEqual(diffLines('', 'one\ntwo').stats, { added: 2, removed: 1, unchanged: 0 });
+  assert.deepEqual(diffLines(null, null).stats, { added: 0, removed: 0, unchanged: 1 });
+});
+
+test('reports a full replacement past the edit distance cap', () => {
+  const lines = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix} ${i}`);
+
+  // A shared line between small rewrites is matched
+  const small = diffLines(
+    [...lines('old', 10), 'shared', ...lines('old tail', 10)].join('\n'),
+    [...lines('new', 10), 'shared', ...lines('new tail', 10)].join('\n')
+  );
+  assert.equal(small.stats.unchanged, 1);
+
+  // Rewrites beyond 4000 edits are not searched for matches
+  const large = diffLines(
+    [...lines('old', 2500), 'shared', ...lines('old tail', 2500)].join('\n'),
+    [...lines('new', 2500), 'shared', ...lines('new tail', 2500)].join('\n')
+  );
+  assert.deepEqual(large.stats, { added: 5001, removed: 5001, unchanged: 0 });
+  assert.equal(large.lines[0].type, 'removed');
+  assert.equal(large.lines[5001].type, 'added');
+});
+
+test('flattens HTML to one line per block', () => {
+  const html = `
+    <html><head><title>HB 1001</title><style>p { color: red; }</style></head>
+    <body>
+      <h1>An Act</h1>
+      <p>relating to   <b>schools</b>;</p>
+      <script>alert(1)</script>
+      <p>Line one<br>Line two</p>
+      <table><tr><td>Cell</td></tr></table>
+    </body></html>`;
+  assert.equal(htmlToText(html), 'An Act\n\nrelating to schools;\n\nLine one\nLine two\n\nCell');
+  assert.equal(htmlToText('<p>One</p><p>Two</p>'), 'One\nTwo');
+});
+
+test('decodes named and numeric entities', () => {
+  assert.equal(htmlToText('<p>&sect;&nbsp;1 &amp; &lt;2&gt; &#8212; &#x41; &quot;q&quot; &unknown;</p>'), '§ 1 & <2> — A "q" &unknown;');
+});
+
+test('normalizes line endings, spacing and blank runs', () => {
+  assert.equal(normalizeText('  a \t b \r\n\r\n\r\n\r\nc\r'), 'a b\n\nc');
+});
+
+test('picks a text link over the PDF', () => {
+  const pdf = { url: 'https://example.com/hb1.pdf', media_type: 'application/pdf' };
+  const html = { url: 'https://example.com/hb1.htm', media_type: 'text/html' };
+  const plain = { url: 'https://example.com/hb1.txt', media_type: 'text/plain' };
+
+  assert.equal(pickVersionLink({ links: [pdf, plain, html] }), html);
+  assert.equal(pickVersionLink({ links: [pdf, plain] }), plain);
+  assert.equal(pickVersionLink({ links: [pdf] }), pdf);
+  assert.equal(pickVersionLink({ links: [] }), null);
+  assert.equal(pickVersionLink({}), null);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { missesDeadline, keepDeadStatus } from '../services/deadline-checker.js';
+
+test('committee deadlines catch bills not yet out of committee', () => {
+  assert.equal(missesDeadline('committee_origin', { phase: 'origin_chamber', phase_stage: 'introduced' }), true);
+  assert.equal(missesDeadline('committee_origin', { phase: 'origin_chamber', phase_stage: 'committee' }), true);
+  assert.equal(missesDeadline('committee_origin', { phase: 'origin_chamber', phase_stage: 'committee_approved' }), false);
+  assert.equal(missesDeadline('committee_origin', { phase: 'second_chamber', phase_stage: 'committee' }), false);
+  assert.equal(missesDeadline('committee_second', { phase: 'second_chamber', phase_stage: 'committee' }), true);
+});
+
+test('floor deadlines catch any bill still in that chamber', () => {
+  assert.equal(missesDeadline('floor_origin', { phase: 'origin_chamber', phase_stage: 'floor_calendar' }), true);
+  assert.equal(missesDeadline('floor_origin', { phase: 'second_chamber', phase_stage: 'introduced' }), false);
+  assert.equal(missesDeadline('floor_second', { phase: 'second_chamber', phase_stage: 'floor_calendar' }), true);
+});
+
+test('sine die catches every bill still in the Legislature', () => {
+  for (const phase of ['origin_chamber', 'second_chamber', 'conference']) {
+    assert.equal(missesDeadline('sine_die', { phase, phase_stage: 'committee' }), true, phase);
+  }
+  assert.equal(missesDeadline('sine_die', { phase: 'governor', phase_stage: 'enrolled' }), false);
+  assert.equal(missesDeadline('sine_die', { phase: 'final', phase_stage: 'signed' }), false);
+});
+
+test('unknown deadline types miss nothing', () => {
+  assert.equal(missesDeadline('recess', { phase: 'origin_chamber', phase_stage: 'committee' }), false);
+});
+
+const inCommittee = { stage: 'committee', rule: 'referred-to-committee', phase: 'origin_chamber', current_chamber: 'lower', phase_stage: 'committee' };
+const dead = { dead_at: new Date(2026, 2, 5), dead_reason: 'committee_origin' };
+
+test('a live bill stays live', () => {
+  assert.deepEqual(keepDeadStatus({ dead_at: null, dead_reason: null }, inCommittee, '2026-03-01'), {
+    ...inCommittee, dead_at: null, dead_reason: null
+  });
+  assert.equal(keepDeadStatus(undefined, inCommittee, null).stage, 'committee');
+});
+
+test('a dead bill stays dead while it sits where the deadline caught it', () => {
+  assert.deepEqual(keepDeadStatus(dead, inCommittee, '2026-03-05'), {
+    ...inCommittee,
+    stage: 'dead',
+    phase: 'final',
+    phase_stage: 'dead',
+    dead_at: dead.dead_at,
+    dead_reason: 'committee_origin'
+  });
+  assert.equal(keepDeadStatus(dead, inCommittee, null).stage, 'dead');
+});
+
+test('a dead bill comes back after an action past the deadline', () => {
+  const revived = keepDeadStatus(dead, inCommittee, new Date(2026, 2, 6));
+  assert.equal(revived.stage, 'committee');
+  assert.equal(revived.dead_at, null);
+  assert.equal(revived.dead_reason, null);
+});
+
+test('a dead bill comes back once it moved past the deadline', () => {
+  const passedCommittee = { ...inCommittee, stage: 'committee_approved', phase_stage: 'committee_approved' };
+  assert.equal(keepDeadStatus(dead, passedCommittee, '2026-03-01').stage, 'committee_approved');
+});
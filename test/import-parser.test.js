@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, mapColumns, parseImportRows, matchRow } from '../services/import-parser.js';
+
+test('reads quoted fields, doubled quotes and CRLF', () => {
+  const csv = 'Bill,Notes\r\nHB 1,"Amend, then support"\r\nSB 2,"He said ""no"""\r\nHB 3,"Line one\nLine two"\r\n';
+  assert.deepEqual(parseCSV(csv), [
+    ['Bill', 'Notes'],
+    ['HB 1', 'Amend, then support'],
+    ['SB 2', 'He said "no"'],
+    ['HB 3', 'Line one\nLine two']
+  ]);
+});
+
+test('drops a byte order mark and blank rows', () => {
+  assert.deepEqual(parseCSV('\uFEFFBill\n\nHB 1\n , \nHB 2'), [['Bill'], ['HB 1'], ['HB 2']]);
+});
+
+test('detects semicolon and tab delimiters from the first line', () => {
+  assert.deepEqual(parseCSV('Bill;Position;Notes\nHB 1;support;a, b'), [
+    ['Bill', 'Position', 'Notes'],
+    ['HB 1', 'support', 'a, b']
+  ]);
+  assert.deepEqual(parseCSV('Bill\tTags\nHB 1\tbudget, rural'), [
+    ['Bill', 'Tags'],
+    ['HB 1', 'budget, rural']
+  ]);
+});
+
+test('maps header names in any order and case', () => {
+  assert.deepEqual(mapColumns([['Notes', 'Stance', 'Bill No.', 'Labels', 'Priority']]), {
+    columns: { identifier: 2, position: 1, priority: 4, tags: 3, notes: 0 },
+    dataStart: 1
+  });
+  assert.deepEqual(mapColumns([['Title', 'Latest Note', 'Identifier']]).columns, { identifier: 2, notes: 1 });
+});
+
+test('reads every row as data without a bill column header', () => {
+  assert.deepEqual(mapColumns([['HB 1', 'support'], ['SB 2']]), { columns: { identifier: 0 }, dataStart: 0 });
+  assert.deepEqual(mapColumns([]), { columns: { identifier: 0 }, dataStart: 0 });
+});
+
+test('parses data rows with their file row numbers', () => {
+  const rows = parseImportRows([['Bill', 'Position', 'Tags'], [' H.B. 12 ', 'Support', 'budget'], ['education', '', '']]);
+  assert.deepEqual(rows.map(row => [row.row, row.input, row.key?.identifier ?? null, row.position, row.tags, row.notes]), [
+    [2, 'H.B. 12', 'HB 12', 'Support', 'budget', undefined],
+    [3, 'education', null, '', '', undefined]
+  ]);
+});
+
+const candidates = [
+  { id: 1, identifier: 'HB 12', session_id: '2026', title: 'Schools', bill_number: 12, chamber: 'lower', bill_type: 'bill' },
+  { id: 2, identifier: 'SB 12', session_id: '2026', title: 'Roads', bill_number: 12, chamber: 'upper', bill_type: 'bill' },
+  { id: 3, identifier: 'HB 40', session_id: '2026', title: 'Water', bill_number: 40, chamber: 'lower', bill_type: 'bill' },
+  { id: 4, identifier: 'HB 40', session_id: '2025', title: 'Water', bill_number: 40, chamber: 'lower', bill_type: 'bill' },
+  { id: 5, identifier: 'HJR 40', session_id: '2026', title: 'Term limits', bill_number: 40, chamber: 'lower', bill_type: 'joint_resolution' }
+];
+const match = input => matchRow(parseImportRows([[input]])[0], candidates);
+
+test('matches a prefixed identifier to its chamber', () => {
+  assert.deepEqual(match('sb12'), { row: 1, input: 'sb12', position: undefined, priority: undefined, tags: undefined, notes: undefined, status: 'matched', bill_id: 2, identifier: 'SB 12', session: '2026' });
+  assert.equal(match('House Bill 12').bill_id, 1);
+  assert.equal(match('H.J.R. 40').bill_id, 5);
+});
+
+test('lists the candidates of an ambiguous row', () => {
+  const row = match('12');
+  assert.equal(row.status, 'ambiguous');
+  assert.deepEqual(row.candidates.map(bill => bill.bill_id), [1, 2]);
+  assert.deepEqual(match('HB 40').candidates.map(bill => bill.session), ['2026', '2025']);
+  assert.deepEqual(match('40').candidates.map(bill => bill.bill_id), [3, 4, 5]);
+});
+
+test('reports unmatched and invalid rows', () => {
+  assert.equal(match('HB 99').status, 'unmatched');
+  assert.equal(match('SJR 12').status, 'unmatched');
+  assert.equal(match('no number').status, 'invalid');
+  assert.equal(match('no number').key, undefined);
+});
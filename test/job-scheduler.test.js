@@ -0,0 +1,123 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerJob, runJob, isJobRunning, startScheduler, stopScheduler } from '../services/job-scheduler.js';
+
+after(() => stopScheduler());
+
+// Stand-in for the pool: answers the job_runs and advisory lock queries and
+// keeps every query with where it ran
+function fakePool({ locked = true } = {}) {
+  const db = { queries: [], connected: 0, released: 0 };
+  const answer = (on, sql, params) => {
+    db.queries.push({ on, sql: sql.replace(/\s+/g, ' ').trim(), params });
+    if (sql.includes('pg_try_advisory_lock')) return { rows: [{ locked }] };
+    if (sql.includes('RETURNING id')) return { rows: [{ id: 41, started_at: new Date() }] };
+    return { rows: [] };
+  };
+
+  db.query = async (sql, params) => answer('pool', sql, params);
+  db.connect = async () => {
+    db.connected++;
+    return {
+      query: async (sql, params) => answer('client', sql, params),
+      release: () => { db.released++; }
+    };
+  };
+  db.find = text => db.queries.filter(query => query.sql.includes(text));
+  return db;
+}
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+test('records a successful run and releases the lock', async () => {
+  const db = fakePool();
+  startScheduler(db);
+  registerJob('ok-job', async () => ({ synced: 3 }));
+
+  const outcome = await runJob('ok-job', 'manual');
+
+  assert.equal(outcome.status, 'success');
+  assert.equal(outcome.run_id, 41);
+  assert.deepEqual(outcome.result, { synced: 3 });
+  assert.deepEqual(db.find('INSERT INTO job_runs')[0].params, ['ok-job', 'manual']);
+
+  const end = db.find('UPDATE job_runs')[0];
+  assert.equal(end.params[0], 41);
+  assert.equal(end.params[1], 'success');
+  assert.equal(end.params[3], '{"synced":3}');
+  assert.equal(end.params[4], null);
+
+  assert.deepEqual(db.find('pg_try_advisory_lock')[0].params, ['job:ok-job']);
+  assert.equal(db.find('pg_advisory_unlock')[0].on, 'client');
+  assert.equal(db.released, db.connected);
+  assert.equal(isJobRunning('ok-job'), false);
+});
+
+test('records a failed run without rejecting', async () => {
+  const db = fakePool();
+  startScheduler(db);
+  registerJob('failing-job', async () => { throw new Error('Open States is down'); });
+
+  const outcome = await runJob('failing-job', 'schedule');
+
+  assert.equal(outcome.status, 'error');
+  assert.equal(outcome.error, 'Open States is down');
+
+  const end = db.find('UPDATE job_runs')[0];
+  assert.equal(end.params[1], 'error');
+  assert.equal(end.params[3], null);
+  assert.equal(end.params[4], 'Open States is down');
+
+  assert.equal(db.find('pg_advisory_unlock').length, 1);
+  assert.equal(db.released, 1);
+  assert.equal(isJobRunning('failing-job'), false);
+});
+
+test('skips a run while the previous one is still going', async () => {
+  const db = fakePool();
+  startScheduler(db);
+  const gate = deferred();
+  let calls = 0;
+  registerJob('slow-job', async () => { calls++; await gate.promise; return {}; });
+
+  const first = runJob('slow-job', 'schedule');
+  assert.equal(isJobRunning('slow-job'), true);
+
+  const second = await runJob('slow-job', 'manual');
+  assert.deepEqual(second, { status: 'skipped' });
+
+  const skipped = db.find("'skipped'");
+  assert.equal(skipped.length, 1);
+  assert.deepEqual(skipped[0].params, ['slow-job', 'manual', 'Previous run still in progress']);
+
+  gate.resolve();
+  assert.equal((await first).status, 'success');
+  assert.equal(calls, 1);
+  assert.equal(db.connected, 1);
+});
+
+test('skips a run another process holds the lock for', async () => {
+  const db = fakePool({ locked: false });
+  startScheduler(db);
+  let calls = 0;
+  registerJob('locked-job', async () => { calls++; });
+
+  const outcome = await runJob('locked-job', 'schedule');
+
+  assert.deepEqual(outcome, { status: 'skipped' });
+  assert.equal(calls, 0);
+  assert.deepEqual(db.find("'skipped'")[0].params, ['locked-job', 'schedule', 'Running in another process']);
+  assert.equal(db.find('INSERT INTO job_runs (job_name, trigger, status) VALUES').length, 0);
+  assert.equal(db.find('pg_advisory_unlock').length, 0);
+  assert.equal(db.released, 1);
+  assert.equal(isJobRunning('locked-job'), false);
+});
+
+test('rejects unknown jobs', async () => {
+  startScheduler(fakePool());
+  await assert.rejects(runJob('no-such-job'), /Unknown job: no-such-job/);
+});
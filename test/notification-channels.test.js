@@ -0,0 +1,212 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWebhookReceiver, listen } from './webhook-receiver.js';
+
+// Read when the module loads
+process.env.NOTIFICATION_MAX_ATTEMPTS = '3';
+process.env.NOTIFICATION_RETRY_DELAY_MS = '1';
+
+const { signPayload, verifySignature, isPublicAddress, checkTargetUrl, deliver } = await import('../services/notification-channels.js');
+
+const servers = [];
+after(() => servers.forEach(server => server.close()));
+
+async function receiver(options) {
+  const server = createWebhookReceiver(options);
+  servers.push(server);
+  return { server, url: await listen(server) };
+}
+
+// Stand-in for the pool: keeps each notification_deliveries insert
+function recorder() {
+  const attempts = [];
+  return {
+    attempts,
+    query: async (sql, params) => {
+      const [subscriptionId, channel, event, target, attempt, status, responseStatus, errorMessage] = params;
+      attempts.push({ subscriptionId, channel, event, target, attempt, status, responseStatus, errorMessage });
+      return { rows: [] };
+    }
+  };
+}
+
+function withLocalTargets(allowed) {
+  const previous = process.env.WEBHOOK_ALLOW_LOCAL;
+  process.env.WEBHOOK_ALLOW_LOCAL = allowed ? 'true' : 'false';
+  return () => {
+    if (previous === undefined) delete process.env.WEBHOOK_ALLOW_LOCAL;
+    else process.env.WEBHOOK_ALLOW_LOCAL = previous;
+  };
+}
+
+const notification = {
+  event: 'bill.status_changed',
+  subject: 'HB 1001 moved to committee',
+  html: '<p>moved</p>',
+  text: '*HB 1001* moved to committee',
+  data: { bill_id: 1, stage: 'committee' }
+};
+
+test('signatures verify only for the signed body, timestamp and secret', () => {
+  const signature = signPayload('secret', '1700000000', '{"a":1}');
+  assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+  assert.equal(verifySignature('secret', '1700000000', '{"a":1}', signature), true);
+  assert.equal(verifySignature('secret', '1700000000', '{"a":2}', signature), false);
+  assert.equal(verifySignature('secret', '1700000001', '{"a":1}', signature), false);
+  assert.equal(verifySignature('other', '1700000000', '{"a":1}', signature), false);
+  assert.equal(verifySignature('secret', '1700000000', '{"a":1}', 'sha256=short'), false);
+  assert.equal(verifySignature('secret', '1700000000', '{"a":1}', undefined), false);
+});
+
+test('only public addresses are public', () => {
+  for (const address of ['8.8.8.8', '93.184.216.34', '2606:4700:4700::1111']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'localhost']) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
+
+test('targets must be public https URLs by default', async () => {
+  const restore = withLocalTargets(false);
+  try {
+    assert.deepEqual(await checkTargetUrl('https://93.184.216.34/hook'), { url: 'https://93.184.216.34/hook' });
+    assert.match((await checkTargetUrl('http://93.184.216.34/hook')).error, /https URL/);
+    assert.match((await checkTargetUrl('not a url')).error, /https URL/);
+    assert.match((await checkTargetUrl('https://10.0.0.5/hook')).error, /public address/);
+    assert.match((await checkTargetUrl('https://[::1]/hook')).error, /public address/);
+    assert.match((await checkTargetUrl('https://127.0.0.1/hook')).error, /public address/);
+  } finally {
+    restore();
+  }
+});
+
+test('WEBHOOK_ALLOW_LOCAL allows http and loopback but not other private targets', async () => {
+  const restore = withLocalTargets(true);
+  try {
+    assert.deepEqual(await checkTargetUrl('http://127.0.0.1:4000/hook'), { url: 'http://127.0.0.1:4000/hook' });
+    assert.match((await checkTargetUrl('http://192.168.1.10/hook')).error, /public address/);
+  } finally {
+    restore();
+  }
+});
+
+test('a webhook delivery is signed and recorded', async () => {
+  const restore = withLocalTargets(true);
+  try {
+    const { server, url } = await receiver({ secret: 'whsec' });
+    const db = recorder();
+    const result = await deliver({ id: 7, channel: 'webhook', target_url: url, webhook_secret: 'whsec' }, notification, { db });
+
+    assert.deepEqual(result, { success: true, attempts: 1 });
+    assert.equal(server.received.length, 1);
+    assert.equal(server.received[0].signature_valid, true);
+    assert.equal(server.received[0].event, 'bill.status_changed');
+
+    const payload = JSON.parse(server.received[0].body);
+    assert.equal(payload.subscription_id, 7);
+    assert.equal(payload.subject, notification.subject);
+    assert.deepEqual(payload.data, notification.data);
+
+    assert.deepEqual(db.attempts, [{
+      subscriptionId: 7, channel: 'webhook', event: 'bill.status_changed', target: url,
+      attempt: 1, status: 'delivered', responseStatus: 200, errorMessage: null
+    }]);
+  } finally {
+    restore();
+  }
+});
+
+test('a Slack delivery posts a header and a text section', async () => {
+  const restore = withLocalTargets(true);
+  try {
+    const { server, url } = await receiver();
+    const result = await deliver({ id: 8, channel: 'slack', target_url: url }, notification, { db: recorder() });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(JSON.parse(server.received[0].body), {
+      text: notification.subject,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: notification.subject } },
+        { type: 'section', text: { type: 'mrkdwn', text: notification.text } }
+      ]
+    });
+  } finally {
+    restore();
+  }
+});
+
+test('server errors are retried with one recorded attempt per try', async () => {
+  const restore = withLocalTargets(true);
+  try {
+    const { server, url } = await receiver({ failFirst: 2, failStatus: 503 });
+    const db = recorder();
+    const result = await deliver({ id: 9, channel: 'slack', target_url: url }, notification, { db });
+
+    assert.deepEqual(result, { success: true, attempts: 3 });
+    assert.equal(server.received.length, 3);
+    assert.deepEqual(db.attempts.map(({ attempt, status, responseStatus }) => [attempt, status, responseStatus]), [
+      [1, 'retrying', 503],
+      [2, 'retrying', 503],
+      [3, 'delivered', 200]
+    ]);
+  } finally {
+    restore();
+  }
+});
+
+test('gives up after the last attempt', async () => {
+  const restore = withLocalTargets(true);
+  try {
+    const { url } = await receiver({ failFirst: 5 });
+    const db = recorder();
+    const result = await deliver({ id: 10, channel: 'slack', target_url: url }, notification, { db });
+
+    assert.deepEqual(result, { success: false, attempts: 3, error: 'Receiver responded with HTTP 500' });
+    assert.deepEqual(db.attempts.map(attempt => attempt.status), ['retrying', 'retrying', 'failed']);
+  } finally {
+    restore();
+  }
+});
+
+test('client errors are not retried', async () => {
+  const restore = withLocalTargets(true);
+  try {
+    const { server, url } = await receiver({ secret: 'right' });
+    const db = recorder();
+    const result = await deliver({ id: 11, channel: 'webhook', target_url: url, webhook_secret: 'wrong' }, notification, { db });
+
+    assert.deepEqual(result, { success: false, attempts: 1, error: 'Receiver responded with HTTP 401' });
+    assert.equal(server.received.length, 1);
+    assert.deepEqual(db.attempts.map(attempt => [attempt.status, attempt.responseStatus]), [['failed', 401]]);
+  } finally {
+    restore();
+  }
+});
+
+test('local and http targets are refused at delivery without the opt-in', async () => {
+  const restore = withLocalTargets(false);
+  try {
+    const { server, url } = await receiver();
+    const db = recorder();
+
+    const local = await deliver({ id: 12, channel: 'slack', target_url: url }, notification, { db });
+    assert.deepEqual(local, { success: false, attempts: 1, error: 'Target must be a public https URL' });
+
+    const privateHttps = await deliver({ id: 13, channel: 'slack', target_url: 'https://10.0.0.5/hook' }, notification, { db });
+    assert.equal(privateHttps.success, false);
+    assert.equal(privateHttps.attempts, 1);
+
+    assert.equal(server.received.length, 0);
+    assert.deepEqual(db.attempts.map(attempt => attempt.status), ['failed', 'failed']);
+  } finally {
+    restore();
+  }
+});
+
+test('an unknown channel fails without retrying', async () => {
+  const db = recorder();
+  const result = await deliver({ id: 14, channel: 'pager', email: 'a@example.com' }, notification, { db });
+  assert.deepEqual(result, { success: false, attempts: 1, error: 'Unknown notification channel: pager' });
+  assert.equal(db.attempts[0].status, 'failed');
+});
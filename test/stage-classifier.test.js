@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { classifyStage, explainStage, explainPipeline, stageTimeline, compileStageRules, loadStageRules, STAGE_RULES, DEFAULT_STAGE, PIPELINE_PHASES } from '../services/stage-classifier.js';
+
+const fixtures = JSON.parse(
+  readFileSync(new URL('./fixtures/ok-action-sequences.json', import.meta.url), 'utf8')
+);
+
+for (const fixture of fixtures) {
+  test(`classifies: ${fixture.name}`, () => {
+    const result = explainStage(fixture.bill);
+    assert.equal(result.stage, fixture.expected_stage);
+    assert.equal(result.rule, fixture.expected_rule);
+  });
+
+  test(`places on the pipeline: ${fixture.name}`, () => {
+    const result = explainPipeline(fixture.bill);
+    assert.equal(result.phase, fixture.expected_phase);
+    assert.equal(result.current_chamber, fixture.expected_chamber);
+    assert.equal(result.phase_stage, fixture.expected_phase_stage);
+  });
+}
+
+test('classifies stored actions that carry a single classification string', () => {
+  const bill = {
+    actions: [
+      { description: 'First Reading', classification: 'introduction' },
+      { description: 'Third Reading, Measure passed: Ayes: 44 Nays: 2', classification: 'reading-3', classifications: ['reading-3', 'passage'] }
+    ]
+  };
+  assert.equal(classifyStage(bill), 'passed_chamber');
+});
+
+test('does not treat "Engrossed, signed" as a governor signature', () => {
+  const bill = {
+    actions: [{ description: 'Engrossed, signed, to House', classification: [] }]
+  };
+  assert.notEqual(classifyStage(bill), 'signed');
+});
+
+test('priority, not table order, decides between matching rules', () => {
+  const reversed = [...STAGE_RULES].reverse();
+  for (const fixture of fixtures) {
+    assert.equal(classifyStage(fixture.bill, reversed), fixture.expected_stage, fixture.name);
+  }
+});
+
+test('rule ids are unique', () => {
+  const ids = STAGE_RULES.map(rule => rule.id);
+  assert.equal(new Set(ids).size, ids.length);
+});
+
+test('falls back to the default stage when nothing matches', () => {
+  const bill = { actions: [{ description: 'Coauthored by Senator Lee', classification: [] }] };
+  assert.deepEqual(explainStage(bill), { stage: DEFAULT_STAGE, rule: null, actions: [] });
+});
+
+test('two passages in one chamber do not make a bill enrolled', () => {
+  const bill = {
+    actions: [
+      { description: 'Third Reading, Measure passed: Ayes: 52 Nays: 44', classification: ['passage'], organization: { classification: 'lower' } },
+      { description: 'Third Reading, Measure passed: Ayes: 74 Nays: 22', classification: ['passage'], organization: { classification: 'lower' } }
+    ]
+  };
+  assert.equal(classifyStage(bill), 'passed_chamber');
+});
+
+test('origin chamber falls back to the identifier', () => {
+  assert.equal(explainPipeline({ identifier: 'SJR 12' }).origin_chamber, 'upper');
+  assert.equal(explainPipeline({ identifier: 'HCR 1003' }).origin_chamber, 'lower');
+});
+
+test('every fixture lands in a known phase', () => {
+  for (const fixture of fixtures) {
+    assert.ok(PIPELINE_PHASES.includes(explainPipeline(fixture.bill).phase), fixture.name);
+  }
+});
+
+test('timeline replays the path through both chambers', () => {
+  const fixture = fixtures.find(f => f.name === 'passed both chambers and sent to the governor');
+  const timeline = stageTimeline(fixture.bill);
+
+  assert.deepEqual(
+    timeline.map(period => `${period.phase}:${period.chamber}:${period.phase_stage}`),
+    [
+      'origin_chamber:lower:introduced',
+      'origin_chamber:lower:committee',
+      'origin_chamber:lower:committee_approved',
+      'second_chamber:upper:introduced',
+      'second_chamber:upper:committee',
+      'second_chamber:upper:committee_approved',
+      'governor:lower:enrolled',
+      'governor:executive:enrolled'
+    ]
+  );
+  assert.equal(timeline[3].entered_on, '2024-03-11');
+  assert.equal(timeline[4].action_index, 6);
+});
+
+test('timeline ends at the bill\'s current position', () => {
+  for (const fixture of fixtures.filter(f => f.bill.actions?.length)) {
+    const last = stageTimeline(fixture.bill).at(-1);
+    const position = explainPipeline(fixture.bill);
+    assert.equal(last.phase, position.phase, fixture.name);
+    assert.equal(last.phase_stage, position.phase_stage, fixture.name);
+  }
+});
+
+test('the rule file compiles descriptions to case-insensitive patterns', () => {
+  const rules = loadStageRules(new URL('../config/stage-rules.json', import.meta.url));
+  assert.deepEqual(rules.map(rule => rule.id), STAGE_RULES.map(rule => rule.id));
+  assert.ok(rules.every(rule => rule.descriptions.every(pattern => pattern instanceof RegExp && pattern.flags === 'i')));
+  assert.equal(classifyStage({ actions: [{ description: 'BECAME LAW without Governor\'s signature' }] }, rules), 'became_law');
+});
+
+test('rejects invalid rule tables', () => {
+  const rule = { id: 'passed', stage: 'passed_chamber', priority: 60, classifications: ['passage'] };
+  const rejects = (rules, message) => assert.throws(() => compileStageRules(rules), { message });
+
+  rejects([], /non-empty array/);
+  rejects({ rules: [rule] }, /non-empty array/);
+  rejects([rule, { ...rule, priority: 50 }], /^Stage rule passed: id is used twice$/);
+  rejects([rule, { ...rule, id: 'again' }], /priority 60 is used twice/);
+  rejects([{ ...rule, stage: 'dead' }], /stage must be one of/);
+  rejects([{ ...rule, priority: '60' }], /priority must be a number/);
+  rejects([{ ...rule, classifications: 'passage' }], /classifications must be a list of strings/);
+  rejects([{ ...rule, classifications: [] }], /needs classifications or descriptions/);
+  rejects([{ ...rule, descriptions: ['passed ('] }], /invalid description pattern/);
+  rejects([{ ...rule, chambers: 3 }], /chambers must be 1 or 2/);
+  rejects([{ ...rule, minCount: 0 }], /minCount must be a positive integer/);
+  rejects([{ ...rule, description: ['passed'] }], /unknown field description/);
+  rejects([{ stage: 'committee', priority: 1, classifications: ['x'] }], /^Stage rule #1: id is required$/);
+});
+
+test('a missing or malformed rule file names the file', () => {
+  assert.throws(() => loadStageRules('/nonexistent/stage-rules.json'), /Cannot read stage rules from \/nonexistent\/stage-rules.json/);
+  assert.throws(() => loadStageRules(new URL('./fixtures/ok-action-sequences.json', import.meta.url)), /Stage rule/);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTags, parseTracking, trackingFilters } from '../services/tracking-fields.js';
+
+test('parses tags from a string or an array', () => {
+  assert.deepEqual(parseTags(' Education, budget ,,EDUCATION '), ['education', 'budget']);
+  assert.deepEqual(parseTags(['K-12', ' k-12', 'Rural']), ['k-12', 'rural']);
+  assert.deepEqual(parseTags(''), []);
+  assert.deepEqual(parseTags(null), []);
+  assert.equal(parseTags('x'.repeat(80))[0].length, 50);
+});
+
+test('leaves out fields that were not sent', () => {
+  assert.deepEqual(parseTracking({}), { tracking: {} });
+  assert.deepEqual(parseTracking(), { tracking: {} });
+  assert.deepEqual(parseTracking({ position: 'support' }), { tracking: { position: 'support' } });
+});
+
+test('clears fields sent as empty or null', () => {
+  assert.deepEqual(parseTracking({ position: '', priority: null, tags: null }), {
+    tracking: { position: null, priority: null, tags: [] }
+  });
+  assert.deepEqual(parseTracking({ tags: '' }), { tracking: { tags: [] } });
+});
+
+test('rejects unknown positions and priorities', () => {
+  assert.match(parseTracking({ position: 'neutral' }).error, /^position must be one of: support, oppose, monitor, amend$/);
+  assert.match(parseTracking({ priority: 'urgent' }).error, /^priority must be one of: high, medium, low$/);
+});
+
+test('builds no conditions without filters', () => {
+  assert.deepEqual(trackingFilters({}, 3), { conditions: [], params: [], nextIndex: 3 });
+});
+
+test('filters on listed positions and priorities', () => {
+  assert.deepEqual(trackingFilters({ position: 'support, oppose', priority: ['high'] }, 2), {
+    conditions: ['(position = ANY($2))', '(priority = ANY($3))'],
+    params: [['support', 'oppose'], ['high']],
+    nextIndex: 4
+  });
+});
+
+test('none also matches untracked bills', () => {
+  const filters = trackingFilters({ position: 'none', priority: 'low,none' });
+  assert.deepEqual(filters.conditions, [
+    '(position = ANY($1) OR position IS NULL)',
+    '(priority = ANY($2) OR priority IS NULL)'
+  ]);
+  assert.deepEqual(filters.params, [['none'], ['low', 'none']]);
+});
+
+test('requires every listed tag', () => {
+  assert.deepEqual(trackingFilters({ tag: 'Budget,rural' }), {
+    conditions: ['tags @> $1::text[]'],
+    params: [['budget', 'rural']],
+    nextIndex: 2
+  });
+});
+
+test('rejects unknown filter values', () => {
+  assert.equal(trackingFilters({ position: 'support,neutral' }).error, 'position must be one of: support, oppose, monitor, amend, none');
+  assert.equal(trackingFilters({ priority: 'urgent' }).error, 'priority must be one of: high, medium, low, none');
+});
@@ -0,0 +1,63 @@
+// Webhook Receiver - Local stand-in for a webhook or Slack endpoint, for
+// exercising notification channels without a real receiver. Verifies the
+// HMAC signature, keeps every request, and can fail the first N requests to
+// exercise retries. Deliveries reach it only with WEBHOOK_ALLOW_LOCAL=true.
+
+import http from 'http';
+import crypto from 'crypto';
+
+// Same scheme as notification-channels.js, implemented independently the way a
+// third-party receiver would
+function isValidSignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+  );
+  const received = Buffer.from(signature || '');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Returns an http.Server; received requests are kept on server.received
+export function createWebhookReceiver({ secret = null, failFirst = 0, failStatus = 500 } = {}) {
+  const received = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const signature = req.headers['x-billtracker-signature'];
+      const timestamp = req.headers['x-billtracker-timestamp'];
+      const entry = {
+        path: req.url,
+        event: req.headers['x-billtracker-event'] || null,
+        signature_valid: secret && signature ? isValidSignature(secret, timestamp, body, signature) : null,
+        body
+      };
+      received.push(entry);
+
+      if (received.length <= failFirst) {
+        res.writeHead(failStatus, { 'Content-Type': 'text/plain' });
+        return res.end('simulated failure');
+      }
+
+      if (entry.signature_valid === false) {
+        res.writeHead(401, { 'Content-Type': 'text/plain' });
+        return res.end('invalid signature');
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('ok');
+    });
+  });
+
+  server.received = received;
+  return server;
+}
+
+// Listen on a free loopback port; resolves the receiver's URL
+export function listen(server) {
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/hook`));
+  });
+}
+
+export default createWebhookReceiver;